@@ -0,0 +1,386 @@
+/**
+ * Admin changes to papers, recorded in an audit log that supports undo
+ * apply() makes an insert, update, delete or reclassification and records it in admin_events
+ * (actor, time, before/after snapshots of the papers row) in the same write batch, keeping
+ * papers_fts, paper_embeddings and the author index in step with the row.
+ * undo() applies an event's snapshots in reverse as a new event, provided the paper still
+ * looks exactly as the event left it. Events record the paper's rowid, so undoing a delete
+ * restores the paper under it and saved searches don't see it as a new paper.
+ */
+
+const { indexPaperAuthors } = require('./authors');
+const { HashingEmbedder } = require('./embeddings');
+
+const ACTIONS = ['insert', 'update', 'delete', 'reclassify'];
+const INVERSE_ACTIONS = { insert: 'delete', delete: 'insert', update: 'update', reclassify: 'reclassify' };
+const MAX_EVENTS = 200;
+
+// Fields the edit endpoint may change; an update changing only topic/subtopic is a reclassification
+const EDITABLE_FIELDS = ['title', 'abstract', 'authors', 'year', 'topic', 'subtopic'];
+const CLASSIFICATION_FIELDS = ['topic', 'subtopic'];
+const JSON_COLUMNS = ['authors', 'keywords']; // Compared by content, not formatting
+
+/**
+ * Rejected admin change; `status` is the HTTP status to answer with
+ */
+class AdminEventError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AdminEventError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check an edit request and convert it to papers column values
+ * `authors` is an array of names (stored as JSON); `abstract` and `year` may be null.
+ * @throws {AdminEventError}
+ */
+function validatePaperEdit(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new AdminEventError('Request body must be an object');
+  }
+  const fields = Object.keys(body);
+  const unknown = fields.filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new AdminEventError(`Unknown or read-only field(s): ${unknown.join(', ')}. Editable: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+  if (fields.length === 0) {
+    throw new AdminEventError(`Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  const values = {};
+  ['title', 'topic', 'subtopic'].forEach(field => {
+    if (body[field] === undefined) return;
+    if (typeof body[field] !== 'string' || !body[field].trim()) {
+      throw new AdminEventError(`${field} must be a non-empty string`);
+    }
+    // Title text is kept as sent so re-saving an unchanged form isn't an edit
+    values[field] = field === 'title' ? body[field] : body[field].trim();
+  });
+
+  if (body.abstract !== undefined) {
+    if (body.abstract !== null && typeof body.abstract !== 'string') {
+      throw new AdminEventError('abstract must be a string or null');
+    }
+    values.abstract = body.abstract;
+  }
+
+  if (body.authors !== undefined) {
+    if (!Array.isArray(body.authors) || body.authors.some(name => typeof name !== 'string' || !name.trim())) {
+      throw new AdminEventError('authors must be an array of names');
+    }
+    values.authors = JSON.stringify(body.authors.map(name => name.trim()));
+  }
+
+  if (body.year !== undefined) {
+    const maxYear = new Date().getFullYear() + 1;
+    if (body.year !== null && (!Number.isInteger(body.year) || body.year < 1600 || body.year > maxYear)) {
+      throw new AdminEventError(`year must be an integer between 1600 and ${maxYear}, or null`);
+    }
+    values.year = body.year;
+  }
+
+  return values;
+}
+
+function sameValue(column, a, b) {
+  if (a === b) return true;
+  if (!JSON_COLUMNS.includes(column) || typeof a !== 'string' || typeof b !== 'string') return false;
+  try {
+    return JSON.stringify(JSON.parse(a)) === JSON.stringify(JSON.parse(b));
+  } catch {
+    return false;
+  }
+}
+
+function parseSnapshot(json) {
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Whether a paper still has every value a snapshot recorded (columns added since are ignored)
+ */
+function matchesSnapshot(current, snapshot) {
+  if (!current || !snapshot) return current === snapshot;
+  return Object.keys(snapshot).every(column => sameValue(column, snapshot[column], current[column]));
+}
+
+/**
+ * Fields an update changed: { field: { from, to } }
+ */
+function diffSnapshots(before, after) {
+  if (!before || !after) return null;
+  return Object.fromEntries(Object.keys(after)
+    .filter(field => before[field] !== after[field])
+    .map(field => [field, { from: before[field], to: after[field] }]));
+}
+
+function formatEvent(row) {
+  const before = parseSnapshot(row.before_snapshot);
+  const after = parseSnapshot(row.after_snapshot);
+  return {
+    id: row.id,
+    action: row.action,
+    paperId: row.paper_id,
+    title: (after || before || {}).title || null,
+    actor: row.actor_id ? { id: row.actor_id, name: row.actor_name } : null,
+    createdAt: new Date(row.created_at).toISOString(),
+    changes: diffSnapshots(before, after),
+    before,
+    after,
+    reverts: row.reverts,
+    undoneBy: row.undone_by
+  };
+}
+
+class AdminEvents {
+  constructor(db, { embedder = new HashingEmbedder() } = {}) {
+    this.db = db;
+    this.embedder = embedder;
+    this.columns = null;
+  }
+
+  /**
+   * Columns of the papers table (read once; snapshots copy all of them)
+   */
+  async paperColumns() {
+    if (!this.columns) {
+      const result = await this.db.execute('PRAGMA table_info(papers)');
+      this.columns = result.rows.map(row => row.name);
+    }
+    return this.columns;
+  }
+
+  /**
+   * SQL expression building a paper's snapshot from a papers row
+   */
+  async snapshotSql() {
+    const columns = await this.paperColumns();
+    return `json_object(${columns.map(column => `'${column}', "${column}"`).join(', ')})`;
+  }
+
+  /**
+   * Current snapshot of a paper as JSON text (null when it doesn't exist)
+   */
+  async snapshot(paperId) {
+    const result = await this.db.execute({
+      sql: `SELECT ${await this.snapshotSql()} AS snapshot FROM papers WHERE id = ?`,
+      args: [paperId]
+    });
+    return result.rows.length > 0 ? result.rows[0].snapshot : null;
+  }
+
+  /**
+   * Change a paper and record the event atomically
+   * @param {string} action - one of ACTIONS ('update' is recorded as 'reclassify' when only topic/subtopic change)
+   * @param {object|null} values - column values for insert/update/reclassify, null for delete
+   * @param {{ id, name }|null} actor
+   * @param {Object} [options] - reverts: the event this one undoes; rowid: rowid to insert the
+   *   paper under (a new one when null or taken)
+   * @returns {Promise<object|null>} the recorded event, or null when an update changes nothing
+   * @throws {AdminEventError}
+   */
+  async apply(action, paperId, values, actor, { reverts = null, rowid = null } = {}) {
+    if (!ACTIONS.includes(action)) {
+      throw new AdminEventError(`Invalid action. Use one of: ${ACTIONS.join(', ')}`);
+    }
+
+    const columns = await this.paperColumns();
+    const unknown = Object.keys(values || {}).filter(column => !columns.includes(column));
+    if (unknown.length > 0) {
+      throw new AdminEventError(`Unknown field(s): ${unknown.join(', ')}`);
+    }
+
+    const current = parseSnapshot(await this.snapshot(paperId));
+    if (action === 'insert' && current) {
+      throw new AdminEventError('Paper already exists in database', 409);
+    }
+    if (action !== 'insert' && !current) {
+      throw new AdminEventError('Paper not found', 404);
+    }
+
+    const changed = values
+      ? Object.keys(values).filter(column => column !== 'id' && (!current || !sameValue(column, values[column], current[column])))
+      : [];
+    if (values && current && changed.length === 0) return null;
+    if (action === 'update' && changed.every(column => CLASSIFICATION_FIELDS.includes(column))) {
+      action = 'reclassify';
+    }
+
+    // Derived indexes only need work when their inputs change
+    const textChanged = !current || !values || changed.includes('title') || changed.includes('abstract');
+    const authorsChanged = !current || !values || changed.includes('authors');
+    const snapshotSql = await this.snapshotSql();
+    const statements = [{
+      sql: `INSERT INTO admin_events (action, paper_id, paper_rowid, actor_id, actor_name, before_snapshot, reverts, created_at)
+            VALUES (?, ?, (SELECT rowid FROM papers WHERE id = ?), ?, ?, (SELECT ${snapshotSql} FROM papers WHERE id = ?), ?, ?)
+            RETURNING id`,
+      args: [action, paperId, paperId, actor ? actor.id : null, actor ? actor.name : null, paperId, reverts, Date.now()]
+    }];
+
+    if (current && textChanged) {
+      // papers_fts is an external-content index: remove the old text before the row changes
+      // (only if it was indexed - papers imported since the last rebuild aren't yet)
+      statements.push({
+        sql: `INSERT INTO papers_fts(papers_fts, rowid, title, abstract)
+              SELECT 'delete', rowid, title, abstract FROM papers
+              WHERE id = ? AND rowid IN (SELECT id FROM papers_fts_docsize)`,
+        args: [paperId]
+      }, {
+        sql: 'DELETE FROM paper_embeddings WHERE paper_rowid = (SELECT rowid FROM papers WHERE id = ?)',
+        args: [paperId]
+      });
+    }
+    if (current && authorsChanged) {
+      statements.push({
+        sql: 'UPDATE authors SET paper_count = paper_count - 1 WHERE id IN (SELECT author_id FROM paper_authors WHERE paper_id = ?)',
+        args: [paperId]
+      }, {
+        sql: 'DELETE FROM paper_authors WHERE paper_id = ?',
+        args: [paperId]
+      });
+    }
+
+    if (!current) {
+      const row = { ...values, id: paperId };
+      const insertColumns = Object.keys(row);
+      statements.push({
+        sql: `INSERT INTO papers (rowid, ${insertColumns.map(column => `"${column}"`).join(', ')})
+              VALUES ((SELECT ? WHERE NOT EXISTS (SELECT 1 FROM papers WHERE rowid = ?)), ${insertColumns.map(() => '?').join(', ')})`,
+        args: [rowid, rowid, ...insertColumns.map(column => row[column])]
+      });
+    } else if (!values) {
+      statements.push({ sql: 'DELETE FROM papers WHERE id = ?', args: [paperId] });
+    } else {
+      statements.push({
+        sql: `UPDATE papers SET ${changed.map(column => `"${column}" = ?`).join(', ')} WHERE id = ?`,
+        args: [...changed.map(column => values[column]), paperId]
+      });
+    }
+
+    if (values && textChanged) {
+      statements.push({
+        sql: 'INSERT INTO papers_fts(rowid, title, abstract) SELECT rowid, title, abstract FROM papers WHERE id = ?',
+        args: [paperId]
+      });
+
+      // Re-embed the new text so the paper stays in semantic retrieval (skipped while the
+      // embedding index hasn't been built, so one row doesn't switch hybrid search on)
+      const text = { ...current, ...values };
+      statements.push({
+        sql: `INSERT OR REPLACE INTO paper_embeddings (paper_rowid, model, embedding)
+              SELECT rowid, ?, ? FROM papers
+              WHERE id = ? AND EXISTS (SELECT 1 FROM paper_embeddings WHERE model = ?)`,
+        args: [
+          this.embedder.model,
+          HashingEmbedder.toBlob(this.embedder.embedPaper(text)),
+          paperId,
+          this.embedder.model
+        ]
+      });
+    }
+
+    // The batch is one write transaction, so the newest event is the one inserted above
+    statements.push({
+      sql: `UPDATE admin_events SET after_snapshot = (SELECT ${snapshotSql} FROM papers WHERE id = ?),
+              paper_rowid = COALESCE(paper_rowid, (SELECT rowid FROM papers WHERE id = ?))
+            WHERE id = (SELECT MAX(id) FROM admin_events)`,
+      args: [paperId, paperId]
+    });
+    if (reverts !== null) {
+      statements.push({
+        sql: 'UPDATE admin_events SET undone_by = (SELECT MAX(id) FROM admin_events) WHERE id = ?',
+        args: [reverts]
+      });
+    }
+
+    const results = await this.db.batch(statements, 'write');
+
+    if (values && authorsChanged) {
+      await indexPaperAuthors(this.db, paperId, values.authors);
+    }
+
+    return this.get(results[0].rows[0].id);
+  }
+
+  /**
+   * Revert an event, recording the reversal as a new event
+   * @throws {AdminEventError} 404 for unknown events, 409 when already undone or the paper changed since
+   */
+  async undo(eventId, actor) {
+    const result = await this.db.execute({
+      sql: 'SELECT * FROM admin_events WHERE id = ?',
+      args: [eventId]
+    });
+    const event = result.rows[0];
+    if (!event) {
+      throw new AdminEventError('Event not found', 404);
+    }
+    if (event.undone_by !== null) {
+      throw new AdminEventError(`Event ${eventId} was already undone by event ${event.undone_by}`, 409);
+    }
+    if (!matchesSnapshot(parseSnapshot(await this.snapshot(event.paper_id)), parseSnapshot(event.after_snapshot))) {
+      throw new AdminEventError(`Paper ${event.paper_id} has changed since event ${eventId}; undo the later events first`, 409);
+    }
+
+    return this.apply(
+      INVERSE_ACTIONS[event.action],
+      event.paper_id,
+      parseSnapshot(event.before_snapshot),
+      actor,
+      { reverts: event.id, rowid: event.paper_rowid }
+    );
+  }
+
+  async get(id) {
+    const result = await this.db.execute({
+      sql: 'SELECT * FROM admin_events WHERE id = ?',
+      args: [id]
+    });
+    return result.rows.length > 0 ? formatEvent(result.rows[0]) : null;
+  }
+
+  /**
+   * Events newest first, optionally filtered; page with `before` (the last event id seen)
+   * @returns {Promise<{ events: object[], nextBefore: number|null }>}
+   */
+  async list({ action, paperId, actorId, since, until, before, limit = 50 } = {}) {
+    const conditions = [];
+    const args = [];
+    const filter = (condition, value) => {
+      if (value === undefined || value === null) return;
+      conditions.push(condition);
+      args.push(value);
+    };
+    filter('action = ?', action);
+    filter('paper_id = ?', paperId);
+    filter('actor_id = ?', actorId);
+    filter('created_at >= ?', since);
+    filter('created_at < ?', until);
+    filter('id < ?', before);
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_EVENTS);
+    const result = await this.db.execute({
+      sql: `SELECT * FROM admin_events
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY id DESC
+            LIMIT ?`,
+      args: [...args, pageSize + 1]
+    });
+
+    const events = result.rows.slice(0, pageSize).map(formatEvent);
+    return {
+      events,
+      nextBefore: result.rows.length > pageSize ? events[events.length - 1].id : null
+    };
+  }
+}
+
+module.exports = {
+  AdminEvents,
+  AdminEventError,
+  validatePaperEdit,
+  ACTIONS,
+  EDITABLE_FIELDS
+};
@@ -0,0 +1,326 @@
+/**
+ * Users, roles and API keys
+ * Keys look like "sd_<43 random characters>" and are shown once, when created; the database
+ * only keeps their SHA-256 hash. Requests authenticate with `Authorization: Bearer <key>` or
+ * `X-API-Key: <key>`. Keys are never read from the query string, where they end up in logs and
+ * shared URLs; feed readers use a saved search's feed token instead.
+ * Roles are ordered: reader < curator (may edit the corpus) < admin (may manage users).
+ */
+
+const crypto = require('crypto');
+
+const ROLES = ['reader', 'curator', 'admin'];
+const KEY_PREFIX = 'sd_';
+const CACHE_TTL_MS = 60 * 1000;         // Revocations by another process take effect within this
+const LAST_USED_INTERVAL_MS = 60 * 1000; // last_used_at is written at most this often per key
+const MAX_CACHED_KEYS = 10000;           // Expired, then least recently used, keys are dropped beyond this
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Whether `role` is at least `required`
+ */
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new AuthError(`Invalid role. Use one of: ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+/**
+ * Per-minute limit override: a non-negative integer, or null for the default
+ */
+function validateLimit(value, field) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 0) {
+    throw new AuthError(`${field} must be a non-negative integer`);
+  }
+  return value;
+}
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+function formatUser(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    createdAt: toIso(row.created_at),
+    disabledAt: toIso(row.disabled_at)
+  };
+}
+
+function formatKey(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    prefix: row.key_prefix,
+    limits: { search: row.search_per_minute, verification: row.verification_per_minute },
+    createdAt: toIso(row.created_at),
+    lastUsedAt: toIso(row.last_used_at),
+    revokedAt: toIso(row.revoked_at)
+  };
+}
+
+/**
+ * API key presented by a request, or null
+ */
+function readKey(req) {
+  const header = req.get('authorization');
+  if (header) {
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    return match ? match[1] : header;
+  }
+  if (req.get('x-api-key')) return req.get('x-api-key');
+  return null;
+}
+
+class Auth {
+  constructor(db, { cacheSize = MAX_CACHED_KEYS } = {}) {
+    this.db = db;
+    this.cacheSize = cacheSize;
+    this.cache = new Map(); // key hash -> { auth, expiresAt } for valid keys, least recently used first
+  }
+
+  /**
+   * @throws {AuthError}
+   */
+  async createUser({ name, email = null, role = 'reader' }) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw new AuthError('name is required');
+    }
+    if (email !== null && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email))) {
+      throw new AuthError('email is invalid');
+    }
+    validateRole(role);
+
+    const id = crypto.randomUUID();
+    try {
+      await this.db.execute({
+        sql: 'INSERT INTO users (id, name, email, role, created_at) VALUES (?, ?, ?, ?, ?)',
+        args: [id, name.trim(), email, role, Date.now()]
+      });
+    } catch (error) {
+      if (/UNIQUE/i.test(error.message)) {
+        throw new AuthError(`A user with email ${email} already exists`);
+      }
+      throw error;
+    }
+    return this.getUser(id);
+  }
+
+  async getUser(id) {
+    const result = await this.db.execute({ sql: 'SELECT * FROM users WHERE id = ?', args: [id] });
+    return result.rows.length > 0 ? formatUser(result.rows[0]) : null;
+  }
+
+  /**
+   * All users with their keys (newest first)
+   */
+  async listUsers() {
+    const [users, keys] = await Promise.all([
+      this.db.execute('SELECT * FROM users ORDER BY created_at DESC'),
+      this.db.execute('SELECT * FROM api_keys ORDER BY created_at DESC')
+    ]);
+
+    return users.rows.map(row => ({
+      ...formatUser(row),
+      keys: keys.rows.filter(key => key.user_id === row.id).map(formatKey)
+    }));
+  }
+
+  /**
+   * Change a user's role or disable/enable them
+   * @returns {Promise<object|null>} null when the user doesn't exist
+   * @throws {AuthError}
+   */
+  async updateUser(id, { role, disabled }) {
+    const updates = [];
+    const args = [];
+    if (role !== undefined) {
+      updates.push('role = ?');
+      args.push(validateRole(role));
+    }
+    if (disabled !== undefined) {
+      updates.push('disabled_at = ?');
+      args.push(disabled ? Date.now() : null);
+    }
+    if (updates.length === 0) {
+      throw new AuthError('Nothing to update. Set role and/or disabled');
+    }
+
+    const result = await this.db.execute({
+      sql: `UPDATE users SET ${updates.join(', ')} WHERE id = ?`,
+      args: [...args, id]
+    });
+    this.cache.clear();
+    return result.rowsAffected > 0 ? this.getUser(id) : null;
+  }
+
+  /**
+   * Issue a key for a user; the plaintext `key` is only returned here
+   * @returns {Promise<object|null>} null when the user doesn't exist
+   * @throws {AuthError}
+   */
+  async createKey(userId, { name = null, searchPerMinute, verificationPerMinute } = {}) {
+    if (!(await this.getUser(userId))) return null;
+
+    const limits = [
+      validateLimit(searchPerMinute, 'searchPerMinute'),
+      validateLimit(verificationPerMinute, 'verificationPerMinute')
+    ];
+    const key = generateKey();
+    const id = crypto.randomUUID();
+
+    await this.db.execute({
+      sql: `INSERT INTO api_keys (id, user_id, name, key_prefix, key_hash, search_per_minute, verification_per_minute, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [id, userId, name, key.substring(0, KEY_PREFIX.length + 6), hashKey(key), ...limits, Date.now()]
+    });
+
+    const result = await this.db.execute({ sql: 'SELECT * FROM api_keys WHERE id = ?', args: [id] });
+    return { key, ...formatKey(result.rows[0]) };
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the key doesn't exist or was already revoked
+   */
+  async revokeKey(id) {
+    const result = await this.db.execute({
+      sql: 'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+      args: [Date.now(), id]
+    });
+    this.cache.clear();
+    return result.rowsAffected > 0;
+  }
+
+  /**
+   * Look up a presented key
+   * Only valid keys are cached, so random keys can't fill the cache.
+   * @returns {Promise<{ user, key }|null>} null for unknown, revoked or disabled keys
+   */
+  async authenticate(presented) {
+    const hash = hashKey(presented);
+    const now = Date.now();
+    const cached = this.cache.get(hash);
+    if (cached && cached.expiresAt > now) {
+      this.cache.delete(hash);
+      this.cache.set(hash, cached);
+      return cached.auth;
+    }
+    this.cache.delete(hash);
+
+    const result = await this.db.execute({
+      sql: `
+        SELECT k.*, u.name AS user_name, u.email, u.role, u.created_at AS user_created_at, u.disabled_at
+        FROM api_keys k
+        JOIN users u ON u.id = k.user_id
+        WHERE k.key_hash = ? AND k.revoked_at IS NULL AND u.disabled_at IS NULL
+      `,
+      args: [hash]
+    });
+
+    const row = result.rows[0];
+    const auth = row
+      ? {
+        user: formatUser({ ...row, id: row.user_id, name: row.user_name, created_at: row.user_created_at }),
+        key: formatKey(row)
+      }
+      : null;
+    if (auth) this.remember(hash, { auth, expiresAt: now + CACHE_TTL_MS }, now);
+
+    if (row && now - (row.last_used_at || 0) > LAST_USED_INTERVAL_MS) {
+      this.db.execute({
+        sql: 'UPDATE api_keys SET last_used_at = ? WHERE id = ?',
+        args: [now, row.id]
+      }).catch(error => console.error('Failed to record API key use:', error.message));
+    }
+    return auth;
+  }
+
+  /**
+   * Cache a valid key, dropping expired entries and then the least recently used when full
+   */
+  remember(hash, entry, now) {
+    if (this.cache.size >= this.cacheSize) {
+      for (const [cachedHash, cached] of this.cache) {
+        if (cached.expiresAt <= now) this.cache.delete(cachedHash);
+      }
+      for (const cachedHash of this.cache.keys()) {
+        if (this.cache.size < this.cacheSize) break;
+        this.cache.delete(cachedHash);
+      }
+    }
+    this.cache.set(hash, entry);
+  }
+
+  /**
+   * Express middleware setting req.auth ({ user, key }, or null for anonymous requests)
+   * A key that is presented but not valid is rejected with 401 rather than treated as anonymous.
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const presented = readKey(req);
+      if (!presented) {
+        req.auth = null;
+        return next();
+      }
+
+      try {
+        req.auth = await this.authenticate(presented);
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      if (!req.auth) {
+        res.set('WWW-Authenticate', 'Bearer realm="SpaceDigest"');
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+      next();
+    };
+  }
+}
+
+/**
+ * Express middleware admitting only callers whose key has at least `role`
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      res.set('WWW-Authenticate', 'Bearer realm="SpaceDigest"');
+      return res.status(401).json({ error: 'API key required' });
+    }
+    if (!hasRole(req.auth.user.role, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  Auth,
+  AuthError,
+  requireRole,
+  hasRole,
+  ROLES
+};
@@ -0,0 +1,185 @@
+/**
+ * Author name normalization and the authors / paper_authors index
+ * "Hawking, S. W.", "S. Hawking" and "Stephen W. Hawking" all normalize to "hawking|s"
+ * (last name + first initial, the usual bibliographic matching key)
+ */
+
+const NAME_PARTICLES = ['van', 'von', 'der', 'den', 'de', 'del', 'della', 'di', 'da', 'du', 'la', 'le', 'dos', 'das', 'ter', 'ten'];
+const NAME_SUFFIXES = /^(jr|sr|ii|iii|iv)\.?$/i;
+const COLLABORATION = /\b(collaboration|team|consortium|group|survey|telescope)\b/i;
+
+/**
+ * Lowercase and strip diacritics and punctuation
+ */
+function fold(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a name into { given, last, suffix } from either "Last, Given" or "Given Last" form
+ */
+function splitName(name) {
+  const clean = name.replace(/\s+/g, ' ').trim();
+  const parts = clean.split(',').map(p => p.trim()).filter(Boolean);
+
+  let suffix = '';
+  if (parts.length > 1 && NAME_SUFFIXES.test(parts[parts.length - 1])) {
+    suffix = parts.pop();
+  }
+
+  if (parts.length >= 2) {
+    return { last: parts[0], given: parts.slice(1).join(' '), suffix };
+  }
+
+  const words = clean.split(' ');
+  if (words.length > 1 && NAME_SUFFIXES.test(words[words.length - 1])) {
+    suffix = words.pop();
+  }
+
+  // Walk back over lowercase particles: "Johannes van der Waals" → last "van der Waals"
+  let lastStart = words.length - 1;
+  while (lastStart > 1 && NAME_PARTICLES.includes(words[lastStart - 1].toLowerCase())) {
+    lastStart--;
+  }
+
+  return {
+    last: words.slice(lastStart).join(' '),
+    given: words.slice(0, lastStart).join(' '),
+    suffix
+  };
+}
+
+/**
+ * Normalize an author name into a matching key and a display name
+ * @returns {{ key: string, name: string, lastName: string } | null}
+ */
+function normalizeAuthor(rawName) {
+  if (!rawName || typeof rawName !== 'string') return null;
+  const name = rawName.replace(/\s+/g, ' ').trim();
+  if (!name || /^unknown$/i.test(name)) return null;
+
+  // Collaborations are matched on their full name
+  if (COLLABORATION.test(name)) {
+    const folded = fold(name);
+    return { key: folded, name, lastName: folded };
+  }
+
+  const { last, given, suffix } = splitName(name);
+  const lastName = fold(last);
+  if (!lastName) return null;
+
+  const firstInitial = fold(given).charAt(0);
+  const display = [given, last].filter(Boolean).join(' ') + (suffix ? ` ${suffix}` : '');
+
+  return {
+    key: firstInitial ? `${lastName}|${firstInitial}` : lastName,
+    name: display,
+    lastName
+  };
+}
+
+/**
+ * Parse the papers.authors column (JSON array, or an ADS-style "Last, F., Last2, G." string)
+ */
+function parseAuthorList(value) {
+  if (!value) return [];
+
+  let data = value;
+  if (typeof value === 'string') {
+    try {
+      data = JSON.parse(value);
+    } catch {
+      data = value;
+    }
+  }
+
+  if (Array.isArray(data)) {
+    return data.filter(a => typeof a === 'string' && a.trim());
+  }
+
+  if (typeof data !== 'string') return [];
+
+  // A piece that is only initials / given names or a suffix belongs to the previous name
+  const pieces = data.split(/;|,/).map(p => p.trim()).filter(Boolean);
+  const names = [];
+  for (const piece of pieces) {
+    const previous = names[names.length - 1];
+    const isInitials = /^([A-Z][a-z]*\.\s*-?\s*)+$/.test(piece);
+    const isSuffix = NAME_SUFFIXES.test(piece);
+
+    if (previous && ((isInitials && !previous.includes(',')) || isSuffix)) {
+      names[names.length - 1] = `${previous}, ${piece}`;
+    } else {
+      names.push(piece);
+    }
+  }
+  return names;
+}
+
+/**
+ * Upsert a paper's authors into authors / paper_authors
+ * @param {Map} [cache] - normalized key → author id, shared across calls in bulk builds
+ */
+async function indexPaperAuthors(db, paperId, authorsValue, cache = new Map()) {
+  const seen = new Set();
+  const names = parseAuthorList(authorsValue);
+
+  for (let position = 0; position < names.length; position++) {
+    const author = normalizeAuthor(names[position]);
+    if (!author || seen.has(author.key)) continue;
+    seen.add(author.key);
+
+    let authorId = cache.get(author.key);
+    if (!authorId) {
+      // Keep the most complete display name seen for this author
+      const result = await db.execute({
+        sql: `INSERT INTO authors (name, normalized_name, last_name)
+              VALUES (?, ?, ?)
+              ON CONFLICT(normalized_name) DO UPDATE SET
+                name = CASE WHEN length(excluded.name) > length(authors.name) THEN excluded.name ELSE authors.name END
+              RETURNING id`,
+        args: [author.name, author.key, author.lastName]
+      });
+      authorId = result.rows[0].id;
+      cache.set(author.key, authorId);
+    }
+
+    const link = await db.execute({
+      sql: 'INSERT OR IGNORE INTO paper_authors (paper_id, author_id, position) VALUES (?, ?, ?)',
+      args: [paperId, authorId, position]
+    });
+
+    if (link.rowsAffected > 0) {
+      await db.execute({
+        sql: 'UPDATE authors SET paper_count = paper_count + 1 WHERE id = ?',
+        args: [authorId]
+      });
+    }
+  }
+
+  return seen.size;
+}
+
+/**
+ * Recompute the denormalized paper counts
+ */
+async function refreshAuthorCounts(db) {
+  await db.execute(`
+    UPDATE authors
+    SET paper_count = (SELECT COUNT(*) FROM paper_authors WHERE author_id = authors.id)
+  `);
+}
+
+module.exports = {
+  foldName: fold,
+  normalizeAuthor,
+  parseAuthorList,
+  indexPaperAuthors,
+  refreshAuthorCounts
+};
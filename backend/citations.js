@@ -0,0 +1,36 @@
+/**
+ * Citation graph helpers shared by the ingestion scripts
+ */
+
+/**
+ * Map an ADS arXiv bibcode ("2010arXiv1010.5788D") to its arXiv ID; other IDs pass through
+ */
+function resolvePaperId(id) {
+  const match = String(id).trim().match(/^\d{4}arXiv(\d{4})\.?(\d{4,5})[A-Z.]?$/);
+  return match ? `${match[1]}.${match[2]}` : String(id).trim();
+}
+
+/**
+ * Insert citation edges for one citing paper (duplicates are ignored)
+ */
+async function addCitations(db, citingId, citedIds, source = 'nasa-ads') {
+  const edges = [...new Set(citedIds.map(resolvePaperId))]
+    .filter(cited => cited && cited !== citingId);
+
+  if (edges.length === 0) return 0;
+
+  await db.batch(
+    edges.map(cited => ({
+      sql: 'INSERT OR IGNORE INTO citations (citing_id, cited_id, source) VALUES (?, ?, ?)',
+      args: [citingId, cited, source]
+    })),
+    'write'
+  );
+
+  return edges.length;
+}
+
+module.exports = {
+  resolvePaperId,
+  addCitations
+};
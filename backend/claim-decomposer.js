@@ -0,0 +1,146 @@
+/**
+ * Compound claim decomposition and verdict aggregation
+ * "Neutron stars top out at 2.3 solar masses and are all pulsars" becomes
+ * ["Neutron stars top out at 2.3 solar masses", "Neutron stars are all pulsars"].
+ * ClaimVerifier asks the LLM first; splitCompoundClaim is the rule-based fallback.
+ */
+
+const { splitSentences } = require('./evidence');
+
+const MAX_SUB_CLAIMS = 5;
+
+const AUXILIARIES = [
+  'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had', 'do', 'does', 'did',
+  'can', 'cannot', 'could', 'will', 'would', 'may', 'might', 'must', 'should', 'shall'
+];
+
+const PRONOUNS = ['it', 'they', 'this', 'these'];
+
+// Words that can follow a plural noun without being its verb
+const NON_VERBS = ['up', 'out', 'of', 'in', 'on', 'at', 'to', 'for', 'by', 'with', 'than', 'as', 'from', 'into', 'the', 'a', 'an', 'and', 'or'];
+
+// Conjunctions that may join two clauses
+const CLAUSE_SPLIT = /\s*;\s*|,?\s+(?:and|but|while|whereas|although)\s+/i;
+
+const VERDICTS = ['Strongly Contradicted', 'Contradicted', 'Inconclusive', 'Supported', 'Strongly Supported'];
+const CONFIDENCE_LEVELS = ['Low', 'Medium', 'High'];
+
+/**
+ * Index of the main verb in a clause: the first auxiliary, or a base-form verb after a plural noun
+ * ("Neutron stars top out" → 2). Returns -1 when none is found.
+ */
+function findVerb(words) {
+  for (let i = 1; i < words.length; i++) {
+    const word = words[i].toLowerCase();
+    const previous = words[i - 1].toLowerCase();
+    if (AUXILIARIES.includes(word)) return i;
+    if (/^[a-z]+$/.test(word) && /[a-z]s$/.test(previous) && !/s$/.test(word) && !NON_VERBS.includes(word)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Whether a fragment reads as a clause rather than a noun in a list ("black holes and neutron stars")
+ * Fragments of four or more words are assumed to be clauses
+ */
+function isClause(fragment) {
+  const words = fragment.split(/\s+/);
+  const first = words[0].toLowerCase();
+  return AUXILIARIES.includes(first) ||
+    (PRONOUNS.includes(first) && words.length > 1) ||
+    findVerb(words) !== -1 ||
+    words.length >= 4;
+}
+
+/**
+ * Whether text may hold more than one claim (several sentences, a semicolon or a clause conjunction);
+ * anything else is verified as-is without asking the LLM to split it
+ */
+function isCompound(text) {
+  const trimmed = String(text || '').trim();
+  return /;|\b(and|but|while|whereas|although)\b/i.test(trimmed) || splitSentences(trimmed).length > 1;
+}
+
+/**
+ * Rule-based split of compound text into atomic claims
+ * Clauses without their own subject ("... and are all pulsars") inherit the previous clause's subject
+ */
+function splitCompoundClaim(text) {
+  const claims = [];
+
+  for (const sentence of splitSentences(String(text || '').trim())) {
+    const body = sentence.text.replace(/[.!?]+$/, '').trim();
+    const parts = body.split(CLAUSE_SPLIT).map(p => p.trim()).filter(Boolean);
+
+    // Re-join fragments that aren't clauses ("X and Y emit radiation" stays whole)
+    const clauses = [];
+    for (const part of parts) {
+      if (clauses.length > 0 && !isClause(part)) {
+        clauses[clauses.length - 1] += ` and ${part}`;
+      } else if (clauses.length > 0 && !isClause(clauses[clauses.length - 1])) {
+        clauses[clauses.length - 1] += ` and ${part}`;
+      } else {
+        clauses.push(part);
+      }
+    }
+
+    let subject = '';
+    for (const clause of clauses) {
+      const words = clause.split(/\s+/);
+
+      if (AUXILIARIES.includes(words[0].toLowerCase()) && subject) {
+        claims.push(`${subject} ${clause}`);
+        continue;
+      }
+
+      // "... and it is made of WIMPs" → "Dark matter is made of WIMPs"
+      if (PRONOUNS.includes(words[0].toLowerCase()) && subject && words.length > 1) {
+        claims.push(`${subject} ${words.slice(1).join(' ')}`);
+        continue;
+      }
+
+      const verb = findVerb(words);
+      if (verb > 0) subject = words.slice(0, verb).join(' ');
+      claims.push(clause);
+    }
+  }
+
+  const unique = [...new Set(claims.map(c => c.charAt(0).toUpperCase() + c.slice(1)))];
+  return unique.slice(0, MAX_SUB_CLAIMS);
+}
+
+/**
+ * Combine sub-claim results: a compound claim is only as supported as its weakest part
+ */
+function aggregateVerdicts(results) {
+  if (results.length === 0) {
+    return {
+      verificationScore: 50,
+      verdict: 'Inconclusive',
+      confidence: 'Low',
+      summary: 'No sub-claims could be verified.'
+    };
+  }
+
+  const weakest = results.reduce((min, r) => (r.verificationScore < min.verificationScore ? r : min));
+  const confidence = CONFIDENCE_LEVELS[Math.min(...results.map(r => {
+    const level = CONFIDENCE_LEVELS.indexOf(r.confidence);
+    return level === -1 ? 0 : level;
+  }))];
+
+  return {
+    verificationScore: weakest.verificationScore,
+    verdict: VERDICTS.includes(weakest.verdict) ? weakest.verdict : 'Inconclusive',
+    confidence,
+    summary: `${results.length} sub-claims: ` + results
+      .map(r => `"${r.claim}" is ${String(r.verdict).toLowerCase()} (${r.verificationScore}%)`)
+      .join('; ') + '. The overall verdict follows the weakest sub-claim.'
+  };
+}
+
+module.exports = {
+  isCompound,
+  splitCompoundClaim,
+  aggregateVerdicts,
+  MAX_SUB_CLAIMS
+};
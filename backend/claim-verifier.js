@@ -1,46 +1,92 @@
-const Groq = require('groq-sdk');
+const { createProvider } = require('./llm-providers');
+const { VerificationCache } = require('./verification-cache');
+const { splitSentences, validateEvidence } = require('./evidence');
+const { isCompound, splitCompoundClaim, aggregateVerdicts, MAX_SUB_CLAIMS } = require('./claim-decomposer');
+const { scoreAnalyses } = require('./verdict-scoring');
+
+// Bump when the analysis prompt changes so cached analyses from the old prompt are ignored
+const PROMPT_VERSION = 'analyze-v2';
+
+// Very long abstracts are cut at a sentence boundary to bound prompt size
+const MAX_SENTENCES = 40;
 
 class ClaimVerifier {
-  constructor(apiKey) {
-    this.groq = new Groq({ apiKey });
-    this.model = 'llama-3.3-70b-versatile'; // Latest fast model
-    this.cache = new Map();
+  /**
+   * @param {string|Object} config - Groq API key (legacy), or { provider, model, baseUrl, apiKey,
+   *   temperature, maxTokens, summaryMaxTokens, decomposeMaxTokens, cache, scoring } where provider is a name or a provider
+   *   instance, cache is a VerificationCache (defaults to an in-memory LRU) and scoring holds
+   *   scoreAnalyses options (e.g. a fixed currentYear for reproducible evaluations)
+   */
+  constructor(config = {}) {
+    if (typeof config === 'string') {
+      config = { provider: 'groq', apiKey: config };
+    }
+
+    this.provider = config.provider && typeof config.provider.complete === 'function'
+      ? config.provider
+      : createProvider(config);
+    this.model = this.provider.model;
+    this.temperature = config.temperature !== undefined ? config.temperature : 0.1;
+    this.maxTokens = config.maxTokens || 200;
+    this.summaryMaxTokens = config.summaryMaxTokens || 500;
+    // Room for MAX_SUB_CLAIMS restated claims, so long compound text isn't cut off mid-JSON
+    this.decomposeMaxTokens = config.decomposeMaxTokens || 500;
+    this.cache = config.cache || new VerificationCache();
+    this.scoring = config.scoring || {};
+  }
+
+  /**
+   * Single-prompt JSON completion through the configured provider
+   */
+  async complete(prompt, maxTokens) {
+    const text = await this.provider.complete({
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.temperature,
+      maxTokens,
+      json: true // Force JSON output
+    });
+    return text.trim();
   }
 
   async analyzePaper(paper, claim) {
     const paperId = paper.id || paper.paperId || 'unknown';
-    const cacheKey = `${paperId}-${claim}`;
+    const cacheEntry = {
+      claim,
+      paperId,
+      paperText: `${paper.title || ''}\n${paper.abstract || ''}`,
+      model: `${this.provider.name}:${this.model}`,
+      promptVersion: PROMPT_VERSION
+    };
     
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+    const cached = await this.cache.get(cacheEntry);
+    if (cached) {
+      return { ...cached, paperSource: paper.source || cached.paperSource || null, relevanceScore: paper.relevance || 0, cached: true };
     }
 
     const authorsStr = Array.isArray(paper.authors) 
       ? paper.authors.join(', ') 
       : (paper.authors || 'Unknown');
 
+    const abstract = paper.abstract || '';
+    const sentences = splitSentences(abstract).slice(0, MAX_SENTENCES);
+
     const prompt = `Analyze if this paper supports or contradicts the claim.
 
 CLAIM: "${claim}"
 PAPER: ${paper.title}
-ABSTRACT: ${paper.abstract.substring(0, 500)}
+ABSTRACT SENTENCES:
+${sentences.map(s => `[${s.index}] ${s.text}`).join('\n')}
 
 Respond with ONLY this JSON (no extra text):
-{"stance":"supports","confidence":80,"evidence":"quote","reasoning":"why"}
+{"stance":"supports","confidence":80,"evidenceSentences":[2],"evidence":"exact quote","reasoning":"why"}
 
 stance: supports/contradicts/neutral/insufficient
-confidence: 0-100`;
+confidence: 0-100
+evidenceSentences: indices of the sentences that support your stance ([] if none)
+evidence: copied word-for-word from those sentences, never paraphrased`;
 
     try {
-      const response = await this.groq.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.1,
-        max_tokens: 200,
-        response_format: { type: 'json_object' } // Force JSON output
-      });
-      
-      let text = response.choices[0].message.content.trim();
+      let text = await this.complete(prompt, this.maxTokens);
       
       // Remove markdown code blocks if present
       text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '');
@@ -51,18 +97,26 @@ confidence: 0-100`;
         throw new Error('Invalid JSON response from LLM');
       }
       
-      const analysis = JSON.parse(jsonMatch[0]);
+      const parsed = JSON.parse(jsonMatch[0]);
       
-      if (!analysis.stance || typeof analysis.confidence !== 'number') {
+      if (!parsed.stance || typeof parsed.confidence !== 'number') {
         throw new Error('Missing required fields in JSON response');
       }
+
+      // Keep only evidence that actually occurs in the abstract
+      const analysis = validateEvidence(parsed, abstract, sentences);
+      if (analysis.hallucinatedQuote) {
+        console.warn(`Quote not found in abstract of ${paperId}: "${analysis.hallucinatedQuote.substring(0, 80)}"`);
+      }
       
       analysis.paperId = paperId;
       analysis.paperTitle = paper.title;
       analysis.paperYear = paper.year;
+      analysis.paperUrl = paper.url || null;
+      analysis.paperSource = paper.source || null;
       analysis.relevanceScore = paper.relevance || 0;
       
-      this.cache.set(cacheKey, analysis);
+      await this.cache.set(cacheEntry, analysis);
       
       return analysis;
     } catch (error) {
@@ -73,18 +127,26 @@ confidence: 0-100`;
         stance: 'error',
         confidence: 0,
         evidence: '',
-        reasoning: `Analysis failed: ${error.message}`
+        reasoning: `Analysis failed: ${error.message}`,
+        errorStatus: error.status || null
       };
     }
   }
 
-  async analyzePapersBatch(papers, claim, batchSize = 10) {
+  /**
+   * Analyze papers in batches; onAnalysis fires as soon as each paper's stance is ready
+   */
+  async analyzePapersBatch(papers, claim, batchSize = 10, onAnalysis = null) {
     const results = [];
     
     // Groq is fast, process all at once
     for (let i = 0; i < papers.length; i += batchSize) {
       const batch = papers.slice(i, i + batchSize);
-      const batchPromises = batch.map(paper => this.analyzePaper(paper, claim));
+      const batchPromises = batch.map(async (paper, j) => {
+        const analysis = await this.analyzePaper(paper, claim);
+        if (onAnalysis) onAnalysis(analysis, i + j);
+        return analysis;
+      });
       const batchResults = await Promise.all(batchPromises);
       results.push(...batchResults);
     }
@@ -92,15 +154,20 @@ confidence: 0-100`;
     return results;
   }
 
-  async generateSummary(claim, analyses) {
+  /**
+   * Prose summary for an already-scored verdict
+   * The score, verdict and confidence come from scoreAnalyses; the LLM only explains them
+   */
+  async generateSummary(claim, analyses, score) {
     const supporting = analyses.filter(a => a.stance === 'supports');
     const contradicting = analyses.filter(a => a.stance === 'contradicts');
     const neutral = analyses.filter(a => a.stance === 'neutral');
     const insufficient = analyses.filter(a => a.stance === 'insufficient');
 
-    const prompt = `Based on the analysis of ${analyses.length} papers, provide a final verification summary.
+    const prompt = `Based on the analysis of ${analyses.length} papers, write a final verification summary.
 
 CLAIM: "${claim}"
+VERDICT: ${score.verdict} (score ${score.verificationScore}/100, ${score.confidence} confidence)
 
 ANALYSIS RESULTS:
 - ${supporting.length} papers SUPPORT the claim
@@ -114,29 +181,15 @@ ${supporting.slice(0, 3).map(a => `- ${a.paperTitle} (${a.paperYear}): ${a.evide
 CONTRADICTING EVIDENCE:
 ${contradicting.slice(0, 3).map(a => `- ${a.paperTitle} (${a.paperYear}): ${a.evidence}`).join('\n')}
 
-Respond with ONLY this JSON:
+The verdict is fixed; explain it, don't change it. Respond with ONLY this JSON:
 {
-  "verificationScore": 75,
-  "verdict": "Supported",
-  "confidence": "High",
   "summary": "2-3 sentence summary",
   "keyFindings": ["finding 1", "finding 2", "finding 3"],
   "limitations": "Brief note on limitations"
-}
-
-Valid verdicts: "Strongly Supported", "Supported", "Inconclusive", "Contradicted", "Strongly Contradicted"
-Valid confidence: "High", "Medium", "Low"`;
+}`;
 
     try {
-      const response = await this.groq.chat.completions.create({
-        model: this.model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.1,
-        max_tokens: 500,
-        response_format: { type: 'json_object' } // Force JSON output
-      });
-      
-      let text = response.choices[0].message.content.trim();
+      let text = await this.complete(prompt, this.summaryMaxTokens);
       text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '');
       
       const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -145,19 +198,16 @@ Valid confidence: "High", "Medium", "Low"`;
         throw new Error('Invalid JSON response from LLM');
       }
       
-      return JSON.parse(jsonMatch[0]);
+      const parsed = JSON.parse(jsonMatch[0]);
+      return {
+        summary: parsed.summary,
+        keyFindings: Array.isArray(parsed.keyFindings) ? parsed.keyFindings : [],
+        limitations: parsed.limitations
+      };
     } catch (error) {
       console.error('Error generating summary:', error.message);
       
-      const totalConfident = supporting.length + contradicting.length;
-      const score = totalConfident > 0 
-        ? Math.round((supporting.length / totalConfident) * 100)
-        : 50;
-      
       return {
-        verificationScore: score,
-        verdict: score > 70 ? 'Supported' : score < 30 ? 'Contradicted' : 'Inconclusive',
-        confidence: 'Low',
         summary: `Based on ${analyses.length} papers: ${supporting.length} support, ${contradicting.length} contradict the claim.`,
         keyFindings: ['Analysis completed with limited LLM access'],
         limitations: 'Summary generation failed, showing basic statistics only'
@@ -165,11 +215,115 @@ Valid confidence: "High", "Medium", "Low"`;
     }
   }
 
+  /**
+   * Split compound text into atomic sub-claims (LLM first, rule-based fallback)
+   * Single sentences without a conjunction are returned as-is without an LLM call
+   */
+  async decomposeClaim(claim) {
+    const trimmed = claim.trim();
+    if (!isCompound(trimmed)) {
+      return [trimmed];
+    }
+
+    const prompt = `Split this text into independent, atomic factual claims that can each be checked against the scientific literature.
+Repeat the subject in every claim so each one stands alone. Do not add anything that isn't stated in the text.
+
+TEXT: "${trimmed}"
+
+Respond with ONLY this JSON:
+{"claims":["first claim","second claim"]}`;
+
+    try {
+      let text = await this.complete(prompt, this.decomposeMaxTokens);
+      text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+
+      const jsonMatch = text.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        throw new Error('Invalid JSON response from LLM');
+      }
+
+      const claims = (JSON.parse(jsonMatch[0]).claims || [])
+        .filter(c => typeof c === 'string' && c.trim())
+        .map(c => c.trim());
+      if (claims.length === 0) {
+        throw new Error('No claims in JSON response');
+      }
+
+      return [...new Set(claims)].slice(0, MAX_SUB_CLAIMS);
+    } catch (error) {
+      console.error('Error decomposing claim:', error.message);
+      return splitCompoundClaim(trimmed);
+    }
+  }
+
+  /**
+   * Verify compound text: decompose it, retrieve papers for each sub-claim and verify each one
+   * @param {Function} options.retrieve - async (subClaim) → papers
+   * @param {string[]} [options.subClaims] - already-decomposed sub-claims
+   * @param {Function} [options.onSubClaims] - called with the sub-claim list before verification starts
+   * @param {Function} [options.onSubClaimResult] - called with (result, index) as each sub-claim finishes
+   */
+  async verifyCompoundClaim(claim, options = {}) {
+    const {
+      retrieve,
+      subClaims: knownSubClaims = null,
+      maxPapers = 5,
+      batchSize = 10,
+      onSubClaims = null,
+      onSubClaimResult = null,
+      onProgress = null,
+      onAnalysis = null
+    } = options;
+
+    const startTime = Date.now();
+    const subClaims = knownSubClaims || await this.decomposeClaim(claim);
+    if (onSubClaims) onSubClaims(subClaims);
+
+    // One sub-claim at a time keeps concurrent LLM calls at batchSize
+    const results = [];
+    for (let i = 0; i < subClaims.length; i++) {
+      const papers = await retrieve(subClaims[i]);
+      const result = await this.verifyClaim(subClaims[i], papers, {
+        maxPapers,
+        batchSize,
+        onProgress: onProgress && (progress => onProgress({ ...progress, subClaimIndex: i })),
+        onAnalysis: onAnalysis && ((analysis, index, total) => onAnalysis(analysis, index, total, i))
+      });
+      results.push(result);
+      if (onSubClaimResult) onSubClaimResult(result, i);
+    }
+
+    const aggregate = aggregateVerdicts(results);
+
+    return {
+      claim,
+      decomposed: true,
+      verificationScore: aggregate.verificationScore,
+      verdict: aggregate.verdict,
+      confidence: aggregate.confidence,
+      summary: aggregate.summary,
+      keyFindings: results.flatMap(r => (r.keyFindings || []).slice(0, 2)),
+      limitations: 'Each sub-claim was verified against its own retrieved papers; the overall verdict is that of the weakest sub-claim.',
+      subClaims: results,
+      papersAnalyzed: results.reduce((sum, r) => sum + r.papersAnalyzed, 0),
+      papersTotal: results.reduce((sum, r) => sum + r.papersTotal, 0),
+      analyses: results.flatMap(r => r.analyses),
+      failedPapers: results.flatMap(r => r.failedPapers),
+      provider: this.provider.name,
+      model: this.model,
+      cacheHits: results.reduce((sum, r) => sum + r.cacheHits, 0),
+      rateLimited: results.reduce((sum, r) => sum + r.rateLimited, 0),
+      processingTimeMs: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   async verifyClaim(claim, papers, options = {}) {
     const {
       maxPapers = 5,
       batchSize = 10,
-      onProgress = null
+      onProgress = null,
+      onAnalysis = null
     } = options;
 
     const startTime = Date.now();
@@ -180,25 +334,41 @@ Valid confidence: "High", "Medium", "Low"`;
 
     if (onProgress) onProgress({ stage: 'analyzing', current: 0, total: topPapers.length });
 
-    const analyses = await this.analyzePapersBatch(topPapers, claim, batchSize);
+    let completed = 0;
+    const analyses = await this.analyzePapersBatch(topPapers, claim, batchSize, (analysis, index) => {
+      completed++;
+      if (onAnalysis) onAnalysis(analysis, index, topPapers.length);
+      if (onProgress) onProgress({ stage: 'analyzing', current: completed, total: topPapers.length });
+    });
 
     if (onProgress) onProgress({ stage: 'summarizing', current: topPapers.length, total: topPapers.length });
 
-    const summary = await this.generateSummary(claim, analyses);
+    const score = scoreAnalyses(analyses, this.scoring);
+    const summary = await this.generateSummary(claim, analyses, score);
 
     const processingTime = Date.now() - startTime;
+    const cacheHits = analyses.filter(a => a.cached).length;
 
     return {
       claim,
-      verificationScore: summary.verificationScore,
-      verdict: summary.verdict,
-      confidence: summary.confidence,
+      verificationScore: score.verificationScore,
+      verdict: score.verdict,
+      confidence: score.confidence,
+      scoring: score.scoring,
       summary: summary.summary,
       keyFindings: summary.keyFindings,
       limitations: summary.limitations,
       papersAnalyzed: analyses.length,
       papersTotal: papers.length,
       analyses: analyses.filter(a => a.stance !== 'error'),
+      // Papers whose analysis failed; `status` is the provider's HTTP status, when it answered with one
+      failedPapers: analyses
+        .filter(a => a.stance === 'error')
+        .map(a => ({ paperId: a.paperId, status: a.errorStatus, error: a.reasoning })),
+      provider: this.provider.name,
+      model: this.model,
+      cacheHits,
+      rateLimited: analyses.filter(a => a.errorStatus === 429).length, // Papers the provider refused with HTTP 429
       processingTimeMs: processingTime,
       timestamp: new Date().toISOString()
     };
@@ -206,3 +376,4 @@ Valid confidence: "High", "Medium", "Low"`;
 }
 
 module.exports = ClaimVerifier;
+module.exports.PROMPT_VERSION = PROMPT_VERSION;
@@ -0,0 +1,59 @@
+/**
+ * Database connection factory
+ * Connects to Turso in production, or to a local libSQL file in local mode
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@libsql/client');
+
+const DEFAULT_LOCAL_DB = path.join(__dirname, '../database/local/spacedigest.db');
+
+/**
+ * Local mode is used when DB_MODE=local or when no Turso URL is configured
+ */
+function isLocalMode() {
+  return process.env.DB_MODE === 'local' || !process.env.TURSO_DATABASE_URL;
+}
+
+/**
+ * Resolve the file path of the local database
+ */
+function getLocalDatabasePath() {
+  return path.resolve(process.env.LOCAL_DB_PATH || DEFAULT_LOCAL_DB);
+}
+
+/**
+ * Create a libSQL client for the configured backend
+ */
+function createDatabase() {
+  if (!isLocalMode()) {
+    return createClient({
+      url: process.env.TURSO_DATABASE_URL,
+      authToken: process.env.TURSO_AUTH_TOKEN,
+      intMode: 'number'
+    });
+  }
+
+  const dbPath = getLocalDatabasePath();
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  return createClient({
+    url: `file:${dbPath}`,
+    intMode: 'number'
+  });
+}
+
+/**
+ * Human-readable label for logs and health checks
+ */
+function describeDatabase() {
+  return isLocalMode() ? `local (${getLocalDatabasePath()})` : 'turso';
+}
+
+module.exports = {
+  createDatabase,
+  isLocalMode,
+  getLocalDatabasePath,
+  describeDatabase
+};
@@ -0,0 +1,242 @@
+/**
+ * Document fact-check mode
+ * Converts plain text, Markdown or HTML to plain text and picks out check-worthy
+ * sentences, which /api/check-document queues as a verification job. Claim spans are
+ * character offsets into the returned plain text so the frontend can annotate the article inline.
+ */
+
+const { splitSentences } = require('./evidence');
+
+const FORMATS = ['text', 'markdown', 'html'];
+const DEFAULT_MAX_CLAIMS = 10;
+const MAX_CLAIMS_LIMIT = 25;
+
+// Job report verdicts of claims that have no result yet
+const UNFINISHED_VERDICTS = ['Pending', 'Cancelled'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', hellip: '…' };
+
+// Signals that a sentence states a checkable fact
+const UNIT_PATTERN = /\b(solar mass(es)?|light[- ]years?|parsecs?|kpc|mpc|km|kelvin|degrees|billion|million|percent|times|au|ev|kev|mev|gev|hz|years? old)\b|%|°/i;
+const COMPARATIVE_PATTERN = /\b(first|largest|smallest|most|least|fastest|oldest|hottest|coldest|more than|less than|at least|at most|only|never|always|all|every|no)\b/i;
+const FACT_VERB_PATTERN = /\b(is|are|was|were|has|have|had|can|cannot|will|contains?|consists?|causes?|emits?|orbits?|exceeds?|produces?|shows?|showed|found|discovered|detected|observed|measured|confirmed|proves?|proved|makes? up)\b/i;
+const HEDGE_PATTERN = /\b(i think|we believe|in my opinion|perhaps|maybe|might|could be|let's|imagine)\b/i;
+
+/**
+ * Guess the format of a document
+ */
+function detectFormat(content) {
+  if (/<(p|div|h[1-6]|article|section|br|span|ul|ol|li|a)\b[^>]*>/i.test(content)) return 'html';
+  if (/^(#{1,6}\s|[-*]\s|\d+\.\s|>\s)|\[[^\]]+\]\([^)]+\)|\*\*[^*]+\*\*|```/m.test(content)) return 'markdown';
+  return 'text';
+}
+
+/**
+ * HTML → plain text, keeping block elements on their own lines
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|noscript|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|h[1-6]|li|ul|ol|article|section|header|footer|blockquote|tr|table|figure|figcaption)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+        return Number.isFinite(n) ? String.fromCodePoint(n) : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] || entity;
+    });
+}
+
+/**
+ * Markdown → plain text (code blocks and images dropped, links reduced to their text)
+ */
+function markdownToText(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+(.*)$/gm, '$1\n')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*([-*+]|\d+\.)\s+/gm, '\n') // List items become their own paragraphs
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(.+?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+/**
+ * Convert a document to normalized plain text (paragraphs separated by blank lines)
+ */
+function toPlainText(content, format) {
+  const converted = format === 'html' ? htmlToText(content)
+    : format === 'markdown' ? markdownToText(content)
+    : content;
+
+  return converted
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Score how check-worthy a sentence is (0 = not a factual claim)
+ */
+function checkWorthiness(sentence) {
+  const words = sentence.split(/\s+/);
+  if (words.length < 5 || words.length > 60) return 0;
+  if (/\?$/.test(sentence) || HEDGE_PATTERN.test(sentence)) return 0;
+  if (!FACT_VERB_PATTERN.test(sentence)) return 0;
+
+  let score = 1;
+  if (/\d/.test(sentence)) score += 2;
+  if (UNIT_PATTERN.test(sentence)) score += 1;
+  if (COMPARATIVE_PATTERN.test(sentence)) score += 1;
+  if (/\b[A-Z][a-z]+(?:\s[A-Z][a-z]+)*\b/.test(words.slice(1).join(' '))) score += 1; // Named entities
+  return score;
+}
+
+/**
+ * Pick check-worthy sentences from plain text, with offsets into that text
+ * @returns {Array<{ text: string, start: number, end: number, checkWorthiness: number }>}
+ */
+function extractClaims(text, { maxClaims = DEFAULT_MAX_CLAIMS, minScore = 2 } = {}) {
+  const candidates = [];
+
+  // Paragraphs first so headings and list items don't merge into one sentence
+  const paragraph = /[^\n]+(?:\n(?!\n)[^\n]+)*/g;
+  let match;
+  while ((match = paragraph.exec(text)) !== null) {
+    for (const sentence of splitSentences(match[0])) {
+      const score = checkWorthiness(sentence.text);
+      if (score >= minScore) {
+        candidates.push({
+          text: sentence.text,
+          start: match.index + sentence.start,
+          end: match.index + sentence.end,
+          checkWorthiness: score
+        });
+      }
+    }
+  }
+
+  // Keep the most check-worthy claims, reported in document order
+  return candidates
+    .map((claim, order) => ({ claim, order }))
+    .sort((a, b) => b.claim.checkWorthiness - a.claim.checkWorthiness || a.order - b.order)
+    .slice(0, maxClaims)
+    .sort((a, b) => a.order - b.order)
+    .map(({ claim }) => claim);
+}
+
+/**
+ * Plain text of a document and the check-worthy claims to verify in it
+ * @returns {{ format: string, text: string, claims: Array<{ text, start, end, checkWorthiness }> }}
+ */
+function documentClaims(content, { format = null, maxClaims = DEFAULT_MAX_CLAIMS } = {}) {
+  const detectedFormat = FORMATS.includes(format) ? format : detectFormat(content);
+  const text = toPlainText(content, detectedFormat);
+  return {
+    format: detectedFormat,
+    text,
+    claims: extractClaims(text, { maxClaims: Math.min(maxClaims, MAX_CLAIMS_LIMIT) })
+  };
+}
+
+/**
+ * Compact source list for the report: the papers behind each verdict
+ */
+function summarizeSources(result, limit = 3) {
+  return (result.analyses || [])
+    .filter(a => a.stance === 'supports' || a.stance === 'contradicts')
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit)
+    .map(a => ({
+      paperId: a.paperId,
+      title: a.paperTitle,
+      year: a.paperYear,
+      url: a.paperUrl || null,
+      stance: a.stance,
+      confidence: a.confidence,
+      evidence: a.evidence
+    }));
+}
+
+/**
+ * Report entry for a verified claim
+ */
+function claimReport(claim, index, result) {
+  return {
+    index,
+    ...claim,
+    verdict: result.verdict,
+    verificationScore: result.verificationScore,
+    confidence: result.confidence,
+    summary: result.summary,
+    subClaims: result.subClaims
+      ? result.subClaims.map(s => ({ claim: s.claim, verdict: s.verdict, verificationScore: s.verificationScore }))
+      : null,
+    papersAnalyzed: result.papersAnalyzed,
+    sources: summarizeSources(result)
+  };
+}
+
+/**
+ * Verdict counts over the claims that have finished
+ */
+function summarize(reports) {
+  const checked = reports.filter(r => !UNFINISHED_VERDICTS.includes(r.verdict));
+  const verdicts = {};
+  checked.forEach(r => {
+    verdicts[r.verdict] = (verdicts[r.verdict] || 0) + 1;
+  });
+  return { claimsChecked: checked.length, verdicts };
+}
+
+/**
+ * Report of a document check queued with JobQueue (a job from getJob with its results)
+ * Claims still queued or running have the verdict "Pending", cancelled ones "Cancelled"
+ */
+function jobReport(job) {
+  const { format, text, claims } = job.document;
+  const reports = claims.map((claim, i) => {
+    const item = job.items[i];
+    if (item.status === 'completed') return claimReport(claim, i, item.result);
+    if (item.status === 'failed') {
+      return { index: i, ...claim, verdict: 'Error', verificationScore: null, error: item.error, sources: [] };
+    }
+    return {
+      index: i,
+      ...claim,
+      verdict: item.status === 'cancelled' ? 'Cancelled' : 'Pending',
+      verificationScore: null,
+      sources: []
+    };
+  });
+
+  return {
+    id: job.id,
+    status: job.status,
+    format,
+    text,
+    claims: reports,
+    summary: summarize(reports),
+    progress: job.progress,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+module.exports = {
+  detectFormat,
+  toPlainText,
+  extractClaims,
+  documentClaims,
+  jobReport,
+  FORMATS,
+  DEFAULT_MAX_CLAIMS,
+  MAX_CLAIMS_LIMIT
+};
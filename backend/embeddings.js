@@ -0,0 +1,121 @@
+/**
+ * Local text embeddings for the `semantic` retrieval signal
+ * Signed feature hashing of words, word bigrams and character n-grams into a
+ * fixed-size L2-normalized vector. Runs on CPU with no model download, and
+ * character n-grams let paraphrases like "stars made of neutrons" reach
+ * "neutron star" papers that exact FTS terms miss. It is still a lexical signal:
+ * texts only score as similar when they share words or word fragments.
+ */
+
+const EMBEDDING_MODEL = 'hash-ngram-v1';
+const EMBEDDING_DIM = 256;
+
+// Function words and academic boilerplate that carry no topical signal (shared with
+// SourceRetriever's keyword extraction so both retrieval signals drop the same words)
+const STOP_WORDS = new Set([
+  'the', 'and', 'that', 'this', 'with', 'from', 'have', 'been', 'were', 'are', 'for',
+  'can', 'will', 'but', 'not', 'its', 'our', 'their', 'which', 'these', 'those', 'than',
+  'into', 'also', 'such', 'between', 'using', 'used', 'use', 'based', 'show', 'shows',
+  'present', 'presents', 'paper', 'study', 'result', 'results', 'find', 'found', 'here',
+  'has', 'was', 'may', 'other', 'only', 'both', 'more', 'most', 'some', 'all', 'any',
+  'made', 'very', 'about', 'over', 'under', 'well', 'what', 'when', 'where', 'there'
+]);
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Lowercase word tokens with a crude plural strip ("masses" → "mass", "stars" → "star")
+ */
+function tokenize(text) {
+  const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  return words
+    .filter(w => w.length > 1 && !STOP_WORDS.has(w))
+    .map(w => {
+      if (w.length > 4 && w.endsWith('sses')) return w.slice(0, -2);
+      if (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us')) return w.slice(0, -1);
+      return w;
+    });
+}
+
+class HashingEmbedder {
+  constructor({ dim = EMBEDDING_DIM, ngram = 4 } = {}) {
+    this.model = EMBEDDING_MODEL;
+    this.dim = dim;
+    this.ngram = ngram;
+  }
+
+  /**
+   * Add a weighted feature to the vector (sign bit reduces collision bias)
+   */
+  addFeature(vector, feature, weight) {
+    const h = hash(feature);
+    const sign = (h & 0x80000000) ? -1 : 1;
+    vector[h % this.dim] += sign * weight;
+  }
+
+  /**
+   * Embed text into a normalized Float32Array
+   */
+  embed(text) {
+    const vector = new Float32Array(this.dim);
+    const tokens = tokenize(text);
+
+    // Sublinear term frequency so repeated words don't dominate long abstracts
+    const counts = new Map();
+    tokens.forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+
+    for (const [token, count] of counts) {
+      const weight = 1 + Math.log(count);
+      this.addFeature(vector, `w:${token}`, weight);
+
+      const padded = `<${token}>`;
+      for (let i = 0; i + this.ngram <= padded.length; i++) {
+        this.addFeature(vector, `c:${padded.slice(i, i + this.ngram)}`, 0.3 * weight);
+      }
+    }
+
+    for (let i = 0; i + 1 < tokens.length; i++) {
+      this.addFeature(vector, `b:${tokens[i]} ${tokens[i + 1]}`, 0.7);
+    }
+
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+
+    return vector;
+  }
+
+  /**
+   * Embed a paper from its title and abstract (title counted twice)
+   */
+  embedPaper(paper) {
+    return this.embed(`${paper.title || ''} ${paper.title || ''} ${paper.abstract || ''}`);
+  }
+
+  /**
+   * Serialize a vector for a libSQL F32_BLOB column
+   */
+  static toBlob(vector) {
+    return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+  }
+}
+
+module.exports = {
+  HashingEmbedder,
+  EMBEDDING_MODEL,
+  EMBEDDING_DIM,
+  STOP_WORDS
+};
@@ -0,0 +1,176 @@
+/**
+ * Retrieval and verification quality metrics for the claim benchmark
+ * Benchmark cases are JSONL lines:
+ *   {"id": "ns-two-solar-masses", "claim": "...", "relevant": ["1010.5788", ...], "verdict": "Supported"}
+ * `relevant` is a list of paper IDs, or an object of paper ID → graded relevance (1-3) for nDCG.
+ * `verdict` (optional) is the expected verification verdict; `filters` and `mode` are passed to retrieval.
+ */
+
+const fs = require('fs');
+
+const VERDICT_POLARITY = {
+  'Strongly Supported': 'supported',
+  'Supported': 'supported',
+  'Inconclusive': 'inconclusive',
+  'Contradicted': 'contradicted',
+  'Strongly Contradicted': 'contradicted'
+};
+
+/**
+ * Read and validate a JSONL benchmark file
+ */
+function loadBenchmark(filePath) {
+  const cases = [];
+  const seen = new Set();
+
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('//')) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filePath}:${i + 1}: invalid JSON (${error.message})`);
+    }
+
+    if (!entry.id || !entry.claim) {
+      throw new Error(`${filePath}:${i + 1}: "id" and "claim" are required`);
+    }
+    if (seen.has(entry.id)) {
+      throw new Error(`${filePath}:${i + 1}: duplicate id "${entry.id}"`);
+    }
+    if (entry.verdict && !VERDICT_POLARITY[entry.verdict]) {
+      throw new Error(`${filePath}:${i + 1}: unknown verdict "${entry.verdict}"`);
+    }
+    seen.add(entry.id);
+
+    const relevant = Array.isArray(entry.relevant)
+      ? Object.fromEntries(entry.relevant.map(id => [id, 1]))
+      : (entry.relevant || {});
+
+    cases.push({ ...entry, relevant });
+  });
+
+  return cases;
+}
+
+/**
+ * Share of relevant papers found in the top k
+ */
+function recallAtK(rankedIds, relevant, k) {
+  const relevantIds = Object.keys(relevant);
+  if (relevantIds.length === 0) return null;
+  const top = new Set(rankedIds.slice(0, k));
+  return relevantIds.filter(id => top.has(id)).length / relevantIds.length;
+}
+
+/**
+ * Normalized discounted cumulative gain at k with graded relevance (gain 2^grade - 1)
+ */
+function ndcgAtK(rankedIds, relevant, k) {
+  const grades = Object.values(relevant).sort((a, b) => b - a);
+  if (grades.length === 0) return null;
+
+  const dcg = rankedIds.slice(0, k)
+    .reduce((sum, id, i) => sum + (Math.pow(2, relevant[id] || 0) - 1) / Math.log2(i + 2), 0);
+  const idealDcg = grades.slice(0, k)
+    .reduce((sum, grade, i) => sum + (Math.pow(2, grade) - 1) / Math.log2(i + 2), 0);
+
+  return idealDcg > 0 ? dcg / idealDcg : 0;
+}
+
+/**
+ * 1 / rank of the first relevant paper (0 when none is retrieved)
+ */
+function reciprocalRank(rankedIds, relevant) {
+  if (Object.keys(relevant).length === 0) return null;
+  const rank = rankedIds.findIndex(id => relevant[id] > 0);
+  return rank === -1 ? 0 : 1 / (rank + 1);
+}
+
+/**
+ * Exact verdict match, and polarity match (supported / inconclusive / contradicted)
+ */
+function verdictMatch(actual, expected) {
+  return {
+    exact: actual === expected,
+    polarity: VERDICT_POLARITY[actual] !== undefined && VERDICT_POLARITY[actual] === VERDICT_POLARITY[expected]
+  };
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+function mean(values) {
+  const defined = values.filter(v => v !== null && v !== undefined);
+  return defined.length > 0 ? round(defined.reduce((a, b) => a + b, 0) / defined.length) : null;
+}
+
+/**
+ * Per-case retrieval metrics for cutoffs ks
+ */
+function scoreRetrieval(rankedIds, relevant, ks) {
+  const metrics = {};
+  ks.forEach(k => {
+    metrics[`recall@${k}`] = round(recallAtK(rankedIds, relevant, k));
+    metrics[`ndcg@${k}`] = round(ndcgAtK(rankedIds, relevant, k));
+  });
+  metrics.mrr = round(reciprocalRank(rankedIds, relevant));
+  return metrics;
+}
+
+/**
+ * Average per-case results into the run summary
+ */
+function summarize(results, ks) {
+  const summary = {};
+  const withRelevance = results.filter(r => r.retrieval && r.retrieval.mrr !== null);
+
+  ks.forEach(k => {
+    summary[`recall@${k}`] = mean(withRelevance.map(r => r.retrieval[`recall@${k}`]));
+    summary[`ndcg@${k}`] = mean(withRelevance.map(r => r.retrieval[`ndcg@${k}`]));
+  });
+  summary.mrr = mean(withRelevance.map(r => r.retrieval.mrr));
+
+  const verified = results.filter(r => r.verification);
+  summary.verdictAccuracy = mean(verified.map(r => (r.verification.exact ? 1 : 0)));
+  summary.polarityAccuracy = mean(verified.map(r => (r.verification.polarity ? 1 : 0)));
+  summary.cases = results.length;
+  summary.verifiedCases = verified.length;
+
+  return summary;
+}
+
+/**
+ * Metric deltas between two result files (current - baseline), plus cases whose metrics changed
+ */
+function compareRuns(baseline, current) {
+  const delta = {};
+  Object.keys(current.summary).filter(metric => !/cases$/i.test(metric)).forEach(metric => {
+    const before = baseline.summary[metric];
+    const after = current.summary[metric];
+    if (typeof before === 'number' && typeof after === 'number') {
+      delta[metric] = round(after - before);
+    }
+  });
+
+  const baselineCases = Object.fromEntries(baseline.cases.map(c => [c.id, c]));
+  const changedCases = current.cases
+    .filter(c => baselineCases[c.id] && JSON.stringify(c.retrieval) + JSON.stringify(c.verification) !==
+      JSON.stringify(baselineCases[c.id].retrieval) + JSON.stringify(baselineCases[c.id].verification))
+    .map(c => c.id);
+
+  return { delta, changedCases };
+}
+
+module.exports = {
+  loadBenchmark,
+  recallAtK,
+  ndcgAtK,
+  reciprocalRank,
+  verdictMatch,
+  scoreRetrieval,
+  summarize,
+  compareRuns
+};
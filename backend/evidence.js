@@ -0,0 +1,132 @@
+/**
+ * Sentence-level evidence for claim analyses
+ * Abstracts are split into indexed sentences with character offsets; the LLM cites
+ * sentence indices plus a quote, and both are checked against the source text.
+ */
+
+// Abbreviations whose trailing period doesn't end a sentence
+const ABBREVIATIONS = ['al', 'e.g', 'i.e', 'etc', 'fig', 'figs', 'eq', 'eqs', 'ref', 'refs', 'vs', 'cf', 'approx', 'dr', 'prof', 'no', 'vol', 'sec', 'ca'];
+
+/**
+ * Split text into sentences, keeping character offsets into the original string
+ * @returns {Array<{ index: number, text: string, start: number, end: number }>}
+ */
+function splitSentences(text) {
+  const sentences = [];
+  if (!text) return sentences;
+
+  let start = 0;
+  const boundary = /[.!?]+["')\]]*(?=\s+|$)/g;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    const before = text.slice(start, match.index);
+    const lastWord = (before.match(/([A-Za-z.]+)$/) || [])[1] || '';
+    const next = text.slice(end).trimStart();
+
+    // "et al.", "e.g.", single initials ("S. Hawking") and lowercase continuations aren't boundaries
+    if (ABBREVIATIONS.includes(lastWord.toLowerCase()) || /^[A-Z]$/.test(lastWord) || /^[a-z]/.test(next)) {
+      continue;
+    }
+
+    pushSentence(sentences, text, start, end);
+    start = end;
+  }
+
+  pushSentence(sentences, text, start, text.length);
+  return sentences;
+}
+
+/**
+ * Add text[start, end) as a sentence, trimming surrounding whitespace from the offsets
+ */
+function pushSentence(sentences, text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  if (end > start) {
+    sentences.push({ index: sentences.length, text: text.slice(start, end), start, end });
+  }
+}
+
+/**
+ * Find a quote in the source text, tolerating case, whitespace and quote-mark differences
+ * @returns {{ text: string, start: number, end: number } | null}
+ */
+function locateQuote(text, quote) {
+  if (!text || !quote) return null;
+
+  const trimmed = quote.trim().replace(/^["'“”]+|["'“”]+$/g, '').replace(/\.{3}$|…$/, '').trim();
+  if (trimmed.length < 8) return null;
+
+  const exact = text.indexOf(trimmed);
+  if (exact !== -1) {
+    return { text: trimmed, start: exact, end: exact + trimmed.length };
+  }
+
+  // Normalized search: map each kept character back to its position in the source
+  const positions = [];
+  let normalized = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      if (normalized.length > 0 && normalized[normalized.length - 1] !== ' ') {
+        normalized += ' ';
+        positions.push(i);
+      }
+      continue;
+    }
+    normalized += ch.toLowerCase();
+    positions.push(i);
+  }
+
+  const needle = trimmed.toLowerCase().replace(/\s+/g, ' ');
+  const found = normalized.indexOf(needle);
+  if (found === -1) return null;
+
+  const start = positions[found];
+  const end = positions[found + needle.length - 1] + 1;
+  return { text: text.slice(start, end), start, end };
+}
+
+/**
+ * Check an LLM analysis against the abstract
+ * Cited sentence indices are kept when they exist; the quote is kept only if it occurs in the
+ * abstract. A quote that can't be found is reported in `hallucinatedQuote` and replaced by the
+ * cited sentences (or dropped when there are none).
+ */
+function validateEvidence(analysis, abstract, sentences = splitSentences(abstract)) {
+  const cited = Array.isArray(analysis.evidenceSentences) ? analysis.evidenceSentences : [];
+  const evidenceSentences = [...new Set(cited.map(i => parseInt(i)))]
+    .filter(i => Number.isInteger(i) && i >= 0 && i < sentences.length)
+    .sort((a, b) => a - b)
+    .map(i => sentences[i]);
+
+  const rawQuote = typeof analysis.evidence === 'string' ? analysis.evidence.trim() : '';
+  const quote = locateQuote(abstract, rawQuote);
+
+  // A verified quote also counts as citing the sentences it falls in
+  if (quote) {
+    sentences
+      .filter(s => s.start < quote.end && s.end > quote.start)
+      .forEach(s => {
+        if (!evidenceSentences.some(e => e.index === s.index)) evidenceSentences.push(s);
+      });
+    evidenceSentences.sort((a, b) => a.index - b.index);
+  }
+
+  return {
+    ...analysis,
+    evidence: quote ? quote.text : evidenceSentences.map(s => s.text).join(' '),
+    quote,
+    evidenceSentences,
+    evidenceVerified: Boolean(quote) || evidenceSentences.length > 0,
+    hallucinatedQuote: rawQuote && !quote ? rawQuote : null
+  };
+}
+
+module.exports = {
+  splitSentences,
+  locateQuote,
+  validateEvidence
+};
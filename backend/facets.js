@@ -0,0 +1,175 @@
+/**
+ * Facet counts for the filter panel
+ * FilterOptions derives the available topics, subtopics, year range and sources from the
+ * papers table (cached, invalidated when papers are added). computeFacets counts topic,
+ * subtopic, year, source and top authors over the sources the query itself returns (both
+ * retrieval signals, after minRelevance), so each count is the number of results that
+ * selecting the option would list.
+ */
+
+const { FUSION_DEPTH } = require('./source-retriever');
+
+const FACET_DEPTH = 10 * FUSION_DEPTH; // Candidates per retrieval signal that facets are counted over
+const TOP_AUTHORS = 10;
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+const SOURCE_LABELS = { arxiv: 'arXiv', 'nasa-ads': 'NASA ADS' };
+
+// Filter keys each facet ignores, so every option shows what selecting it would return
+const OWN_FILTERS = {
+  topics: ['topic', 'subtopic'],
+  subtopics: ['subtopic'],
+  years: ['yearMin', 'yearMax'],
+  sources: ['source'],
+  authors: []
+};
+
+function sourceLabel(source) {
+  return SOURCE_LABELS[source] || source;
+}
+
+function withoutKeys(filters, keys) {
+  const copy = { ...filters };
+  keys.forEach(key => delete copy[key]);
+  return copy;
+}
+
+class FilterOptions {
+  constructor(db, { ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.db = db;
+    this.ttlMs = ttlMs;
+    this.cached = null;
+    this.expiresAt = 0;
+  }
+
+  /**
+   * Topics → subtopics, year range and source counts from the papers table
+   */
+  async load() {
+    const [subtopics, years, sources] = await Promise.all([
+      this.db.execute(`
+        SELECT topic, subtopic, COUNT(*) as count FROM papers
+        WHERE topic IS NOT NULL
+        GROUP BY topic, subtopic ORDER BY topic, subtopic
+      `),
+      this.db.execute('SELECT MIN(year) as min, MAX(year) as max, COUNT(*) as total FROM papers WHERE year > 0'),
+      this.db.execute("SELECT COALESCE(source, 'arxiv') as source, COUNT(*) as count FROM papers GROUP BY 1 ORDER BY count DESC")
+    ]);
+
+    const topics = {};
+    const topicCounts = {};
+    subtopics.rows.forEach(row => {
+      if (!topics[row.topic]) {
+        topics[row.topic] = [];
+        topicCounts[row.topic] = { count: 0, subtopics: {} };
+      }
+      if (row.subtopic) topics[row.topic].push(row.subtopic);
+      topicCounts[row.topic].count += row.count;
+      topicCounts[row.topic].subtopics[row.subtopic || 'other'] = row.count;
+    });
+
+    return {
+      topics,
+      topicCounts,
+      yearRange: {
+        min: years.rows[0].min,
+        max: years.rows[0].max
+      },
+      sources: sources.rows.map(row => ({ value: row.source, label: sourceLabel(row.source), count: row.count })),
+      totalPapers: sources.rows.reduce((sum, row) => sum + row.count, 0)
+    };
+  }
+
+  async get() {
+    if (!this.cached || Date.now() >= this.expiresAt) {
+      this.cached = await this.load();
+      this.expiresAt = Date.now() + this.ttlMs;
+    }
+    return this.cached;
+  }
+
+  /**
+   * Drop the cached options (call after papers are added or reclassified)
+   */
+  invalidate() {
+    this.cached = null;
+    this.expiresAt = 0;
+  }
+}
+
+/**
+ * Count sources by `keyOf` (sources without a key are skipped)
+ * @returns {Array<{ key, source, count }>} `source` is the first source with that key
+ */
+function countBy(sources, keyOf) {
+  const counts = new Map();
+  sources.forEach(source => {
+    const key = keyOf(source);
+    if (!key) return;
+    if (!counts.has(key)) counts.set(key, { key, source, count: 0 });
+    counts.get(key).count++;
+  });
+  return [...counts.values()];
+}
+
+const byCount = (a, b) => b.count - a.count || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+
+/**
+ * Most frequent authors of a set of papers
+ */
+async function countAuthors(db, paperIds) {
+  if (paperIds.length === 0) return [];
+  const result = await db.execute({
+    sql: `
+      SELECT a.id, a.name, COUNT(*) as count
+      FROM paper_authors pa
+      JOIN authors a ON a.id = pa.author_id
+      WHERE pa.paper_id IN (SELECT value FROM json_each(?))
+      GROUP BY a.id
+      ORDER BY count DESC, a.name
+      LIMIT ?
+    `,
+    args: [JSON.stringify(paperIds), TOP_AUTHORS]
+  });
+  return result.rows;
+}
+
+/**
+ * Facet counts for a query. `search(filters)` runs the query with other filters and resolves to
+ * { sources, complete } as the result list is built (sources past minRelevance, complete when no
+ * signal was cut off at the depth). Each facet ignores its own filter (the topic facet lists
+ * every topic even when one is selected), so up to five searches run; identical ones are shared.
+ */
+async function computeFacets(db, search, filters = {}) {
+  const searches = new Map();
+  const sourcesFor = facet => {
+    const facetFilters = withoutKeys(filters, OWN_FILTERS[facet]);
+    const key = JSON.stringify(facetFilters);
+    if (!searches.has(key)) searches.set(key, search(facetFilters));
+    return searches.get(key);
+  };
+
+  const [topics, subtopics, years, sources, results] = await Promise.all(
+    ['topics', 'subtopics', 'years', 'sources', 'authors'].map(sourcesFor)
+  );
+  const authors = await countAuthors(db, results.sources.map(source => source.paperId));
+
+  return {
+    topics: countBy(topics.sources, s => s.topic).sort(byCount).map(r => ({ value: r.key, count: r.count })),
+    subtopics: countBy(subtopics.sources, s => s.topic && s.subtopic && `${s.topic}/${s.subtopic}`)
+      .sort(byCount)
+      .map(r => ({ topic: r.source.topic, value: r.source.subtopic, count: r.count })),
+    years: countBy(years.sources, s => s.year).sort((a, b) => a.key - b.key).map(r => ({ year: r.key, count: r.count })),
+    sources: countBy(sources.sources, s => s.source).sort(byCount)
+      .map(r => ({ value: r.key, label: sourceLabel(r.key), count: r.count })),
+    authors: authors.map(r => ({ id: r.id, name: r.name, count: r.count })),
+    matches: results.sources.length,
+    sampled: !results.complete // Counts cover the FACET_DEPTH best candidates per signal only
+  };
+}
+
+module.exports = {
+  FilterOptions,
+  computeFacets,
+  FACET_DEPTH
+};
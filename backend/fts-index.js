@@ -0,0 +1,118 @@
+/**
+ * papers_fts tokenizer configuration and zero-downtime re-indexing
+ * reindexFts builds a shadow FTS table next to the live one, fills it in batches while
+ * searches keep using papers_fts, then renames it into place in a single write transaction
+ * (papers added during the build are caught up inside that transaction).
+ */
+
+const FTS_TABLE = 'papers_fts';
+const SHADOW_TABLE = 'papers_fts_new';
+const RETIRED_TABLE = 'papers_fts_old';
+
+// Porter stemming over unicode61 (must match backend/stemmer.js)
+const FTS_TOKENIZER = 'porter unicode61 remove_diacritics 2';
+const DEFAULT_TOKENIZER = 'unicode61'; // FTS5 default, used before migration 009
+
+const BATCH_SIZE = 10000;
+
+function createTableSql(name, tokenizer) {
+  return `
+    CREATE VIRTUAL TABLE ${name} USING fts5(
+      title,
+      abstract,
+      content='papers',
+      content_rowid='rowid',
+      tokenize='${tokenizer.replace(/'/g, "''")}'
+    )
+  `;
+}
+
+/**
+ * Tokenizer configuration of the live FTS table (null when it doesn't exist)
+ */
+async function getFtsTokenizer(db) {
+  const result = await db.execute({
+    sql: "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+    args: [FTS_TABLE]
+  });
+  if (result.rows.length === 0) return null;
+
+  const match = /tokenize\s*=\s*'((?:[^']|'')*)'/i.exec(result.rows[0].sql);
+  return match ? match[1].replace(/''/g, "'") : DEFAULT_TOKENIZER;
+}
+
+/**
+ * Run statements atomically: as one write batch, or in order when `db` is already a transaction
+ */
+async function runAtomically(db, statements) {
+  if (typeof db.commit === 'function') {
+    for (const statement of statements) await db.execute(statement);
+  } else {
+    await db.batch(statements, 'write');
+  }
+}
+
+/**
+ * Rebuild papers_fts with `tokenizer` and swap it in without interrupting searches
+ * @returns {{ indexed: number, tokenizer: string, previousTokenizer: string|null }}
+ */
+async function reindexFts(db, { tokenizer = FTS_TOKENIZER, batchSize = BATCH_SIZE, log = () => {} } = {}) {
+  const previousTokenizer = await getFtsTokenizer(db);
+
+  // Leftovers from an interrupted run
+  await db.execute(`DROP TABLE IF EXISTS ${SHADOW_TABLE}`);
+  await db.execute(`DROP TABLE IF EXISTS ${RETIRED_TABLE}`);
+  await db.execute(createTableSql(SHADOW_TABLE, tokenizer));
+
+  const { rows: [{ total, highWater }] } = await db.execute(
+    'SELECT COUNT(*) as total, COALESCE(MAX(rowid), 0) as highWater FROM papers'
+  );
+  log(`Indexing ${total.toLocaleString()} papers with tokenize='${tokenizer}'`);
+
+  // Page by rowid so each batch is an index seek; papers_fts keeps serving searches meanwhile
+  let lastRowid = 0;
+  let indexed = 0;
+  while (lastRowid < highWater) {
+    const batch = await db.execute({
+      sql: 'SELECT MAX(rowid) as lastRowid, COUNT(*) as count FROM (SELECT rowid FROM papers WHERE rowid > ? AND rowid <= ? ORDER BY rowid LIMIT ?)',
+      args: [lastRowid, highWater, batchSize]
+    });
+    const { lastRowid: batchEnd, count } = batch.rows[0];
+    if (!count) break;
+
+    await db.execute({
+      sql: `INSERT INTO ${SHADOW_TABLE}(rowid, title, abstract)
+            SELECT rowid, title, abstract FROM papers WHERE rowid > ? AND rowid <= ?`,
+      args: [lastRowid, batchEnd]
+    });
+
+    lastRowid = batchEnd;
+    indexed += count;
+    log(`Indexed ${indexed.toLocaleString()}/${total.toLocaleString()}`);
+  }
+
+  // Catch up on papers added during the build, then swap tables in one transaction
+  await runAtomically(db, [
+    {
+      sql: `INSERT INTO ${SHADOW_TABLE}(rowid, title, abstract)
+            SELECT rowid, title, abstract FROM papers WHERE rowid > ?`,
+      args: [highWater]
+    },
+    ...(previousTokenizer !== null ? [`ALTER TABLE ${FTS_TABLE} RENAME TO ${RETIRED_TABLE}`] : []),
+    `ALTER TABLE ${SHADOW_TABLE} RENAME TO ${FTS_TABLE}`,
+    `DROP TABLE IF EXISTS ${RETIRED_TABLE}`
+  ]);
+  log('Swapped in the new index');
+
+  await db.execute(`INSERT INTO ${FTS_TABLE}(${FTS_TABLE}) VALUES('optimize')`);
+
+  return { indexed, tokenizer, previousTokenizer };
+}
+
+module.exports = {
+  reindexFts,
+  getFtsTokenizer,
+  FTS_TABLE,
+  FTS_TOKENIZER,
+  DEFAULT_TOKENIZER
+};
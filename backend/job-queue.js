@@ -0,0 +1,383 @@
+/**
+ * Database-backed queue for long-running claim verifications
+ * A job holds one or more claims (verification_job_items). Workers in this process
+ * claim queued items up to a concurrency limit, retry rate-limited or failed LLM
+ * calls with exponential backoff, and write each claim's result back to the row,
+ * so clients poll GET /api/jobs/:id instead of holding a request open.
+ */
+
+const crypto = require('crypto');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const MAX_CLAIMS_PER_JOB = 500;
+
+const DEFAULTS = {
+  concurrency: 2,
+  maxAttempts: 4,
+  baseDelayMs: 5000,
+  maxDelayMs: 5 * 60 * 1000,
+  pollIntervalMs: 2000
+};
+
+/**
+ * Whether a failed run is worth retrying: rate limits (429) and provider-side errors (5xx)
+ */
+function isRetryable(error) {
+  return error.status === 429 || (error.status >= 500 && error.status < 600);
+}
+
+/**
+ * Delay before the next attempt: doubles per attempt, capped, with ±20% jitter so
+ * workers that hit the same rate limit don't retry in lockstep
+ */
+function backoffDelay(attempt, { baseDelayMs = DEFAULTS.baseDelayMs, maxDelayMs = DEFAULTS.maxDelayMs } = {}) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Split one CSV line into fields (quoted fields may contain commas and "" escapes)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+/**
+ * Claims from a CSV upload: the "claim" column when there is a header row, else the first column
+ */
+function parseClaimsCsv(csv) {
+  // Join quoted fields that span lines before splitting rows
+  const rows = [];
+  let pending = '';
+  for (const line of String(csv).replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    pending = pending ? `${pending}\n${line}` : line;
+    if ((pending.match(/"/g) || []).length % 2 === 0) {
+      if (pending.trim()) rows.push(parseCsvLine(pending));
+      pending = '';
+    }
+  }
+  if (pending.trim()) rows.push(parseCsvLine(pending));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(h => h.toLowerCase());
+  const column = header.indexOf('claim');
+  const data = column !== -1 ? rows.slice(1) : rows;
+
+  return data
+    .map(row => row[column !== -1 ? column : 0] || '')
+    .filter(Boolean);
+}
+
+class JobQueue {
+  /**
+   * @param {Object} db - libSQL client
+   * @param {Function} run - async (claim, options) → verification result; errors may carry
+   *   `status` (retried when 429 or 5xx) and `partialResult` (kept when the claim fails)
+   */
+  constructor(db, run, options = {}) {
+    this.db = db;
+    this.run = run;
+    this.options = { ...DEFAULTS, ...options };
+    this.active = 0;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Requeue items a previous process left running, then poll for work
+   */
+  async start() {
+    const recovered = await this.db.execute(
+      "UPDATE verification_job_items SET status = 'queued' WHERE status = 'running'"
+    );
+    if (recovered.rowsAffected > 0) {
+      console.log(`[Jobs] Requeued ${recovered.rowsAffected} interrupted item(s)`);
+    }
+
+    this.timer = setInterval(() => this.tick(), this.options.pollIntervalMs);
+    this.timer.unref();
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Create a job for one or more claims
+   * @param {string[]} claims
+   * @param {Object} [options] - verification options passed to run() (maxPapers, decompose, filters, mode)
+   * @param {Object} [meta] - source ('api', 'csv' or 'document'), userId, the owner when submitted
+   *   with an API key, and the document a document check's claims were extracted from
+   */
+  async enqueue(claims, options = {}, { source = 'api', userId = null, document = null } = {}) {
+    const id = crypto.randomUUID();
+    const now = Date.now();
+
+    // A document without check-worthy claims has nothing to wait for
+    const status = claims.length > 0 ? 'queued' : 'completed';
+
+    await this.db.batch([
+      {
+        sql: `INSERT INTO verification_jobs (id, user_id, status, source, options, document, total, created_at, finished_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          id, userId, status, source, JSON.stringify(options), document ? JSON.stringify(document) : null,
+          claims.length, now, claims.length > 0 ? null : now
+        ]
+      },
+      ...claims.map((claim, index) => ({
+        sql: 'INSERT INTO verification_job_items (job_id, item_index, claim) VALUES (?, ?, ?)',
+        args: [id, index, claim]
+      }))
+    ], 'write');
+
+    console.log(`[Jobs] Queued ${id} with ${claims.length} claim(s) (${source})`);
+    this.tick();
+
+    return this.getJob(id, { includeResults: false });
+  }
+
+  /**
+   * Job status with per-claim progress; null when the job doesn't exist
+   * (`includeResults` adds each claim's result and, for document checks, the document)
+   */
+  async getJob(id, { includeResults = true } = {}) {
+    const jobResult = await this.db.execute({
+      sql: 'SELECT * FROM verification_jobs WHERE id = ?',
+      args: [id]
+    });
+    if (jobResult.rows.length === 0) return null;
+    const job = jobResult.rows[0];
+
+    const items = await this.db.execute({
+      sql: `SELECT item_index, claim, status, attempts, next_attempt_at, error, started_at, finished_at
+              ${includeResults ? ', result' : ''}
+            FROM verification_job_items WHERE job_id = ? ORDER BY item_index`,
+      args: [id]
+    });
+
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    items.rows.forEach(item => {
+      counts[item.status]++;
+    });
+
+    return {
+      id: job.id,
+      userId: job.user_id,
+      status: job.status,
+      source: job.source,
+      options: JSON.parse(job.options),
+      ...(includeResults && job.document && { document: JSON.parse(job.document) }),
+      total: job.total,
+      progress: {
+        done: counts.completed + counts.failed + counts.cancelled,
+        ...counts
+      },
+      error: job.error,
+      createdAt: new Date(job.created_at).toISOString(),
+      startedAt: job.started_at ? new Date(job.started_at).toISOString() : null,
+      finishedAt: job.finished_at ? new Date(job.finished_at).toISOString() : null,
+      items: items.rows.map(item => ({
+        index: item.item_index,
+        claim: item.claim,
+        status: item.status,
+        attempts: item.attempts,
+        nextAttemptAt: item.status === 'queued' && item.next_attempt_at > Date.now()
+          ? new Date(item.next_attempt_at).toISOString()
+          : null,
+        error: item.error,
+        ...(includeResults && { result: item.result ? JSON.parse(item.result) : null })
+      }))
+    };
+  }
+
+  /**
+   * Cancel a job: queued claims are dropped and results of claims still running are discarded
+   * @returns {Object|null} the updated job, or null when it doesn't exist
+   */
+  async cancel(id) {
+    const job = await this.getJob(id, { includeResults: false });
+    if (!job) return null;
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) return job;
+
+    const now = Date.now();
+    await this.db.batch([
+      {
+        sql: `UPDATE verification_job_items SET status = 'cancelled', finished_at = ?
+              WHERE job_id = ? AND status IN ('queued', 'running')`,
+        args: [now, id]
+      },
+      {
+        sql: "UPDATE verification_jobs SET status = 'cancelled', finished_at = ? WHERE id = ?",
+        args: [now, id]
+      }
+    ], 'write');
+
+    console.log(`[Jobs] Cancelled ${id}`);
+    return this.getJob(id, { includeResults: false });
+  }
+
+  /**
+   * Start queued items until the concurrency limit is reached
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      while (this.active < this.options.concurrency) {
+        const item = await this.claimNext();
+        if (!item) break;
+
+        this.active++;
+        this.process(item)
+          .catch(error => console.error(`[Jobs] Worker error on ${item.job_id}#${item.item_index}:`, error.message))
+          .finally(() => {
+            this.active--;
+            this.tick();
+          });
+      }
+    } catch (error) {
+      console.error('[Jobs] Queue poll failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Atomically mark the oldest due item as running; null when nothing is due
+   */
+  async claimNext() {
+    const now = Date.now();
+    const next = await this.db.execute({
+      sql: `SELECT i.job_id, i.item_index, i.claim, i.attempts, j.options
+            FROM verification_job_items i
+            JOIN verification_jobs j ON j.id = i.job_id
+            WHERE i.status = 'queued' AND i.next_attempt_at <= ?
+            ORDER BY j.created_at, i.item_index
+            LIMIT 1`,
+      args: [now]
+    });
+    if (next.rows.length === 0) return null;
+
+    const item = next.rows[0];
+    const claimed = await this.db.execute({
+      sql: `UPDATE verification_job_items SET status = 'running', attempts = attempts + 1, started_at = ?
+            WHERE job_id = ? AND item_index = ? AND status = 'queued'`,
+      args: [now, item.job_id, item.item_index]
+    });
+
+    // Another worker got there first - try the next item
+    if (claimed.rowsAffected === 0) return this.claimNext();
+
+    await this.db.execute({
+      sql: `UPDATE verification_jobs SET status = 'running', started_at = COALESCE(started_at, ?)
+            WHERE id = ? AND status = 'queued'`,
+      args: [now, item.job_id]
+    });
+
+    return { ...item, attempts: item.attempts + 1 };
+  }
+
+  /**
+   * Verify one claim and record the outcome; results for cancelled items are dropped
+   */
+  async process(item) {
+    const where = "WHERE job_id = ? AND item_index = ? AND status = 'running'";
+    const key = [item.job_id, item.item_index];
+
+    try {
+      const result = await this.run(item.claim, JSON.parse(item.options));
+      await this.db.execute({
+        sql: `UPDATE verification_job_items SET status = 'completed', result = ?, error = NULL, finished_at = ? ${where}`,
+        args: [JSON.stringify(result), Date.now(), ...key]
+      });
+    } catch (error) {
+      if (isRetryable(error) && item.attempts < this.options.maxAttempts) {
+        const delay = backoffDelay(item.attempts, this.options);
+        console.warn(`[Jobs] ${item.job_id}#${item.item_index} attempt ${item.attempts} failed (${error.message}) - retrying in ${Math.round(delay / 1000)}s`);
+
+        await this.db.execute({
+          sql: `UPDATE verification_job_items SET status = 'queued', error = ?, next_attempt_at = ? ${where}`,
+          args: [error.message, Date.now() + delay, ...key]
+        });
+        return;
+      }
+
+      // Keep what was verified before the failure (run() attaches it as error.partialResult)
+      console.error(`[Jobs] ${item.job_id}#${item.item_index} failed:`, error.message);
+      await this.db.execute({
+        sql: `UPDATE verification_job_items SET status = 'failed', error = ?, result = ?, finished_at = ? ${where}`,
+        args: [error.message, error.partialResult ? JSON.stringify(error.partialResult) : null, Date.now(), ...key]
+      });
+    }
+
+    await this.finishJobIfDone(item.job_id);
+  }
+
+  /**
+   * Close a job once no claim is queued or running
+   */
+  async finishJobIfDone(jobId) {
+    const counts = await this.db.execute({
+      sql: `SELECT
+              SUM(CASE WHEN status IN ('queued', 'running') THEN 1 ELSE 0 END) as pending,
+              SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
+              SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+            FROM verification_job_items WHERE job_id = ?`,
+      args: [jobId]
+    });
+
+    const { pending, completed, failed } = counts.rows[0];
+    if (pending > 0) return;
+
+    // A job fails only when none of its claims could be verified
+    const status = completed === 0 && failed > 0 ? 'failed' : 'completed';
+    const updated = await this.db.execute({
+      sql: `UPDATE verification_jobs SET status = ?, error = ?, finished_at = ?
+            WHERE id = ? AND status IN ('queued', 'running')`,
+      args: [status, status === 'failed' ? 'All claims failed' : null, Date.now(), jobId]
+    });
+
+    if (updated.rowsAffected > 0) {
+      console.log(`[Jobs] ${jobId} ${status}: ${completed} completed, ${failed} failed`);
+    }
+  }
+}
+
+module.exports = {
+  JobQueue,
+  parseClaimsCsv,
+  backoffDelay,
+  isRetryable,
+  JOB_STATUSES,
+  MAX_CLAIMS_PER_JOB
+};
@@ -0,0 +1,42 @@
+/**
+ * Papers table, lookup indexes and the external-content FTS index
+ * Matches the schema originally created by the migrate-to-turso scripts
+ */
+
+module.exports = {
+  description: 'Create papers table, indexes and papers_fts',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS papers (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        abstract TEXT,
+        authors TEXT,
+        year INTEGER,
+        topic TEXT NOT NULL,
+        subtopic TEXT NOT NULL,
+        keywords TEXT,
+        created_at INTEGER DEFAULT (unixepoch())
+      )
+    `);
+
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_topic_subtopic ON papers(topic, subtopic)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_year ON papers(year)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_topic ON papers(topic)');
+
+    await db.execute(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS papers_fts USING fts5(
+        title,
+        abstract,
+        content='papers',
+        content_rowid='rowid'
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS papers_fts');
+    await db.execute('DROP TABLE IF EXISTS papers');
+  }
+};
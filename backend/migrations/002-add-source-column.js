@@ -0,0 +1,40 @@
+/**
+ * Source column (arxiv / nasa-ads), formerly scripts/add-source-field.js
+ */
+
+const { hasColumn } = require('../migrator');
+
+module.exports = {
+  description: 'Add papers.source and backfill NASA ADS bibcodes',
+
+  async up(db) {
+    // Databases migrated with add-source-field.js already have the column
+    if (await hasColumn(db, 'papers', 'source')) {
+      return;
+    }
+
+    await db.execute("ALTER TABLE papers ADD COLUMN source TEXT DEFAULT 'arxiv'");
+
+    // Papers with bibcode pattern are from NASA ADS
+    await db.execute(`
+      UPDATE papers
+      SET source = 'nasa-ads'
+      WHERE id LIKE '%ApJ%'
+         OR id LIKE '%MNRAS%'
+         OR id LIKE '%A&A%'
+         OR id LIKE '%AJ%'
+         OR id LIKE '%PhRv%'
+         OR id LIKE '%PASP%'
+         OR id LIKE '%Natur%'
+         OR id LIKE '%Sci%'
+         OR id LIKE '%cosp%'
+         OR id LIKE '%AIPC%'
+         OR id LIKE '%BASI%'
+         OR id LIKE '%nova.pres%'
+    `);
+  },
+
+  async down(db) {
+    await db.execute('ALTER TABLE papers DROP COLUMN source');
+  }
+};
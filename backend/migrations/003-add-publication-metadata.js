@@ -0,0 +1,28 @@
+/**
+ * DOI, journal and citation count columns
+ * ADD COLUMN with a constant default only rewrites the schema, not the rows
+ */
+
+const { hasColumn } = require('../migrator');
+
+module.exports = {
+  description: 'Add papers.doi, papers.journal and papers.citation_count',
+
+  async up(db) {
+    if (!(await hasColumn(db, 'papers', 'doi'))) {
+      await db.execute('ALTER TABLE papers ADD COLUMN doi TEXT');
+    }
+    if (!(await hasColumn(db, 'papers', 'journal'))) {
+      await db.execute('ALTER TABLE papers ADD COLUMN journal TEXT');
+    }
+    if (!(await hasColumn(db, 'papers', 'citation_count'))) {
+      await db.execute('ALTER TABLE papers ADD COLUMN citation_count INTEGER DEFAULT 0');
+    }
+  },
+
+  async down(db) {
+    await db.execute('ALTER TABLE papers DROP COLUMN citation_count');
+    await db.execute('ALTER TABLE papers DROP COLUMN journal');
+    await db.execute('ALTER TABLE papers DROP COLUMN doi');
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Embedding vectors for semantic retrieval, keyed by papers.rowid
+ * Populated offline by scripts/build-embeddings.js
+ */
+
+module.exports = {
+  description: 'Create paper_embeddings table and vector index',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS paper_embeddings (
+        paper_rowid INTEGER PRIMARY KEY,
+        model TEXT NOT NULL,
+        embedding F32_BLOB(256) NOT NULL
+      )
+    `);
+
+    await db.execute(`
+      CREATE INDEX IF NOT EXISTS idx_paper_embeddings_vector
+      ON paper_embeddings(libsql_vector_idx(embedding, 'metric=cosine'))
+    `);
+  },
+
+  async down(db) {
+    await db.execute('DROP INDEX IF EXISTS idx_paper_embeddings_vector');
+    await db.execute('DROP TABLE IF EXISTS paper_embeddings');
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Normalized authors and the paper ↔ author link table
+ * Populated from papers.authors by scripts/build-authors.js
+ */
+
+module.exports = {
+  description: 'Create authors and paper_authors tables',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS authors (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        normalized_name TEXT NOT NULL UNIQUE,
+        last_name TEXT NOT NULL,
+        paper_count INTEGER DEFAULT 0
+      )
+    `);
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS paper_authors (
+        paper_id TEXT NOT NULL,
+        author_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (paper_id, author_id)
+      )
+    `);
+
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_authors_last_name ON authors(last_name)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_paper_authors_author ON paper_authors(author_id)');
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS paper_authors');
+    await db.execute('DROP TABLE IF EXISTS authors');
+  }
+};
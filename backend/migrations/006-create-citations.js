@@ -0,0 +1,26 @@
+/**
+ * Citation graph edges (citing paper → cited paper)
+ * IDs are arXiv IDs or ADS bibcodes; cited papers outside the corpus are kept
+ * so reference lists stay complete. Loaded by scripts/ingest-citations.js
+ */
+
+module.exports = {
+  description: 'Create citations edge table',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS citations (
+        citing_id TEXT NOT NULL,
+        cited_id TEXT NOT NULL,
+        source TEXT NOT NULL DEFAULT 'nasa-ads',
+        PRIMARY KEY (citing_id, cited_id)
+      )
+    `);
+
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_citations_cited ON citations(cited_id)');
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS citations');
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Persistent per-paper verification results
+ * Keyed by normalized claim + paper + model + prompt version, with an expiry time
+ * so analyses survive redeploys without going stale forever
+ */
+
+module.exports = {
+  description: 'Create verification_cache table',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS verification_cache (
+        cache_key TEXT PRIMARY KEY,
+        claim TEXT NOT NULL,
+        paper_id TEXT NOT NULL,
+        model TEXT NOT NULL,
+        prompt_version TEXT NOT NULL,
+        analysis TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        hit_count INTEGER DEFAULT 0
+      )
+    `);
+
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_verification_cache_expires ON verification_cache(expires_at)');
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS verification_cache');
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Background verification jobs
+ * One row per job, one row per claim in it; workers claim queued items and
+ * store each claim's result so jobs survive restarts and can be polled
+ */
+
+module.exports = {
+  description: 'Create verification_jobs and verification_job_items tables',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS verification_jobs (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'queued',
+        source TEXT NOT NULL DEFAULT 'api',
+        options TEXT NOT NULL DEFAULT '{}',
+        total INTEGER NOT NULL,
+        error TEXT,
+        created_at INTEGER NOT NULL,
+        started_at INTEGER,
+        finished_at INTEGER
+      )
+    `);
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS verification_job_items (
+        job_id TEXT NOT NULL,
+        item_index INTEGER NOT NULL,
+        claim TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL DEFAULT 0,
+        result TEXT,
+        error TEXT,
+        started_at INTEGER,
+        finished_at INTEGER,
+        PRIMARY KEY (job_id, item_index)
+      )
+    `);
+
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_job_items_queue ON verification_job_items(status, next_attempt_at)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_jobs_created ON verification_jobs(created_at)');
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS verification_job_items');
+    await db.execute('DROP TABLE IF EXISTS verification_jobs');
+  }
+};
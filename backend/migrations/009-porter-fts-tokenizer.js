@@ -0,0 +1,41 @@
+/**
+ * Rebuild papers_fts with the porter/unicode61 tokenizer so word forms match
+ * ("accreting" finds "accretion")
+ * Migrations run inside one write transaction, so only small indexes are rebuilt here. Larger
+ * ones must be switched first with scripts/reindex-fts.js, which rebuilds in batches without
+ * blocking writers; this migration then finds the tokenizer already in place and does nothing.
+ */
+
+const { reindexFts, getFtsTokenizer, FTS_TOKENIZER, DEFAULT_TOKENIZER } = require('../fts-index');
+
+// Largest papers table rebuilt inside the migration transaction
+const MAX_INLINE_PAPERS = 50000;
+
+/**
+ * Switch papers_fts to `tokenizer`, refusing to rebuild a large index inside the transaction
+ */
+async function switchTokenizer(db, tokenizer, command) {
+  if ((await getFtsTokenizer(db)) === tokenizer) return;
+
+  const { rows: [{ count }] } = await db.execute('SELECT COUNT(*) as count FROM papers');
+  if (count > MAX_INLINE_PAPERS) {
+    throw new Error(
+      `papers_fts holds ${Number(count).toLocaleString()} papers, too many to rebuild inside a migration ` +
+      `without blocking writes. Run \`${command}\` first, then migrate again.`
+    );
+  }
+
+  await reindexFts(db, { tokenizer });
+}
+
+module.exports = {
+  description: 'Rebuild papers_fts with the porter stemming tokenizer',
+
+  async up(db) {
+    await switchTokenizer(db, FTS_TOKENIZER, 'npm run reindex:fts');
+  },
+
+  async down(db) {
+    await switchTokenizer(db, DEFAULT_TOKENIZER, `node scripts/reindex-fts.js --tokenizer ${DEFAULT_TOKENIZER}`);
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Saved searches and the papers each one has matched since it was created
+ * last_rowid is the papers.rowid high-water mark up to which a search has been evaluated
+ */
+
+module.exports = {
+  description: 'Create saved_searches and saved_search_matches tables',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS saved_searches (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        claim TEXT NOT NULL,
+        filters TEXT NOT NULL DEFAULT '{}',
+        mode TEXT NOT NULL DEFAULT 'hybrid',
+        last_rowid INTEGER NOT NULL DEFAULT 0,
+        last_checked_at INTEGER,
+        created_at INTEGER NOT NULL
+      )
+    `);
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS saved_search_matches (
+        search_id TEXT NOT NULL,
+        paper_id TEXT NOT NULL,
+        relevance REAL NOT NULL,
+        found_at INTEGER NOT NULL,
+        PRIMARY KEY (search_id, paper_id)
+      )
+    `);
+
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_saved_search_matches_found ON saved_search_matches(search_id, found_at)');
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS saved_search_matches');
+    await db.execute('DROP TABLE IF EXISTS saved_searches');
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Users with roles, and their API keys
+ * Only a SHA-256 hash of each key is stored; key_prefix identifies a key in listings.
+ * search_per_minute / verification_per_minute override the default rate limits for one key.
+ */
+
+module.exports = {
+  description: 'Create users and api_keys tables',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        email TEXT UNIQUE,
+        role TEXT NOT NULL DEFAULT 'reader' CHECK (role IN ('reader', 'curator', 'admin')),
+        created_at INTEGER NOT NULL,
+        disabled_at INTEGER
+      )
+    `);
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id),
+        name TEXT,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        search_per_minute INTEGER,
+        verification_per_minute INTEGER,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER,
+        revoked_at INTEGER
+      )
+    `);
+
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)');
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS api_keys');
+    await db.execute('DROP TABLE IF EXISTS users');
+  }
+};
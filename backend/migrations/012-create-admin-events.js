@@ -0,0 +1,35 @@
+/**
+ * Audit log of admin changes to papers
+ * before_snapshot / after_snapshot are JSON copies of the papers row (NULL before an insert
+ * and after a delete). An undo is recorded as its own event with `reverts` pointing at the
+ * original, whose `undone_by` points back.
+ */
+
+module.exports = {
+  description: 'Create admin_events table',
+
+  async up(db) {
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS admin_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL CHECK (action IN ('insert', 'update', 'delete', 'reclassify')),
+        paper_id TEXT NOT NULL,
+        actor_id TEXT,
+        actor_name TEXT,
+        before_snapshot TEXT,
+        after_snapshot TEXT,
+        reverts INTEGER,
+        undone_by INTEGER,
+        created_at INTEGER NOT NULL
+      )
+    `);
+
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_admin_events_created ON admin_events(created_at)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_admin_events_paper ON admin_events(paper_id)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_admin_events_actor ON admin_events(actor_id)');
+  },
+
+  async down(db) {
+    await db.execute('DROP TABLE IF EXISTS admin_events');
+  }
+};
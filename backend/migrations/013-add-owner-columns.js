@@ -0,0 +1,32 @@
+/**
+ * Owners for saved searches and verification jobs
+ * user_id is the users.id of the API key that created the row. Rows created before this
+ * migration (and jobs submitted without a key) have none.
+ */
+
+const { hasColumn } = require('../migrator');
+
+const TABLES = ['saved_searches', 'verification_jobs'];
+
+module.exports = {
+  description: 'Add user_id to saved_searches and verification_jobs',
+
+  async up(db) {
+    for (const table of TABLES) {
+      if (!(await hasColumn(db, table, 'user_id'))) {
+        await db.execute(`ALTER TABLE ${table} ADD COLUMN user_id TEXT`);
+      }
+    }
+
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_saved_searches_user ON saved_searches(user_id)');
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_jobs_user ON verification_jobs(user_id)');
+  },
+
+  async down(db) {
+    await db.execute('DROP INDEX IF EXISTS idx_saved_searches_user');
+    await db.execute('DROP INDEX IF EXISTS idx_jobs_user');
+    for (const table of TABLES) {
+      await db.execute(`ALTER TABLE ${table} DROP COLUMN user_id`);
+    }
+  }
+};
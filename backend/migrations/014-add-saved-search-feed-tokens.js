@@ -0,0 +1,24 @@
+/**
+ * Read-only feed tokens for saved searches
+ * Feed readers fetch /api/feeds/<feed_token> instead of putting an API key in the feed URL.
+ * Existing searches get a random token.
+ */
+
+const { hasColumn } = require('../migrator');
+
+module.exports = {
+  description: 'Add feed_token to saved_searches',
+
+  async up(db) {
+    if (!(await hasColumn(db, 'saved_searches', 'feed_token'))) {
+      await db.execute('ALTER TABLE saved_searches ADD COLUMN feed_token TEXT');
+    }
+    await db.execute('UPDATE saved_searches SET feed_token = lower(hex(randomblob(24))) WHERE feed_token IS NULL');
+    await db.execute('CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_searches_feed_token ON saved_searches(feed_token)');
+  },
+
+  async down(db) {
+    await db.execute('DROP INDEX IF EXISTS idx_saved_searches_feed_token');
+    await db.execute('ALTER TABLE saved_searches DROP COLUMN feed_token');
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Documents behind /api/check-document jobs
+ * A document check is queued as a job of its extracted claims; the job keeps the plain text,
+ * format and claim offsets so the report can be rebuilt as the claims finish.
+ */
+
+const { hasColumn } = require('../migrator');
+
+module.exports = {
+  description: 'Add document to verification_jobs',
+
+  async up(db) {
+    if (!(await hasColumn(db, 'verification_jobs', 'document'))) {
+      await db.execute('ALTER TABLE verification_jobs ADD COLUMN document TEXT');
+    }
+  },
+
+  async down(db) {
+    await db.execute('ALTER TABLE verification_jobs DROP COLUMN document');
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * papers.rowid of the paper an admin event changed
+ * Undoing a delete reinserts the paper under its original rowid, so saved searches (which track
+ * the last rowid they evaluated) don't report it as newly added. Existing events of papers that
+ * still exist are backfilled; undoing older deletes assigns a new rowid as before.
+ */
+
+const { hasColumn } = require('../migrator');
+
+module.exports = {
+  description: 'Add paper_rowid to admin_events',
+
+  async up(db) {
+    if (!(await hasColumn(db, 'admin_events', 'paper_rowid'))) {
+      await db.execute('ALTER TABLE admin_events ADD COLUMN paper_rowid INTEGER');
+    }
+    await db.execute(`
+      UPDATE admin_events SET paper_rowid = (SELECT rowid FROM papers WHERE papers.id = admin_events.paper_id)
+      WHERE paper_rowid IS NULL
+    `);
+  },
+
+  async down(db) {
+    await db.execute('ALTER TABLE admin_events DROP COLUMN paper_rowid');
+  }
+};
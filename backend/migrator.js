@@ -0,0 +1,148 @@
+/**
+ * Versioned schema migrations
+ * Migrations live in backend/migrations as NNN-name.js and export up(db) / down(db).
+ * Applied versions are recorded in the schema_migrations table.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Load all migration modules, sorted by version
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => /^\d+-.+\.js$/.test(f))
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: parseInt(file.split('-')[0], 10),
+        name: file.replace(/\.js$/, ''),
+        description: migration.description || '',
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Check whether a table has a column (used to make migrations idempotent)
+ */
+async function hasColumn(db, table, column) {
+  const result = await db.execute(`PRAGMA table_info(${table})`);
+  return result.rows.some(row => row.name === column);
+}
+
+async function ensureMigrationsTable(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER DEFAULT (unixepoch())
+    )
+  `);
+}
+
+/**
+ * Versions already applied to this database
+ */
+async function getAppliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const result = await db.execute('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+}
+
+/**
+ * Migrations not yet applied to this database
+ */
+async function getPendingMigrations(db) {
+  const applied = await getAppliedVersions(db);
+  return loadMigrations().filter(m => !applied.has(m.version));
+}
+
+/**
+ * Run a single migration step inside a write transaction
+ */
+async function runStep(db, migration, direction) {
+  const tx = await db.transaction('write');
+  try {
+    await migration[direction](tx);
+    if (direction === 'up') {
+      await tx.execute({
+        sql: 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        args: [migration.version, migration.name]
+      });
+    } else {
+      await tx.execute({
+        sql: 'DELETE FROM schema_migrations WHERE version = ?',
+        args: [migration.version]
+      });
+    }
+    await tx.commit();
+  } catch (error) {
+    await tx.rollback();
+    throw new Error(`Migration ${migration.name} (${direction}) failed: ${error.message}`);
+  } finally {
+    tx.close();
+  }
+}
+
+/**
+ * Apply pending migrations up to (and including) the target version
+ */
+async function migrateUp(db, { target = Infinity, log = () => {} } = {}) {
+  const pending = (await getPendingMigrations(db)).filter(m => m.version <= target);
+
+  for (const migration of pending) {
+    log(`↑ ${migration.name}: ${migration.description}`);
+    await runStep(db, migration, 'up');
+  }
+
+  return pending;
+}
+
+/**
+ * Revert the most recently applied migrations
+ */
+async function migrateDown(db, { steps = 1, log = () => {} } = {}) {
+  const applied = await getAppliedVersions(db);
+  const toRevert = loadMigrations()
+    .filter(m => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toRevert) {
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.name} cannot be reverted`);
+    }
+    log(`↓ ${migration.name}: ${migration.description}`);
+    await runStep(db, migration, 'down');
+  }
+
+  return toRevert;
+}
+
+/**
+ * Applied and pending migrations, for status output
+ */
+async function getStatus(db) {
+  const applied = await getAppliedVersions(db);
+  return loadMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    description: m.description,
+    applied: applied.has(m.version)
+  }));
+}
+
+module.exports = {
+  loadMigrations,
+  hasColumn,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown,
+  getStatus
+};
@@ -0,0 +1,97 @@
+/**
+ * Cursor pagination for ranked results
+ * Relevance is computed in memory over a window of top candidates, so pages are served
+ * from a window that grows with depth. The cursor records the sort key of the last result
+ * returned (keyset pagination) and the next page starts strictly after it. Windows are
+ * multiples of the retriever's FUSION_DEPTH, so every sort key is the same in any window and
+ * papers a larger window adds sort after the ones already seen (see compareSources): pages
+ * don't repeat or skip results as long as the index doesn't change between requests.
+ * Paging stops at MAX_RESULT_DEPTH; responses then report `truncated`.
+ */
+
+const crypto = require('crypto');
+const { FUSION_DEPTH, compareSources } = require('./source-retriever');
+
+const PAGE_WINDOW = FUSION_DEPTH; // Candidates are fetched in multiples of this
+const MAX_RESULT_DEPTH = 5000;    // Deepest result reachable by paging
+const COUNT_CAP = 10000;          // Total hit counts above this are reported as estimates
+
+class CursorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorError';
+  }
+}
+
+/**
+ * Short hash of everything that determines the result order, so a cursor can't be replayed
+ * against a different query
+ */
+function queryFingerprint(query) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(query))
+    .digest('base64url')
+    .substring(0, 12);
+}
+
+/**
+ * Opaque cursor after `last` (a source), `seen` results into the query
+ */
+function encodeCursor(fingerprint, seen, last) {
+  const payload = { f: fingerprint, n: seen, r: last.relevance, s: last.fusedScore, b: last.bestRank, id: last.paperId };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * @returns {{ seen: number, after: { relevance, fusedScore, bestRank, paperId } }}
+ * @throws {CursorError} when the cursor is malformed or belongs to another query
+ */
+function decodeCursor(cursor, fingerprint) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new CursorError('Invalid cursor');
+  }
+
+  if (!payload || typeof payload.n !== 'number' || typeof payload.r !== 'number' || typeof payload.b !== 'number' || !payload.id) {
+    throw new CursorError('Invalid cursor');
+  }
+  if (payload.f !== fingerprint) {
+    throw new CursorError('Cursor does not match this query');
+  }
+
+  return {
+    seen: payload.n,
+    after: { relevance: payload.r, fusedScore: payload.s, bestRank: payload.b, paperId: payload.id }
+  };
+}
+
+/**
+ * Ranked sources that come after a decoded cursor position (or a plain offset)
+ */
+function sourcesAfter(sources, { seen, after }) {
+  return after
+    ? sources.filter(source => compareSources(source, after) > 0)
+    : sources.slice(seen);
+}
+
+/**
+ * Candidate window needed to serve `count` results after the first `seen`
+ */
+function windowFor(seen, count) {
+  return Math.min(MAX_RESULT_DEPTH, Math.ceil((seen + count + 1) / PAGE_WINDOW) * PAGE_WINDOW);
+}
+
+module.exports = {
+  CursorError,
+  queryFingerprint,
+  encodeCursor,
+  decodeCursor,
+  sourcesAfter,
+  windowFor,
+  PAGE_WINDOW,
+  MAX_RESULT_DEPTH,
+  COUNT_CAP
+};
@@ -0,0 +1,314 @@
+/**
+ * Search query language for /api/search
+ *
+ *   "event horizon" AND kerr        quoted phrases, AND / OR / NOT, parentheses
+ *   title:pulsar abstract:"dark matter"   field-scoped terms
+ *   author:hawking year:2015..2020  filters (top level only)
+ *   accret*                          prefix wildcard
+ *
+ * Queries compile to a safely quoted FTS5 MATCH expression plus SQL filters.
+ * Syntax errors throw QueryParseError pointing at the offending token.
+ */
+
+const FTS_FIELDS = ['title', 'abstract'];
+const FILTER_FIELDS = ['author', 'year'];
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+class QueryParseError extends Error {
+  constructor(message, token) {
+    super(message);
+    this.name = 'QueryParseError';
+    this.position = token ? token.position : null;
+    this.token = token ? token.text : null;
+  }
+}
+
+/**
+ * Split a query into tokens with their character positions
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const ch = query[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch === '(' ? 'LPAREN' : 'RPAREN', text: ch, position: i });
+      i++;
+      continue;
+    }
+
+    const start = i;
+
+    // Optional field prefix: name:value
+    let field = null;
+    const fieldMatch = query.slice(i).match(/^([a-zA-Z]+):(?=\S)/);
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    if (query[i] === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new QueryParseError('Unterminated quoted phrase', { text: query.slice(start), position: start });
+      }
+      const prefix = query[end + 1] === '*';
+      const value = query.slice(i + 1, end);
+      i = end + 1 + (prefix ? 1 : 0);
+      tokens.push({ type: 'TERM', field, value, phrase: true, prefix, text: query.slice(start, i), position: start });
+      continue;
+    }
+
+    while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+    const text = query.slice(start, i);
+    const raw = query.slice(start + (field ? field.length + 1 : 0), i);
+
+    if (!field && OPERATORS.includes(raw)) {
+      tokens.push({ type: raw, text, position: start });
+      continue;
+    }
+
+    const prefix = raw.endsWith('*');
+    const value = prefix ? raw.slice(0, -1) : raw;
+    tokens.push({ type: 'TERM', field, value, phrase: false, prefix, text, position: start });
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser: OR binds loosest, then AND (explicit or implicit), then NOT
+ */
+class Parser {
+  constructor(tokens, query) {
+    this.tokens = tokens;
+    this.query = query;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  endToken() {
+    return { text: '', position: this.query.length };
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new QueryParseError('Query is empty', this.endToken());
+    }
+    const node = this.parseOr();
+    const extra = this.peek();
+    if (extra) {
+      throw new QueryParseError(`Unexpected "${extra.text}"`, extra);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.peek() && this.peek().type === 'OR') {
+      this.next();
+      left = { type: 'OR', children: [left, this.parseAnd('OR')] };
+    }
+    return left;
+  }
+
+  parseAnd(after) {
+    let left = this.parseNot(after);
+    while (this.peek() && !['OR', 'RPAREN'].includes(this.peek().type)) {
+      // "a AND NOT b" is the same as FTS5's binary "a NOT b"
+      const following = this.tokens[this.pos + 1];
+      if (this.peek().type === 'AND' && following && following.type === 'NOT') {
+        this.next();
+        this.next();
+        left = { type: 'NOT', children: [left, this.parsePrimary('NOT')] };
+        continue;
+      }
+
+      let op = null;
+      if (this.peek().type === 'AND') op = this.next().type;
+      left = { type: 'AND', children: [left, this.parseNot(op)] };
+    }
+    return left;
+  }
+
+  parseNot(after) {
+    let left = this.parsePrimary(after);
+    while (this.peek() && this.peek().type === 'NOT') {
+      this.next();
+      left = { type: 'NOT', children: [left, this.parsePrimary('NOT')] };
+    }
+    return left;
+  }
+
+  parsePrimary(after) {
+    const token = this.next();
+
+    if (!token) {
+      throw new QueryParseError(
+        after ? `Expected a term after ${after}` : 'Unexpected end of query',
+        this.endToken()
+      );
+    }
+
+    if (token.type === 'LPAREN') {
+      if (this.peek() && this.peek().type === 'RPAREN') {
+        throw new QueryParseError('Empty parentheses', token);
+      }
+      const node = this.parseOr();
+      const close = this.next();
+      if (!close || close.type !== 'RPAREN') {
+        throw new QueryParseError('Missing closing parenthesis', token);
+      }
+      return node;
+    }
+
+    if (token.type === 'TERM') {
+      return parseTerm(token);
+    }
+
+    if (token.type === 'NOT' && !after) {
+      throw new QueryParseError('NOT needs a term on its left (use "a NOT b")', token);
+    }
+
+    throw new QueryParseError(`Unexpected "${token.text}"`, token);
+  }
+}
+
+/**
+ * Validate a term token and turn it into an AST node
+ */
+function parseTerm(token) {
+  const { field, value } = token;
+
+  if (field && !FTS_FIELDS.includes(field) && !FILTER_FIELDS.includes(field)) {
+    throw new QueryParseError(
+      `Unknown field "${field}" (use ${[...FTS_FIELDS, ...FILTER_FIELDS].join(', ')})`,
+      token
+    );
+  }
+
+  if (field === 'year') {
+    const match = value.match(/^(\d{4})?(?:(\.\.)(\d{4})?)?$/);
+    if (!value || !match || (!match[1] && !match[3])) {
+      throw new QueryParseError('Invalid year filter (use year:2015, year:2015..2020 or year:..2020)', token);
+    }
+    const yearMin = match[1] ? parseInt(match[1]) : null;
+    const yearMax = match[2] ? (match[3] ? parseInt(match[3]) : null) : yearMin;
+    if (yearMin !== null && yearMax !== null && yearMin > yearMax) {
+      throw new QueryParseError('Year range is reversed', token);
+    }
+    return { type: 'FILTER', field, yearMin, yearMax, token };
+  }
+
+  if (field === 'author') {
+    if (!value.trim()) {
+      throw new QueryParseError('Empty author filter', token);
+    }
+    return { type: 'FILTER', field, value: value.trim(), token };
+  }
+
+  if (!/[\p{L}\p{N}]/u.test(value)) {
+    throw new QueryParseError(
+      token.phrase ? 'Empty quoted phrase' : `"${token.text}" contains no searchable characters`,
+      token
+    );
+  }
+
+  return { type: 'TERM', field, value, prefix: token.prefix, token };
+}
+
+/**
+ * Pull filters out of the top-level AND chain; filters anywhere else are rejected
+ */
+function extractFilters(node, filters, topLevel = true) {
+  if (node.type === 'FILTER') {
+    if (!topLevel) {
+      throw new QueryParseError(`${node.field}: filters can't be used inside OR / NOT`, node.token);
+    }
+    if (node.field === 'author') {
+      filters.authors.push(node.value);
+    } else {
+      if (node.yearMin !== null) filters.yearMin = Math.max(filters.yearMin || node.yearMin, node.yearMin);
+      if (node.yearMax !== null) filters.yearMax = Math.min(filters.yearMax || node.yearMax, node.yearMax);
+    }
+    return null;
+  }
+
+  if (node.type === 'TERM') return node;
+
+  const childTopLevel = topLevel && node.type === 'AND';
+  const children = node.children.map(child => extractFilters(child, filters, childTopLevel));
+
+  if (node.type === 'AND') {
+    const remaining = children.filter(Boolean);
+    if (remaining.length === 0) return null;
+    if (remaining.length === 1) return remaining[0];
+    return { ...node, children: remaining };
+  }
+
+  return { ...node, children };
+}
+
+/**
+ * Quote a term for FTS5 (embedded quotes are doubled)
+ */
+function quote(value) {
+  return `"${value.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Wrap a filter value in a LIKE substring pattern, escaping % and _ (use with ESCAPE '\')
+ */
+function likeContains(value) {
+  return `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * Compile an AST into an FTS5 MATCH expression
+ */
+function compile(node, parentType = null) {
+  if (node.type === 'TERM') {
+    const term = quote(node.value) + (node.prefix ? '*' : '');
+    return node.field ? `${node.field} : ${term}` : term;
+  }
+
+  const expr = node.children.map(child => compile(child, node.type)).join(` ${node.type} `);
+  return parentType ? `(${expr})` : expr;
+}
+
+/**
+ * Parse a query into an FTS5 MATCH expression and filters
+ * @returns {{ match: string|null, filters: { authors: string[], yearMin: number|null, yearMax: number|null } }}
+ */
+function parseQuery(query) {
+  const tokens = tokenize(query);
+  const ast = new Parser(tokens, query).parse();
+
+  const filters = { authors: [], yearMin: null, yearMax: null };
+  const ftsNode = extractFilters(ast, filters);
+
+  return {
+    match: ftsNode ? compile(ftsNode) : null,
+    filters
+  };
+}
+
+module.exports = {
+  parseQuery,
+  likeContains,
+  QueryParseError
+};
@@ -0,0 +1,137 @@
+/**
+ * Per-key token-bucket rate limiting
+ * Each caller has one bucket per budget: "search" for retrieval and browsing, "verification"
+ * for the LLM-backed endpoints. A bucket holds up to a minute's allowance and refills
+ * continuously, so short bursts pass while the sustained rate stays at the limit.
+ * Callers with an API key are limited per key (the key's own limits, else `key` defaults),
+ * anonymous callers per IP address (`anonymous` defaults; 0 means a key is required).
+ * A request may cost more than one token (verification costs one per LLM call it may make).
+ * One costing more than a full bucket is admitted only when the bucket is full and leaves it
+ * in debt, so large batches still pass but the sustained rate stays at the limit.
+ */
+
+const BUDGETS = ['search', 'verification'];
+
+const DEFAULT_LIMITS = {
+  search: { key: 120, anonymous: 30 },
+  verification: { key: 120, anonymous: 30 } // LLM calls
+};
+
+const MAX_BUCKETS = 10000; // Full (idle) buckets are dropped beyond this
+
+/**
+ * Per-minute limits from RATE_LIMIT_{SEARCH,VERIFICATION}_PER_MINUTE and
+ * RATE_LIMIT_ANONYMOUS_{SEARCH,VERIFICATION}_PER_MINUTE
+ */
+function loadRateLimits(env = process.env) {
+  const read = (name, fallback) => {
+    const value = parseInt(env[name], 10);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+  };
+
+  return Object.fromEntries(BUDGETS.map(budget => {
+    const upper = budget.toUpperCase();
+    return [budget, {
+      key: read(`RATE_LIMIT_${upper}_PER_MINUTE`, DEFAULT_LIMITS[budget].key),
+      anonymous: read(`RATE_LIMIT_ANONYMOUS_${upper}_PER_MINUTE`, DEFAULT_LIMITS[budget].anonymous)
+    }];
+  }));
+}
+
+class RateLimiter {
+  constructor(limits = DEFAULT_LIMITS) {
+    this.limits = limits;
+    this.buckets = new Map(); // "<budget>:<caller>" -> { tokens, capacity, updatedAt }
+  }
+
+  /**
+   * Take `cost` tokens from a bucket holding `perMinute` tokens at most (see above for cost > perMinute)
+   * @returns {{ allowed: boolean, remaining: number, retryAfter: number }} retryAfter in seconds
+   */
+  take(id, perMinute, cost = 1) {
+    const now = Date.now();
+    const ratePerMs = perMinute / 60000;
+    let bucket = this.buckets.get(id);
+
+    if (!bucket) {
+      if (this.buckets.size >= MAX_BUCKETS) this.prune(now);
+      bucket = { tokens: perMinute, capacity: perMinute, updatedAt: now };
+      this.buckets.set(id, bucket);
+    } else {
+      bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+      bucket.capacity = perMinute;
+      bucket.updatedAt = now;
+    }
+
+    const needed = Math.min(cost, perMinute);
+    if (bucket.tokens >= needed) {
+      bucket.tokens -= cost;
+      return { allowed: true, remaining: Math.max(0, Math.floor(bucket.tokens)), retryAfter: 0 };
+    }
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfter: Math.max(1, Math.ceil((needed - bucket.tokens) / ratePerMs / 1000))
+    };
+  }
+
+  /**
+   * Drop buckets that have refilled completely (they behave exactly like new ones)
+   */
+  prune(now = Date.now()) {
+    for (const [id, bucket] of this.buckets) {
+      const refilled = bucket.tokens + (now - bucket.updatedAt) * bucket.capacity / 60000;
+      if (refilled >= bucket.capacity) this.buckets.delete(id);
+    }
+  }
+
+  /**
+   * Express middleware charging each request `costFor(req)` tokens from the budget
+   * `budgetFor(req)` returns (null skips limiting). Runs after Auth#middleware, which sets
+   * req.auth, and after any body parser `costFor` reads.
+   */
+  middleware(budgetFor, costFor = () => 1) {
+    return (req, res, next) => {
+      const budget = budgetFor(req);
+      if (!budget) return next();
+
+      const key = req.auth && req.auth.key;
+      const perMinute = key
+        ? (key.limits[budget] ?? this.limits[budget].key)
+        : this.limits[budget].anonymous;
+
+      if (perMinute === 0) {
+        if (!key) {
+          res.set('WWW-Authenticate', 'Bearer realm="SpaceDigest"');
+          return res.status(401).json({ error: `API key required for ${budget} requests` });
+        }
+        return res.status(403).json({ error: `This API key has no ${budget} allowance` });
+      }
+
+      const { allowed, remaining, retryAfter } = this.take(
+        `${budget}:${key ? `key:${key.id}` : `ip:${req.ip}`}`,
+        perMinute,
+        costFor(req)
+      );
+      res.set('RateLimit-Limit', String(perMinute));
+      res.set('RateLimit-Remaining', String(remaining));
+
+      if (!allowed) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: `Rate limit exceeded: ${perMinute} ${budget} tokens per minute. Retry in ${retryAfter}s`,
+          budget,
+          retryAfter
+        });
+      }
+      next();
+    };
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  loadRateLimits,
+  BUDGETS,
+  DEFAULT_LIMITS
+};
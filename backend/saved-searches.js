@@ -0,0 +1,354 @@
+/**
+ * Saved searches with alerts on newly added papers
+ * A saved search is a claim plus the /api/get-sources filters and mode. Each search remembers
+ * the papers.rowid it was last evaluated up to; evaluating it retrieves only papers added since,
+ * and those scoring at least minRelevance are recorded in saved_search_matches (the digest).
+ * Searches are evaluated after /api/admin/add-paper, at the end of scripts/import-topics.js,
+ * and by a poll that notices papers added by any other process. Each search has a random
+ * feed token that grants read access to its digest feed only.
+ */
+
+const crypto = require('crypto');
+const { formatSource, PAPER_COLUMNS, RETRIEVAL_MODES } = require('./source-retriever');
+
+const DEFAULTS = {
+  minRelevance: 6,                 // Used when the search's filters don't set minRelevance
+  batchSize: 100,                  // New papers retrieved per query; larger backlogs take several batches
+  pollIntervalMs: 10 * 60 * 1000
+};
+
+const DIGEST_DAYS = 7; // Default digest window for /new and the feeds
+const FILTER_KEYS = ['yearMin', 'yearMax', 'topic', 'subtopic', 'source', 'minRelevance'];
+
+class SavedSearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SavedSearchError';
+  }
+}
+
+/**
+ * Check and normalize a saved search definition
+ * @throws {SavedSearchError}
+ */
+function validateSearch({ name, claim, filters = {}, mode = 'hybrid' }) {
+  if (!claim || typeof claim !== 'string' || !claim.trim()) {
+    throw new SavedSearchError('claim is required');
+  }
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new SavedSearchError('filters must be an object');
+  }
+  const unknown = Object.keys(filters).filter(key => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new SavedSearchError(`Unknown filter(s): ${unknown.join(', ')}`);
+  }
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    throw new SavedSearchError(`Invalid mode. Use one of: ${RETRIEVAL_MODES.join(', ')}`);
+  }
+
+  return {
+    name: (typeof name === 'string' && name.trim()) || claim.trim().substring(0, 80),
+    claim: claim.trim(),
+    filters,
+    mode
+  };
+}
+
+function formatSearch(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    claim: row.claim,
+    filters: JSON.parse(row.filters),
+    mode: row.mode,
+    createdAt: new Date(row.created_at).toISOString(),
+    lastCheckedAt: row.last_checked_at ? new Date(row.last_checked_at).toISOString() : null,
+    feedUrl: `/api/feeds/${row.feed_token}`,
+    ...(row.match_count !== undefined && { matchCount: row.match_count })
+  };
+}
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Atom feed of a digest (`selfUrl` is the feed's own URL)
+ */
+function renderAtom(search, matches, selfUrl) {
+  const updated = matches.length > 0 ? matches[0].foundAt : (search.lastCheckedAt || search.createdAt);
+  const entries = matches.map(match => `
+  <entry>
+    <id>${escapeXml(match.url)}</id>
+    <title>${escapeXml(match.title)}</title>
+    <link href="${escapeXml(match.url)}"/>
+    <updated>${match.foundAt}</updated>
+    <author><name>${escapeXml(match.authors || 'Unknown')}</name></author>
+    <summary>${escapeXml(`Relevance ${match.relevance}/10. ${match.abstract || ''}`)}</summary>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:spacedigest:saved-search:${escapeXml(search.id)}</id>
+  <title>${escapeXml(`SpaceDigest: ${search.name}`)}</title>
+  <subtitle>${escapeXml(`New papers matching "${search.claim}"`)}</subtitle>
+  <link rel="self" href="${escapeXml(selfUrl)}"/>
+  <updated>${updated}</updated>${entries}
+</feed>
+`;
+}
+
+/**
+ * RSS 2.0 feed of a digest
+ */
+function renderRss(search, matches, selfUrl) {
+  const items = matches.map(match => `
+    <item>
+      <guid isPermaLink="true">${escapeXml(match.url)}</guid>
+      <title>${escapeXml(match.title)}</title>
+      <link>${escapeXml(match.url)}</link>
+      <pubDate>${new Date(match.foundAt).toUTCString()}</pubDate>
+      <description>${escapeXml(`Relevance ${match.relevance}/10. ${match.abstract || ''}`)}</description>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${escapeXml(`SpaceDigest: ${search.name}`)}</title>
+    <link>${escapeXml(selfUrl)}</link>
+    <description>${escapeXml(`New papers matching "${search.claim}"`)}</description>${items}
+  </channel>
+</rss>
+`;
+}
+
+class SavedSearches {
+  constructor(db, retriever, options = {}) {
+    this.db = db;
+    this.retriever = retriever;
+    this.options = { ...DEFAULTS, ...options };
+    this.timer = null;
+    this.running = null;
+    this.rerun = false;
+  }
+
+  /**
+   * Evaluate periodically so papers added by ingestion scripts raise alerts too
+   */
+  start() {
+    this.timer = setInterval(() => {
+      this.evaluateAll().catch(error => {
+        console.error('Saved search evaluation failed:', error.message);
+      });
+    }, this.options.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Highest papers.rowid in the full-text index. Papers inserted but not yet indexed
+   * (an import rebuilds papers_fts at the end) stay above it until they are searchable.
+   */
+  async indexedHighWater() {
+    const result = await this.db.execute('SELECT COALESCE(MAX(id), 0) AS rowid FROM papers_fts_docsize');
+    return result.rows[0].rowid;
+  }
+
+  /**
+   * Save a search for a user; only papers added from now on count as new matches
+   */
+  async create(definition, userId) {
+    const search = validateSearch(definition);
+    const id = crypto.randomUUID();
+
+    const feedToken = crypto.randomBytes(24).toString('hex');
+
+    await this.db.execute({
+      sql: `INSERT INTO saved_searches (id, user_id, name, claim, filters, mode, last_rowid, feed_token, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [id, userId, search.name, search.claim, JSON.stringify(search.filters), search.mode, await this.indexedHighWater(), feedToken, Date.now()]
+    });
+
+    return this.get(id);
+  }
+
+  /**
+   * A user's saved searches (newest first)
+   */
+  async list(userId) {
+    const result = await this.db.execute({
+      sql: `SELECT s.*, (SELECT COUNT(*) FROM saved_search_matches m WHERE m.search_id = s.id) AS match_count
+            FROM saved_searches s
+            WHERE s.user_id = ?
+            ORDER BY s.created_at DESC`,
+      args: [userId]
+    });
+    return result.rows.map(formatSearch);
+  }
+
+  async get(id) {
+    const result = await this.db.execute({
+      sql: `SELECT s.*, (SELECT COUNT(*) FROM saved_search_matches m WHERE m.search_id = s.id) AS match_count
+            FROM saved_searches s WHERE s.id = ?`,
+      args: [id]
+    });
+    return result.rows.length > 0 ? formatSearch(result.rows[0]) : null;
+  }
+
+  /**
+   * The search a feed token belongs to, or null
+   */
+  async getByFeedToken(token) {
+    const result = await this.db.execute({
+      sql: 'SELECT * FROM saved_searches WHERE feed_token = ?',
+      args: [token]
+    });
+    return result.rows.length > 0 ? formatSearch(result.rows[0]) : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the search doesn't exist
+   */
+  async delete(id) {
+    const result = await this.db.batch([
+      { sql: 'DELETE FROM saved_search_matches WHERE search_id = ?', args: [id] },
+      { sql: 'DELETE FROM saved_searches WHERE id = ?', args: [id] }
+    ], 'write');
+    return result[1].rowsAffected > 0;
+  }
+
+  /**
+   * Record papers added since the search was last evaluated (up to `highWater`)
+   * New papers are evaluated batchSize rowids at a time, so a bulk import is covered in full;
+   * last_rowid advances with each batch.
+   * @returns {Promise<number>} new matches recorded
+   */
+  async evaluate(row, highWater) {
+    const filters = JSON.parse(row.filters);
+    const minRelevance = parseFloat(filters.minRelevance) || this.options.minRelevance;
+    let lastRowid = row.last_rowid;
+    let recorded = 0;
+
+    while (lastRowid < highWater) {
+      const batchEnd = await this.batchEnd(lastRowid, highWater);
+
+      // Only this batch's papers are retrieved, so rank points reflect their order among each other
+      const { sources } = await this.retriever.retrieve(row.claim, {
+        filters: { ...filters, afterRowid: lastRowid, upToRowid: batchEnd },
+        mode: row.mode,
+        limit: this.options.batchSize
+      });
+
+      const foundAt = Date.now();
+      const matches = sources.filter(source => source.relevance >= minRelevance);
+
+      await this.db.batch([
+        ...matches.map(source => ({
+          sql: 'INSERT OR IGNORE INTO saved_search_matches (search_id, paper_id, relevance, found_at) VALUES (?, ?, ?, ?)',
+          args: [row.id, source.paperId, source.relevance, foundAt]
+        })),
+        {
+          sql: 'UPDATE saved_searches SET last_rowid = ?, last_checked_at = ? WHERE id = ?',
+          args: [batchEnd, foundAt, row.id]
+        }
+      ], 'write');
+
+      lastRowid = batchEnd;
+      recorded += matches.length;
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Last rowid of the next batch of papers after `afterRowid` (`highWater` when fewer remain)
+   */
+  async batchEnd(afterRowid, highWater) {
+    const result = await this.db.execute({
+      sql: 'SELECT rowid FROM papers WHERE rowid > ? AND rowid <= ? ORDER BY rowid LIMIT 1 OFFSET ?',
+      args: [afterRowid, highWater, this.options.batchSize - 1]
+    });
+    return result.rows.length > 0 ? result.rows[0].rowid : highWater;
+  }
+
+  /**
+   * Evaluate every search that hasn't seen the newest indexed papers
+   * Runs one at a time; a call during a run schedules one more run afterwards
+   * @returns {Promise<{ searches: number, matches: number }>}
+   */
+  async evaluateAll() {
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+
+    this.running = (async () => {
+      const totals = { searches: 0, matches: 0 };
+      do {
+        this.rerun = false;
+        const highWater = await this.indexedHighWater();
+        const stale = await this.db.execute({
+          sql: 'SELECT * FROM saved_searches WHERE last_rowid < ?',
+          args: [highWater]
+        });
+
+        for (const row of stale.rows) {
+          totals.matches += await this.evaluate(row, highWater);
+        }
+        totals.searches += stale.rows.length;
+      } while (this.rerun);
+
+      if (totals.matches > 0) {
+        console.log(`✓ Saved searches: ${totals.matches} new match(es) across ${totals.searches} search(es)`);
+      }
+      return totals;
+    })();
+
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  /**
+   * Digest: papers matched since `since` (ms timestamp), newest first
+   */
+  async getNewMatches(id, { since = Date.now() - DIGEST_DAYS * 24 * 60 * 60 * 1000, limit = 50 } = {}) {
+    const result = await this.db.execute({
+      sql: `
+        SELECT ${PAPER_COLUMNS}, m.relevance, m.found_at
+        FROM saved_search_matches m
+        JOIN papers p ON p.id = m.paper_id
+        WHERE m.search_id = ? AND m.found_at > ?
+        ORDER BY m.found_at DESC, m.relevance DESC, p.id
+        LIMIT ?
+      `,
+      args: [id, since, limit]
+    });
+
+    return result.rows.map(row => ({
+      ...formatSource(row),
+      relevance: row.relevance,
+      foundAt: new Date(row.found_at).toISOString()
+    }));
+  }
+}
+
+module.exports = {
+  SavedSearches,
+  SavedSearchError,
+  renderAtom,
+  renderRss,
+  DIGEST_DAYS
+};
@@ -1,34 +1,164 @@
 const express = require('express');
 const cors = require('cors');
-const { createClient } = require('@libsql/client');
+const { createDatabase, isLocalMode, describeDatabase } = require('./db');
+const { getPendingMigrations, migrateUp } = require('./migrator');
 const ClaimVerifier = require('./claim-verifier');
+const { isCompound, MAX_SUB_CLAIMS } = require('./claim-decomposer');
+const { loadLLMConfig, LLMProviderError } = require('./llm-providers');
+const { VerificationCache } = require('./verification-cache');
+const { documentClaims, jobReport, FORMATS: DOCUMENT_FORMATS, DEFAULT_MAX_CLAIMS } = require('./document-checker');
+const { JobQueue, parseClaimsCsv, MAX_CLAIMS_PER_JOB } = require('./job-queue');
+const { SourceRetriever, formatSource, RETRIEVAL_MODES } = require('./source-retriever');
+const { FilterOptions, computeFacets, FACET_DEPTH } = require('./facets');
+const { findSimilarPapers } = require('./similar-papers');
+const { SavedSearches, SavedSearchError, renderAtom, renderRss, DIGEST_DAYS } = require('./saved-searches');
+const { Thesaurus, ThesaurusError } = require('./thesaurus');
+const { Auth, AuthError, requireRole, hasRole } = require('./auth');
+const { RateLimiter, loadRateLimits } = require('./rate-limiter');
+const { AdminEvents, AdminEventError, validatePaperEdit, ACTIONS: ADMIN_ACTIONS } = require('./admin-events');
+const { CursorError, queryFingerprint, encodeCursor, decodeCursor, sourcesAfter, windowFor, MAX_RESULT_DEPTH, COUNT_CAP } = require('./pagination');
+const { parseQuery, likeContains, QueryParseError } = require('./query-parser');
+const { foldName, normalizeAuthor } = require('./authors');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Initialize Claim Verifier with Groq
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-if (!GROQ_API_KEY) {
-  console.warn('⚠️  GROQ_API_KEY not set - claim verification disabled');
+// Single database for all operations (Turso, or a local libSQL file in local mode)
+if (isLocalMode() && process.env.DB_MODE !== 'local') {
+  console.warn('⚠️  TURSO_DATABASE_URL not set - using local database');
 }
-const verifier = GROQ_API_KEY ? new ClaimVerifier(GROQ_API_KEY) : null;
+const db = createDatabase();
 
-if (verifier) {
-  console.log('✅ Claim verifier initialized (Groq API)');
+// Acronym/synonym/unit expansion (database/thesaurus.json, or THESAURUS_PATH)
+const thesaurus = new Thesaurus(process.env.THESAURUS_PATH || undefined);
+try {
+  thesaurus.load();
+} catch (error) {
+  console.warn(`⚠️  ${error.message} - query expansion disabled until the thesaurus is fixed`);
 }
 
-// Single Turso database for all operations
-const db = createClient({
-  url: process.env.TURSO_DATABASE_URL,
-  authToken: process.env.TURSO_AUTH_TOKEN,
-  intMode: 'number'
+const retriever = new SourceRetriever(db, { thesaurus });
+const filterOptions = new FilterOptions(db);
+const adminEvents = new AdminEvents(db);
+const savedSearches = new SavedSearches(db, retriever, {
+  minRelevance: parseFloat(process.env.SAVED_SEARCH_MIN_RELEVANCE) || 6,
+  pollIntervalMs: (parseFloat(process.env.SAVED_SEARCH_POLL_MINUTES) || 10) * 60 * 1000
 });
 
+// Per-paper analyses persist in verification_cache so redeploys don't re-bill the LLM
+const verificationCache = new VerificationCache(db, {
+  ttlMs: (parseFloat(process.env.VERIFICATION_CACHE_TTL_HOURS) || 720) * 60 * 60 * 1000,
+  memorySize: parseInt(process.env.VERIFICATION_CACHE_MEMORY_SIZE) || 1000
+});
+
+// Initialize Claim Verifier with the configured LLM provider (LLM_PROVIDER, default Groq)
+let verifier = null;
+try {
+  verifier = new ClaimVerifier({ ...loadLLMConfig(), cache: verificationCache });
+  console.log(`✅ Claim verifier initialized (${verifier.provider.name}: ${verifier.model})`);
+} catch (error) {
+  console.warn(`⚠️  ${error.message} - claim verification disabled`);
+}
+
+// Behind a reverse proxy (e.g. Railway), set TRUST_PROXY=1 so anonymous rate limits see client IPs
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// API keys and per-key rate limits
+const auth = new Auth(db);
+const rateLimiter = new RateLimiter(loadRateLimits());
+
+// LLM-backed routes draw on the "verification" budget, everything else on "search".
+// Verification routes are charged by limitVerification, once their body is parsed.
+const VERIFICATION_ROUTES = new Set([
+  'POST /api/verify-claim',
+  'POST /api/verify-claim/stream',
+  'POST /api/check-document',
+  'POST /api/jobs'
+]);
+
+function routePath(req) {
+  return `${req.baseUrl}${req.path}`.toLowerCase().replace(/\/+$/, '');
+}
+
+function rateLimitBudget(req) {
+  return VERIFICATION_ROUTES.has(`${req.method} ${routePath(req)}`) ? null : 'search';
+}
+
+// Papers analyzed per claim (one LLM call each)
+const MAX_PAPERS_PER_CLAIM = 50;
+
+/**
+ * Most LLM calls verifying one claim can make: an analysis per paper plus a summary for each
+ * sub-claim, and the decomposition call when the claim may be compound
+ */
+function claimCost(claim, { maxPapers, decompose = true } = {}) {
+  const perClaim = Math.min(parseInt(maxPapers) || 5, MAX_PAPERS_PER_CLAIM) + 1;
+  const decomposes = decompose !== false && decompose !== 'false' && isCompound(claim);
+  return decomposes ? 1 + MAX_SUB_CLAIMS * perClaim : perClaim;
+}
+
+/**
+ * Verification tokens a request costs: every LLM call it may make, reserved up front
+ * (cache hits don't refund them)
+ */
+function verificationCost(req) {
+  const path = routePath(req);
+  const isUpload = typeof req.body === 'string';
+  const options = (isUpload ? req.query : req.body) || {};
+  const total = (claims, claimOptions) => Math.max(1, claims.reduce((sum, claim) => sum + claimCost(claim, claimOptions), 0));
+
+  if (path === '/api/check-document') {
+    const content = isUpload ? req.body : options.content;
+    if (typeof content !== 'string') return 1;
+    const format = isUpload ? DOCUMENT_CONTENT_TYPES[req.get('Content-Type').split(';')[0].trim()] : options.format;
+    const { claims } = documentClaims(content, { format, maxClaims: parseInt(options.maxClaims) || DEFAULT_MAX_CLAIMS });
+    // Document claims are always decomposed
+    return total(claims.map(claim => claim.text), { maxPapers: options.maxPapers });
+  }
+  if (path === '/api/jobs') {
+    const claims = isUpload ? parseClaimsCsv(req.body) : (Array.isArray(options.claims) ? options.claims : [options.claim]);
+    // Oversized jobs are rejected by the route, so they only cost the one token
+    return claims.length > MAX_CLAIMS_PER_JOB ? 1 : total(claims.filter(claim => typeof claim === 'string'), options);
+  }
+  return typeof options.claim === 'string' ? claimCost(options.claim, options) : 1;
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Location', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining'] }));
 app.use(express.json());
 app.use(express.static('frontend'));
+app.use('/api', auth.middleware());
+app.use('/api', rateLimiter.middleware(rateLimitBudget));
+const limitVerification = rateLimiter.middleware(() => 'verification', verificationCost);
+app.use('/api/admin', requireRole('curator'));
+
+/**
+ * The authenticated user, as recorded in the audit log
+ */
+function actorOf(req) {
+  return req.auth ? { id: req.auth.user.id, name: req.auth.user.name } : null;
+}
+
+/**
+ * Whether the caller may see or change a row owned by `ownerId` (its creator or an admin).
+ * Rows without an owner (jobs submitted without a key) are reachable by their unguessable ID.
+ */
+function canAccess(req, ownerId) {
+  if (!ownerId) return true;
+  return Boolean(req.auth) && (req.auth.user.id === ownerId || hasRole(req.auth.user.role, 'admin'));
+}
+
+/**
+ * Timestamp query parameter (ISO date or epoch milliseconds) → ms; undefined when absent, NaN when invalid
+ */
+function parseTimeParam(value) {
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+}
 
 // Simple health check (fast response for Railway)
 app.get('/health', (req, res) => {
@@ -44,7 +174,8 @@ app.get('/health/detailed', async (req, res) => {
       status: 'ok',
       uptime: process.uptime(),
       papers: result.rows[0].count,
-      database: 'turso'
+      database: isLocalMode() ? 'local' : 'turso',
+      verificationCache: await verificationCache.getStats()
     });
   } catch (error) {
     res.status(500).json({
@@ -88,7 +219,7 @@ app.get('/api/topics', async (req, res) => {
   }
 });
 
-// Search papers
+// Search papers (query language: phrases, AND/OR/NOT, title:/abstract:, author:, year:, prefix*)
 app.get('/api/search', async (req, res) => {
   try {
     const { query, topic, subtopic, year_min, year_max, limit = 50 } = req.query;
@@ -97,6 +228,21 @@ app.get('/api/search', async (req, res) => {
       return res.status(400).json({ error: 'Query parameter required' });
     }
     
+    let parsed;
+    try {
+      parsed = parseQuery(query);
+    } catch (error) {
+      if (error instanceof QueryParseError) {
+        return res.status(400).json({
+          error: 'Invalid query',
+          message: error.message,
+          position: error.position,
+          token: error.token
+        });
+      }
+      throw error;
+    }
+    
     let sql = `
       SELECT 
         p.id,
@@ -107,12 +253,28 @@ app.get('/api/search', async (req, res) => {
         p.topic,
         p.subtopic,
         p.keywords
+    `;
+    
+    const params = [];
+    
+    if (parsed.match) {
+      sql += `
       FROM papers_fts
       JOIN papers p ON papers_fts.rowid = p.rowid
       WHERE papers_fts MATCH ?
-    `;
+      `;
+      params.push(parsed.match);
+    } else {
+      sql += `
+      FROM papers p
+      WHERE 1 = 1
+      `;
+    }
     
-    const params = [query];
+    for (const author of parsed.filters.authors) {
+      sql += " AND p.authors LIKE ? ESCAPE '\\'";
+      params.push(likeContains(author));
+    }
     
     if (topic) {
       sql += ' AND p.topic = ?';
@@ -124,17 +286,20 @@ app.get('/api/search', async (req, res) => {
       params.push(subtopic);
     }
     
-    if (year_min) {
+    const yearMin = year_min ? parseInt(year_min) : parsed.filters.yearMin;
+    const yearMax = year_max ? parseInt(year_max) : parsed.filters.yearMax;
+    
+    if (yearMin) {
       sql += ' AND p.year >= ?';
-      params.push(parseInt(year_min));
+      params.push(yearMin);
     }
     
-    if (year_max) {
+    if (yearMax) {
       sql += ' AND p.year <= ?';
-      params.push(parseInt(year_max));
+      params.push(yearMax);
     }
     
-    sql += ` ORDER BY rank LIMIT ?`;
+    sql += parsed.match ? ' ORDER BY rank LIMIT ?' : ' ORDER BY p.year DESC LIMIT ?';
     params.push(parseInt(limit));
     
     const result = await db.execute({ sql, args: params });
@@ -148,6 +313,8 @@ app.get('/api/search', async (req, res) => {
     
     res.json({
       query,
+      match: parsed.match,
+      filters: parsed.filters,
       count: papers.length,
       papers
     });
@@ -239,36 +406,314 @@ app.get('/api/paper/:id', async (req, res) => {
   }
 });
 
-// Calculate relevance score for a paper
-function calculateRelevance(paper, keywords, ftsRank) {
-  let score = 0;
-  
-  // FTS rank contribution (0-5 points, lower rank = higher score)
-  const rankScore = Math.max(0, 5 - (ftsRank * 0.1));
-  score += rankScore;
-  
-  // Keyword matches in title (0-3 points)
-  const titleLower = (paper.title || '').toLowerCase();
-  const titleMatches = keywords.filter(kw => titleLower.includes(kw)).length;
-  score += Math.min(3, titleMatches * 0.5);
-  
-  // Keyword matches in abstract (0-2 points)
-  const abstractLower = (paper.abstract || '').toLowerCase();
-  const abstractMatches = keywords.filter(kw => abstractLower.includes(kw)).length;
-  score += Math.min(2, abstractMatches * 0.3);
-  
-  // Normalize to 1-10 scale
-  return Math.min(10, Math.max(1, Math.round(score * 10) / 10));
+/**
+ * Citation neighbours of a paper: 'references' (papers it cites) or 'citations' (papers citing it)
+ * Edges can point outside the corpus; those come back with inCorpus: false and only an ID
+ */
+async function getCitationNeighbours(paperId, direction, limit, offset) {
+  const [fromColumn, toColumn] = direction === 'references'
+    ? ['citing_id', 'cited_id']
+    : ['cited_id', 'citing_id'];
+
+  const [countResult, result] = await Promise.all([
+    db.execute({
+      sql: `
+        SELECT COUNT(*) AS total, SUM(CASE WHEN p.id IS NOT NULL THEN 1 ELSE 0 END) AS in_corpus
+        FROM citations c
+        LEFT JOIN papers p ON p.id = c.${toColumn}
+        WHERE c.${fromColumn} = ?
+      `,
+      args: [paperId]
+    }),
+    db.execute({
+      sql: `
+        SELECT c.${toColumn} AS linked_id, c.source AS edge_source,
+               p.id, p.title, p.abstract, p.authors, p.year, p.topic, p.subtopic, p.source, p.citation_count
+        FROM citations c
+        LEFT JOIN papers p ON p.id = c.${toColumn}
+        WHERE c.${fromColumn} = ?
+        ORDER BY p.id IS NULL, p.citation_count DESC, p.year DESC, c.${toColumn}
+        LIMIT ? OFFSET ?
+      `,
+      args: [paperId, limit, offset]
+    })
+  ]);
+
+  const papers = result.rows.map(row => (row.id
+    ? { ...formatSource(row), inCorpus: true }
+    : { paperId: row.linked_id, inCorpus: false }
+  ));
+
+  return {
+    total: countResult.rows[0].total,
+    inCorpus: countResult.rows[0].in_corpus || 0,
+    papers
+  };
+}
+
+// Papers cited by / citing a paper
+['references', 'citations'].forEach(direction => {
+  app.get(`/api/paper/:id/${direction}`, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const paper = await db.execute({
+        sql: 'SELECT id, citation_count FROM papers WHERE id = ?',
+        args: [id]
+      });
+
+      if (paper.rows.length === 0) {
+        return res.status(404).json({ error: 'Paper not found' });
+      }
+
+      const { total, inCorpus, papers } = await getCitationNeighbours(id, direction, limit, offset);
+
+      res.json({
+        paperId: id,
+        citationCount: paper.rows[0].citation_count || 0,
+        total,
+        inCorpus,
+        [direction]: papers,
+        hasMore: offset + papers.length < total
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+// "More like this": similar papers with a score per signal (content, keywords, authors, subtopic)
+app.get('/api/paper/:id/similar', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const result = await findSimilarPapers(db, retriever, req.params.id, { limit });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Paper not found' });
+    }
+
+    res.json({
+      paperId: result.paper.paperId,
+      title: result.paper.title,
+      queryTerms: result.queryTerms,
+      similar: result.similar
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Author lookup: "hawking", "S. Hawking" or "Hawking, S. W."
+app.get('/api/authors', async (req, res) => {
+  try {
+    const { q, limit = 20 } = req.query;
+    
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Query parameter q required' });
+    }
+    
+    // With a given name or initial, match last name + first initial; otherwise last-name prefix
+    const normalized = normalizeAuthor(q);
+    const hasInitial = normalized && normalized.key.includes('|') && /[\s,]/.test(q.trim());
+    
+    let result = { rows: [] };
+    if (hasInitial) {
+      result = await db.execute({
+        sql: `
+          SELECT id, name, paper_count
+          FROM authors
+          WHERE normalized_name = ?
+          ORDER BY paper_count DESC
+          LIMIT ?
+        `,
+        args: [normalized.key, parseInt(limit)]
+      });
+    }
+    
+    if (result.rows.length === 0) {
+      result = await db.execute({
+        sql: `
+          SELECT id, name, paper_count
+          FROM authors
+          WHERE last_name LIKE ? OR name LIKE ?
+          ORDER BY paper_count DESC
+          LIMIT ?
+        `,
+        args: [`${foldName(q)}%`, `%${q.trim()}%`, parseInt(limit)]
+      });
+    }
+    
+    res.json({
+      query: q,
+      count: result.rows.length,
+      authors: result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        paperCount: row.paper_count
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Author profile: papers, topic distribution and co-authors
+app.get('/api/authors/:id', async (req, res) => {
+  try {
+    const authorId = parseInt(req.params.id);
+    const { limit = 50 } = req.query;
+    
+    const author = await db.execute({
+      sql: 'SELECT id, name, paper_count FROM authors WHERE id = ?',
+      args: [authorId]
+    });
+    
+    if (author.rows.length === 0) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+    
+    const [papers, topics, coAuthors] = await Promise.all([
+      db.execute({
+        sql: `
+          SELECT p.id, p.title, p.year, p.topic, p.subtopic, p.source, pa.position
+          FROM paper_authors pa
+          JOIN papers p ON p.id = pa.paper_id
+          WHERE pa.author_id = ?
+          ORDER BY p.year DESC
+          LIMIT ?
+        `,
+        args: [authorId, parseInt(limit)]
+      }),
+      db.execute({
+        sql: `
+          SELECT p.topic, p.subtopic, COUNT(*) as count
+          FROM paper_authors pa
+          JOIN papers p ON p.id = pa.paper_id
+          WHERE pa.author_id = ?
+          GROUP BY p.topic, p.subtopic
+          ORDER BY count DESC
+        `,
+        args: [authorId]
+      }),
+      db.execute({
+        sql: `
+          SELECT a.id, a.name, COUNT(*) as shared_papers
+          FROM paper_authors mine
+          JOIN paper_authors theirs ON theirs.paper_id = mine.paper_id AND theirs.author_id != mine.author_id
+          JOIN authors a ON a.id = theirs.author_id
+          WHERE mine.author_id = ?
+          GROUP BY a.id
+          ORDER BY shared_papers DESC, a.name
+          LIMIT 20
+        `,
+        args: [authorId]
+      })
+    ]);
+    
+    // Group subtopic counts under their topic
+    const topicMap = {};
+    for (const row of topics.rows) {
+      if (!topicMap[row.topic]) {
+        topicMap[row.topic] = { topic: row.topic, count: 0, subtopics: [] };
+      }
+      topicMap[row.topic].count += row.count;
+      topicMap[row.topic].subtopics.push({ name: row.subtopic, count: row.count });
+    }
+    
+    res.json({
+      id: author.rows[0].id,
+      name: author.rows[0].name,
+      paperCount: author.rows[0].paper_count,
+      papers: papers.rows.map(row => ({
+        paperId: row.id,
+        title: row.title,
+        year: row.year,
+        topic: row.topic,
+        subtopic: row.subtopic,
+        source: row.source,
+        authorPosition: row.position + 1
+      })),
+      topics: Object.values(topicMap).sort((a, b) => b.count - a.count),
+      coAuthors: coAuthors.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        sharedPapers: row.shared_papers
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Ranked sources for a claim: hybrid retrieval plus the minRelevance filter
+ * Shared by /api/get-sources and per-sub-claim retrieval in claim verification
+ */
+async function findSources(claim, { filters = {}, mode = 'hybrid', citationBoost = true, explain = false, limit = 100 } = {}) {
+  const { keywords, expansions, mode: retrievalMode, sources, complete } = await retriever.retrieve(claim, {
+    filters,
+    mode,
+    limit,
+    citationBoost,
+    explain
+  });
+
+  // Apply relevance filter if specified
+  let filteredSources = sources;
+  if (filters.minRelevance) {
+    const minRel = parseFloat(filters.minRelevance);
+    filteredSources = sources.filter(s => s.relevance >= minRel);
+  }
+
+  return { keywords, expansions, retrievalMode, sources, filteredSources, complete };
+}
+
+/**
+ * Facet counts over the sources findSources returns for the claim, so they match the result list
+ */
+function findFacets(claim, { filters, mode, citationBoost }) {
+  return computeFacets(db, async facetFilters => {
+    const { filteredSources, complete } = await findSources(claim, { filters: facetFilters, mode, citationBoost, limit: FACET_DEPTH });
+    return { sources: filteredSources, complete };
+  }, filters);
+}
+
+/**
+ * Total hits for a query: exact when every candidate fit in the window, otherwise the
+ * full-text match count (an estimate in hybrid/semantic mode, with minRelevance, or above COUNT_CAP)
+ * `terms` are the searched keywords plus thesaurus expansions
+ */
+async function countSources(terms, { filters, retrievalMode, filteredSources, complete }) {
+  if (complete) {
+    return { total: filteredSources.length, exact: true };
+  }
+
+  const { count, capped } = retrievalMode === 'semantic'
+    ? { count: 0, capped: false }
+    : await retriever.countFts(terms, filters, COUNT_CAP);
+
+  return {
+    total: Math.max(count, filteredSources.length),
+    exact: retrievalMode === 'fts' && !capped && !filters.minRelevance
+  };
 }
 
 // Legacy endpoint for frontend compatibility with relevance scoring and filters
+// Hybrid retrieval: FTS5 + embedding similarity fused with reciprocal rank fusion
 app.post('/api/get-sources', async (req, res) => {
   try {
     const { 
       claim, 
       limit = 50, 
       offset = 0,
-      filters = {} 
+      cursor = null,
+      facets = false,
+      filters = {},
+      mode = 'hybrid',
+      citationBoost = true,
+      explain = false
     } = req.body;
     
     if (!claim || typeof claim !== 'string') {
@@ -276,15 +721,53 @@ app.post('/api/get-sources', async (req, res) => {
         error: 'Invalid input. Provide a claim string.' 
       });
     }
+
+    if (!RETRIEVAL_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode. Use one of: ${RETRIEVAL_MODES.join(', ')}`
+      });
+    }
     
     const startTime = Date.now();
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+    const fingerprint = queryFingerprint({ claim, filters, mode, citationBoost: citationBoost !== false });
+
+    // Keyset cursor from the previous page, or a plain offset (legacy clients)
+    let position;
+    try {
+      position = cursor
+        ? decodeCursor(cursor, fingerprint)
+        : { seen: Math.max(parseInt(offset) || 0, 0), after: null };
+    } catch (error) {
+      if (error instanceof CursorError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Grow the candidate window until it covers this page (or every candidate has been seen)
+    let window = windowFor(position.seen, pageSize);
+    let result;
+    let remaining;
+    while (true) {
+      result = await findSources(claim, {
+        filters,
+        mode,
+        citationBoost: citationBoost !== false,
+        explain: explain === true || explain === 'true' || req.query.explain === 'true',
+        limit: window
+      });
+
+      remaining = sourcesAfter(result.filteredSources, position);
+
+      if (remaining.length > pageSize || result.complete || window >= MAX_RESULT_DEPTH) break;
+      window = Math.min(MAX_RESULT_DEPTH, window * 2);
+    }
+
+    const { keywords, expansions, retrievalMode, sources } = result;
+    const searchTerms = [...keywords, ...expansions];
     
-    // Extract keywords from claim
-    const words = claim.toLowerCase().match(/\b[a-z]{3,}\b/g) || [];
-    const stopWords = ['the', 'and', 'that', 'this', 'with', 'from', 'have', 'been', 'were', 'are', 'for', 'can', 'will', 'but', 'not'];
-    const keywords = words.filter(word => !stopWords.includes(word));
-    
-    if (keywords.length === 0) {
+    if (searchTerms.length === 0 && sources.length === 0) {
       return res.json({
         domain: 'Space Science',
         topic: null,
@@ -292,65 +775,14 @@ app.post('/api/get-sources', async (req, res) => {
         sources: [],
         totalSources: 0,
         hasMore: false,
+        nextCursor: null,
+        truncated: false,
         queryTime: Date.now() - startTime,
         message: 'No keywords extracted from claim'
       });
     }
     
-    // Build SQL query with filters
-    const query = keywords.join(' OR ');
-    const fetchLimit = 100; // Reduced from 200 to improve response time
-    
-    let sql = `
-      SELECT 
-        p.id,
-        p.title,
-        p.abstract,
-        p.authors,
-        p.year,
-        p.topic,
-        p.subtopic,
-        p.keywords,
-        p.source
-      FROM papers_fts
-      JOIN papers p ON papers_fts.rowid = p.rowid
-      WHERE papers_fts MATCH ?
-    `;
-    
-    const args = [query];
-    
-    // Apply filters
-    if (filters.yearMin) {
-      sql += ' AND p.year >= ?';
-      args.push(parseInt(filters.yearMin));
-    }
-    
-    if (filters.yearMax) {
-      sql += ' AND p.year <= ?';
-      args.push(parseInt(filters.yearMax));
-    }
-    
-    if (filters.topic) {
-      sql += ' AND p.topic = ?';
-      args.push(filters.topic);
-    }
-    
-    if (filters.subtopic) {
-      sql += ' AND p.subtopic = ?';
-      args.push(filters.subtopic);
-    }
-    
-    if (filters.source) {
-      sql += ' AND p.source = ?';
-      args.push(filters.source);
-    }
-    
-    sql += ' ORDER BY rank LIMIT ?';
-    args.push(fetchLimit);
-    
-    const result = await db.execute({ sql, args });
-    
-    if (result.rows.length === 0) {
+    if (sources.length === 0) {
       return res.json({
         domain: 'Space Science',
         topic: null,
@@ -358,78 +790,37 @@ app.post('/api/get-sources', async (req, res) => {
         sources: [],
         totalSources: 0,
         hasMore: false,
+        nextCursor: null,
+        truncated: false,
+        retrievalMode,
         queryTime: Date.now() - startTime,
         message: 'No matching papers found'
       });
     }
     
-    // Calculate relevance scores and format for frontend
-    const sourcesWithRelevance = result.rows.map((row, index) => {
-      let authorsStr = '';
-      try {
-        const authorsData = JSON.parse(row.authors || '[]');
-        authorsStr = Array.isArray(authorsData) ? authorsData.join(', ') : String(authorsData);
-      } catch {
-        authorsStr = row.authors || 'Unknown';
-      }
-      
-      const relevance = calculateRelevance(row, keywords, index);
-      const source = row.source || 'arxiv';
-      
-      // Generate correct URL based on source
-      let url, paperId;
-      if (source === 'nasa-ads') {
-        // NASA ADS bibcode - encode & as %26 for URL
-        paperId = row.id;
-        url = `https://ui.adsabs.harvard.edu/abs/${encodeURIComponent(row.id)}/abstract`;
-      } else {
-        // arXiv ID
-        paperId = row.id;
-        url = `https://arxiv.org/abs/${row.id}`;
-      }
-      
-      return {
-        type: 'paper',
-        title: row.title,
-        abstract: row.abstract,
-        authors: authorsStr,
-        year: row.year,
-        paperId: paperId,
-        url: url,
-        publicationDate: row.year ? `${row.year}` : null,
-        relevance: relevance,
-        source: source,
-        topic: row.topic,
-        subtopic: row.subtopic
-      };
-    });
-    
-    // Sort by relevance score (highest first)
-    sourcesWithRelevance.sort((a, b) => b.relevance - a.relevance);
-    
-    // Apply relevance filter if specified
-    let filteredSources = sourcesWithRelevance;
-    if (filters.minRelevance) {
-      const minRel = parseFloat(filters.minRelevance);
-      filteredSources = sourcesWithRelevance.filter(s => s.relevance >= minRel);
-    }
-    
     // Paginate results
-    const paginatedSources = filteredSources.slice(offset, offset + limit);
-    const hasMore = offset + limit < filteredSources.length;
+    const paginatedSources = remaining.slice(0, pageSize);
+    const seen = position.seen + paginatedSources.length;
+    const hasMore = remaining.length > pageSize && seen < MAX_RESULT_DEPTH;
+    // More results exist past the paging depth cap
+    const truncated = !hasMore && (remaining.length > pageSize || (window >= MAX_RESULT_DEPTH && !result.complete));
+    const [{ total, exact }, facetCounts] = await Promise.all([
+      countSources(searchTerms, { filters, ...result }),
+      facets === true || facets === 'true' ? findFacets(claim, { filters, mode, citationBoost: citationBoost !== false }) : null
+    ]);
     
     // Get most common topic from results
     const topicCounts = {};
-    result.rows.forEach(row => {
-      topicCounts[row.topic] = (topicCounts[row.topic] || 0) + 1;
+    sources.forEach(s => {
+      topicCounts[s.topic] = (topicCounts[s.topic] || 0) + 1;
     });
     const topTopic = Object.entries(topicCounts).sort((a, b) => b[1] - a[1])[0];
     
     // Get most common subtopic
     const subtopicCounts = {};
-    result.rows.forEach(row => {
-      if (row.topic === topTopic[0]) {
-        subtopicCounts[row.subtopic] = (subtopicCounts[row.subtopic] || 0) + 1;
+    sources.forEach(s => {
+      if (s.topic === topTopic[0]) {
+        subtopicCounts[s.subtopic] = (subtopicCounts[s.subtopic] || 0) + 1;
       }
     });
     const topSubtopic = Object.entries(subtopicCounts).sort((a, b) => b[1] - a[1])[0];
@@ -439,12 +830,18 @@ app.post('/api/get-sources', async (req, res) => {
       topic: topTopic[0],
       subtopic: topSubtopic[0],
       relevance: keywords.length,
+      expansions,
       sources: paginatedSources,
-      totalSources: filteredSources.length,
+      totalSources: total,
+      totalIsEstimate: !exact,
       returnedSources: paginatedSources.length,
       hasMore: hasMore,
+      nextCursor: hasMore ? encodeCursor(fingerprint, seen, paginatedSources[paginatedSources.length - 1]) : null,
+      truncated,
+      ...(facetCounts && { facets: facetCounts }),
+      retrievalMode,
       queryTime: Date.now() - startTime,
-      message: `Found ${sourcesWithRelevance.length} source(s) in ${topTopic[0]} → ${topSubtopic[0]}`
+      message: `Found ${sources.length} source(s) in ${topTopic[0]} → ${topSubtopic[0]}`
     });
     
   } catch (error) {
@@ -452,38 +849,10 @@ app.post('/api/get-sources', async (req, res) => {
   }
 });
 
-// Get available filter options (hardcoded for performance)
+// Available filter options derived from the papers table (cached for 10 minutes, refreshed when papers are added)
 app.get('/api/filters', async (req, res) => {
   try {
-    // Hardcoded topics - these don't change often
-    const topics = {
-      "black-holes": ["mass-limits", "formation", "detection", "other"],
-      "neutron-stars": ["mass-limits", "equation-of-state", "pulsars", "other"],
-      "exoplanets": ["detection", "atmospheres", "habitability", "other"],
-      "dark-matter-and-dark-energy": ["observations", "theory", "simulations", "other"],
-      "galaxies": ["formation", "evolution", "structure", "other"],
-      "cosmology": ["cmb", "large-scale-structure", "inflation", "other"],
-      "stellar-astrophysics": ["evolution", "nucleosynthesis", "binaries", "other"],
-      "star-formation": ["molecular-clouds", "protostars", "disks", "other"],
-      "solar-physics": ["solar-activity", "corona", "solar-wind", "other"],
-      "planetary-science": ["surfaces", "interiors", "atmospheres", "other"],
-      "small-bodies": ["asteroids", "comets", "kuiper-belt", "other"],
-      "high-energy-astrophysics": ["x-rays", "gamma-rays", "cosmic-rays", "other"],
-      "gravitational-waves": ["detection", "sources", "data-analysis", "other"],
-      "instrumentation-and-methods": ["telescopes", "detectors", "data-processing", "other"]
-    };
-    
-    res.json({
-      topics: topics,
-      yearRange: {
-        min: 1992,
-        max: 2025
-      },
-      sources: [
-        { value: 'arxiv', label: 'arXiv', count: 781980 },
-        { value: 'nasa-ads', label: 'NASA ADS', count: 190345 }
-      ]
-    });
+    res.json(await filterOptions.get());
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -499,12 +868,7 @@ app.post('/api/admin/add-paper', async (req, res) => {
     }
     
     // Check if paper already exists in staging DB
-    const existing = await db.execute({
-      sql: 'SELECT id FROM papers WHERE id = ?',
-      args: [paperId]
-    });
-    
-    if (existing.rows.length > 0) {
+    if (await adminEvents.snapshot(paperId)) {
       return res.status(409).json({ error: 'Paper already exists in database' });
     }
     
@@ -528,28 +892,29 @@ app.post('/api/admin/add-paper', async (req, res) => {
       return res.status(404).json({ error: 'Paper not found in source database' });
     }
     
-    // Insert paper into staging database
-    await db.execute({
-      sql: `
-        INSERT INTO papers (id, title, abstract, authors, year, topic, subtopic, keywords, source)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `,
-      args: [
-        paperId,
-        paperData.title,
-        paperData.abstract,
-        JSON.stringify(paperData.authors),
-        paperData.year,
-        topic,
-        subtopic,
-        JSON.stringify(paperData.keywords || []),
-        detectedSource
-      ]
+    // Insert paper into staging database (indexed for search and recorded in the audit log)
+    const event = await adminEvents.apply('insert', paperId, {
+      title: paperData.title,
+      abstract: paperData.abstract,
+      authors: JSON.stringify(paperData.authors),
+      year: paperData.year,
+      topic,
+      subtopic,
+      keywords: JSON.stringify(paperData.keywords || []),
+      source: detectedSource
+    }, actorOf(req));
+    
+    filterOptions.invalidate();
+    
+    // Alert saved searches in the background
+    savedSearches.evaluateAll().catch(error => {
+      console.error('Saved search evaluation failed:', error.message);
     });
     
     res.json({
       success: true,
       message: 'Paper added successfully',
+      eventId: event.id,
       paper: {
         id: paperId,
         title: paperData.title,
@@ -559,6 +924,133 @@ app.post('/api/admin/add-paper', async (req, res) => {
       }
     });
     
+  } catch (error) {
+    if (error instanceof AdminEventError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const MAX_RECLASSIFY_PAPERS = 500;
+
+// Admin API: Edit a paper's title, abstract, authors, year, topic or subtopic
+// Clients should encodeURIComponent the ID (old-style arXiv IDs contain a slash)
+app.patch('/api/admin/paper/:id', async (req, res) => {
+  try {
+    const values = validatePaperEdit(req.body);
+    const event = await adminEvents.apply('update', req.params.id, values, actorOf(req));
+    if (!event) {
+      return res.json({ success: true, message: 'No changes', eventId: null });
+    }
+
+    if (values.topic !== undefined || values.subtopic !== undefined) {
+      filterOptions.invalidate();
+    }
+    console.log(`✓ ${event.action === 'reclassify' ? 'Reclassified' : 'Edited'} ${event.paperId} (${Object.keys(event.changes).join(', ')})`);
+    res.json({ success: true, eventId: event.id, changes: event.changes, paper: event.after });
+  } catch (error) {
+    if (error instanceof AdminEventError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin API: Delete a paper (undo restores it from the audit log)
+app.delete('/api/admin/paper/:id', async (req, res) => {
+  try {
+    const event = await adminEvents.apply('delete', req.params.id, null, actorOf(req));
+    filterOptions.invalidate();
+    console.log(`✓ Deleted ${event.paperId}`);
+    res.json({ success: true, eventId: event.id, paper: event.before });
+  } catch (error) {
+    if (error instanceof AdminEventError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin API: Move several papers to a topic/subtopic (one audit event per paper, so each can be undone)
+app.post('/api/admin/papers/reclassify', async (req, res) => {
+  try {
+    const { paperIds, topic, subtopic = 'other' } = req.body || {};
+    if (!Array.isArray(paperIds) || paperIds.length === 0 || paperIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ error: 'paperIds must be a non-empty array of paper IDs' });
+    }
+    if (paperIds.length > MAX_RECLASSIFY_PAPERS) {
+      return res.status(400).json({ error: `At most ${MAX_RECLASSIFY_PAPERS} papers per request` });
+    }
+    const values = validatePaperEdit({ topic, subtopic });
+    if (values.topic === undefined) {
+      return res.status(400).json({ error: 'topic is required' });
+    }
+
+    const reclassified = [];
+    const unchanged = [];
+    const notFound = [];
+    for (const paperId of [...new Set(paperIds.map(id => id.trim()))]) {
+      try {
+        const event = await adminEvents.apply('reclassify', paperId, values, actorOf(req));
+        if (event) {
+          reclassified.push({ paperId, eventId: event.id });
+        } else {
+          unchanged.push(paperId);
+        }
+      } catch (error) {
+        if (!(error instanceof AdminEventError && error.status === 404)) throw error;
+        notFound.push(paperId);
+      }
+    }
+
+    if (reclassified.length > 0) {
+      filterOptions.invalidate();
+      console.log(`✓ Reclassified ${reclassified.length} paper(s) to ${values.topic}/${values.subtopic}`);
+    }
+    res.json({ success: true, topic: values.topic, subtopic: values.subtopic, reclassified, unchanged, notFound });
+  } catch (error) {
+    if (error instanceof AdminEventError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin API: Query expansion thesaurus
+app.get('/api/admin/thesaurus', (req, res) => {
+  try {
+    thesaurus.refresh();
+    res.json(thesaurus.data);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin API: Replace the thesaurus (validated, written to the JSON file, applied immediately)
+app.put('/api/admin/thesaurus', (req, res) => {
+  try {
+    const data = thesaurus.save(req.body);
+    console.log(`✓ Thesaurus updated (${data.groups.length} groups)`);
+    res.json(data);
+  } catch (error) {
+    if (error instanceof ThesaurusError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin API: Preview how a claim is expanded
+app.get('/api/admin/thesaurus/expand', (req, res) => {
+  try {
+    const { claim } = req.query;
+    if (!claim) {
+      return res.status(400).json({ error: 'claim query parameter is required' });
+    }
+
+    const { matches } = thesaurus.expand(claim);
+    res.json({ claim, matches, ...retriever.buildQuery(claim) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -588,22 +1080,161 @@ app.get('/api/admin/recent', async (req, res) => {
 });
 
 // Admin API: Get statistics
+// todayAdded counts papers created since `since` (ms; default: midnight UTC), e.g. the caller's local midnight
 app.get('/api/admin/stats', async (req, res) => {
   try {
-    const [total] = await Promise.all([
-      db.execute('SELECT COUNT(*) as count FROM papers')
+    const since = parseTimeParam(req.query.since) || new Date().setUTCHours(0, 0, 0, 0);
+    const [total, todayAdded, activeUsers] = await Promise.all([
+      db.execute('SELECT COUNT(*) as count FROM papers'),
+      db.execute({
+        sql: 'SELECT COUNT(*) as count FROM papers WHERE created_at >= ?',
+        args: [Math.floor(since / 1000)] // created_at is in seconds
+      }),
+      db.execute({
+        sql: 'SELECT COUNT(DISTINCT user_id) as count FROM api_keys WHERE last_used_at > ?',
+        args: [Date.now() - 24 * 60 * 60 * 1000]
+      })
     ]);
     
     res.json({
       totalPapers: total.rows[0].count,
-      todayAdded: 0, // TODO: Track additions with timestamp
-      activeUsers: 1  // TODO: Track active sessions
+      todayAdded: todayAdded.rows[0].count,
+      activeUsers: activeUsers.rows[0].count // Users whose keys were used in the last 24 hours
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Admin API: Audit log of paper changes, newest first
+// Filters: action, paperId, actor (user id), since / until (ISO date or epoch ms); page with before=<nextBefore>
+app.get('/api/admin/audit', async (req, res) => {
+  try {
+    const { action, paperId, actor } = req.query;
+    if (action !== undefined && !ADMIN_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Invalid action. Use one of: ${ADMIN_ACTIONS.join(', ')}` });
+    }
+
+    const since = parseTimeParam(req.query.since);
+    const until = parseTimeParam(req.query.until);
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      return res.status(400).json({ error: 'Invalid since/until. Use an ISO date or epoch milliseconds' });
+    }
+
+    res.json(await adminEvents.list({
+      action,
+      paperId,
+      actorId: actor,
+      since,
+      until,
+      before: req.query.before !== undefined ? parseInt(req.query.before) || 0 : undefined,
+      limit: parseInt(req.query.limit) || 50
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admin API: Revert an audit event (recorded as a new event)
+app.post('/api/admin/audit/:id/undo', async (req, res) => {
+  try {
+    const event = await adminEvents.undo(parseInt(req.params.id), actorOf(req));
+    console.log(`✓ Undid event ${req.params.id} (${event.action} ${event.paperId}) by ${event.actor ? event.actor.name : 'unknown'}`);
+    filterOptions.invalidate();
+    if (event.action === 'insert') {
+      savedSearches.evaluateAll().catch(error => {
+        console.error('Saved search evaluation failed:', error.message);
+      });
+    }
+    res.json(event);
+  } catch (error) {
+    if (error instanceof AdminEventError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Who the caller is, and the rate limits that apply to them
+app.get('/api/me', (req, res) => {
+  const key = req.auth && req.auth.key;
+  const limits = Object.fromEntries(Object.entries(rateLimiter.limits).map(([budget, defaults]) => [
+    budget,
+    key ? (key.limits[budget] ?? defaults.key) : defaults.anonymous
+  ]));
+
+  res.json({
+    user: req.auth ? req.auth.user : null,
+    key: key ? { id: key.id, name: key.name, prefix: key.prefix } : null,
+    limitsPerMinute: limits
+  });
+});
+
+// Admin API: Users and API keys (admin role)
+app.get('/api/admin/users', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ users: await auth.listUsers() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/users', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await auth.createUser(req.body || {});
+    console.log(`✓ User created: ${user.name} (${user.role})`);
+    res.status(201).json(user);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a user's role, or disable them ({ "disabled": true }) without revoking their keys
+app.patch('/api/admin/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const user = await auth.updateUser(req.params.id, req.body || {});
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issue a key; the response is the only time the key itself is shown
+app.post('/api/admin/users/:id/keys', requireRole('admin'), async (req, res) => {
+  try {
+    const key = await auth.createKey(req.params.id, req.body || {});
+    if (!key) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(201).json(key);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/keys/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!(await auth.revokeKey(req.params.id))) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Helper: Fetch arXiv metadata
 async function fetchArxivMetadata(arxivId) {
   try {
@@ -689,36 +1320,76 @@ async function fetchNASAADSMetadata(bibcode) {
   }
 }
 
-// Claim Verification Endpoint (Module 3 - Groq)
-app.post('/api/verify-claim', async (req, res) => {
+/**
+ * Shared body of the verification endpoints
+ * Compound claims are decomposed and every sub-claim gets its own /api/get-sources retrieval.
+ * A single claim is verified against the caller's papers, or retrieved ones when none are sent.
+ */
+async function runVerification(body, callbacks = {}) {
+  const { claim, papers, maxPapers = 5, decompose = true, filters = {}, mode = 'hybrid' } = body;
+  const retrieve = async subClaim => (await findSources(subClaim, { filters, mode })).filteredSources;
+
+  const subClaims = decompose ? await verifier.decomposeClaim(claim) : [claim];
+  if (subClaims.length > 1) {
+    console.log(`[Verification] Decomposed into ${subClaims.length} sub-claims: ${subClaims.map(c => `"${c}"`).join(', ')}`);
+    return verifier.verifyCompoundClaim(claim, { ...callbacks, subClaims, retrieve, maxPapers, batchSize: 10 });
+  }
+
+  if (callbacks.onSubClaims) callbacks.onSubClaims(subClaims);
+  const sourcePapers = papers && papers.length > 0 ? papers : await retrieve(claim);
+  return verifier.verifyClaim(claim, sourcePapers, { ...callbacks, maxPapers, batchSize: 10 });
+}
+
+/**
+ * 400 message for a maxPapers option above the cap, or null
+ */
+function validateMaxPapers(maxPapers) {
+  if (maxPapers !== undefined && parseInt(maxPapers) > MAX_PAPERS_PER_CLAIM) {
+    return `maxPapers is limited to ${MAX_PAPERS_PER_CLAIM}`;
+  }
+  return null;
+}
+
+/**
+ * 400 message for an invalid verification request, or null
+ */
+function validateVerificationRequest(body) {
+  if (!body.claim || typeof body.claim !== 'string') {
+    return 'Claim is required';
+  }
+  if (body.papers !== undefined && !Array.isArray(body.papers)) {
+    return 'Papers must be an array';
+  }
+  if (body.mode !== undefined && !RETRIEVAL_MODES.includes(body.mode)) {
+    return `Invalid mode. Use one of: ${RETRIEVAL_MODES.join(', ')}`;
+  }
+  return validateMaxPapers(body.maxPapers);
+}
+
+// Claim Verification Endpoint (Module 3 - LLM provider from LLM_PROVIDER)
+app.post('/api/verify-claim', limitVerification, async (req, res) => {
   if (!verifier) {
     return res.status(503).json({ 
-      error: 'Claim verification not available - GROQ_API_KEY not configured' 
+      error: 'Claim verification not available - LLM provider not configured' 
     });
   }
 
   try {
-    const { claim, papers, maxPapers = 5 } = req.body;
-
-    if (!claim || typeof claim !== 'string') {
-      return res.status(400).json({ error: 'Claim is required' });
-    }
-
-    if (!papers || !Array.isArray(papers) || papers.length === 0) {
-      return res.status(400).json({ error: 'Papers array is required' });
+    const invalid = validateVerificationRequest(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
     }
 
+    const { claim, papers = [] } = req.body;
     console.log(`[Verification] Starting for claim: "${claim}" with ${papers.length} papers`);
 
-    const result = await verifier.verifyClaim(claim, papers, {
-      maxPapers,
-      batchSize: 10,
+    const result = await runVerification(req.body, {
       onProgress: (progress) => {
         console.log(`[Verification] ${progress.stage}: ${progress.current}/${progress.total}`);
       }
     });
 
-    console.log(`[Verification] Completed in ${result.processingTimeMs}ms - Score: ${result.verificationScore}%`);
+    console.log(`[Verification] Completed in ${result.processingTimeMs}ms - Score: ${result.verificationScore}% (${result.cacheHits} cached)`);
 
     res.json(result);
   } catch (error) {
@@ -727,10 +1398,410 @@ app.post('/api/verify-claim', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`\n🚀 Server running on port ${PORT}`);
-  console.log(`📊 Database: Turso (SQLite at the edge)`);
-  console.log(`🔗 Health: http://localhost:${PORT}/health`);
-  console.log(`🔍 Search: http://localhost:${PORT}/api/search?query=black+holes\n`);
+// Streaming verification over Server-Sent Events
+// Events: start → analysis (one per paper, as each finishes) → progress → subclaim (compound claims) → result (or error)
+app.post('/api/verify-claim/stream', limitVerification, async (req, res) => {
+  if (!verifier) {
+    return res.status(503).json({ 
+      error: 'Claim verification not available - LLM provider not configured' 
+    });
+  }
+
+  const invalid = validateVerificationRequest(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const { claim, papers = [] } = req.body;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx / Railway)
+  });
+
+  // Stop writing once the browser goes away; in-flight LLM calls still finish and fill the cache
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  console.log(`[Verification] Streaming for claim: "${claim}" with ${papers.length} papers`);
+
+  try {
+    const result = await runVerification(req.body, {
+      onSubClaims: (subClaims) => {
+        send('start', { claim, subClaims });
+      },
+      onAnalysis: (analysis, index, total, subClaimIndex = 0) => {
+        send('analysis', { index, total, subClaimIndex, analysis });
+      },
+      onProgress: (progress) => {
+        send('progress', progress);
+      },
+      onSubClaimResult: (subResult, index) => {
+        send('subclaim', { index, result: subResult });
+      }
+    });
+
+    console.log(`[Verification] Completed in ${result.processingTimeMs}ms - Score: ${result.verificationScore}% (${result.cacheHits} cached)`);
+    send('result', result);
+  } catch (error) {
+    console.error('[Verification] Error:', error);
+    send('error', { error: error.message });
+  }
+
+  res.end();
+});
+
+/**
+ * Job worker body: one claim through the /api/verify-claim pipeline
+ * Any paper the provider failed on (HTTP 429, 5xx or another error status) fails the run with
+ * that status, so JobQueue retries rate limits and server errors; analyses that did succeed
+ * are cached, so a retry only re-asks for the missing ones. The error carries the partial
+ * result, which the queue keeps if the claim finally fails.
+ */
+async function runJobClaim(claim, options) {
+  const result = await runVerification({ ...options, claim });
+  const providerFailures = (result.failedPapers || []).filter(paper => paper.status !== null);
+  if (providerFailures.length > 0) {
+    const statuses = providerFailures.map(paper => paper.status);
+    const status = statuses.includes(429) ? 429 : statuses.find(code => code >= 500) || statuses[0];
+    const error = new LLMProviderError(`LLM provider failed on ${providerFailures.length} paper(s) (HTTP ${status})`, status);
+    error.partialResult = result;
+    throw error;
+  }
+  return result;
+}
+
+const jobQueue = new JobQueue(db, runJobClaim, {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 4
+});
+
+// Background verification jobs
+// JSON { claims: [...] } (or { claim }) with the /api/verify-claim options, or a CSV upload
+// (Content-Type text/csv, options in the query string) with one claim per row
+app.post('/api/jobs', express.text({ type: 'text/csv', limit: '1mb' }), limitVerification, async (req, res) => {
+  if (!verifier) {
+    return res.status(503).json({ 
+      error: 'Claim verification not available - LLM provider not configured' 
+    });
+  }
+
+  try {
+    const isCsv = typeof req.body === 'string';
+    const body = isCsv ? req.query : req.body;
+    const claims = isCsv
+      ? parseClaimsCsv(req.body)
+      : (Array.isArray(body.claims) ? body.claims : [body.claim]).filter(c => c !== undefined);
+
+    if (claims.length === 0 || claims.some(c => typeof c !== 'string' || !c.trim())) {
+      return res.status(400).json({ error: 'At least one non-empty claim is required' });
+    }
+
+    if (claims.length > MAX_CLAIMS_PER_JOB) {
+      return res.status(400).json({ error: `Too many claims (max ${MAX_CLAIMS_PER_JOB} per job)` });
+    }
+
+    const { maxPapers = 5, decompose = true, filters = {}, mode = 'hybrid' } = body;
+    if (!RETRIEVAL_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Use one of: ${RETRIEVAL_MODES.join(', ')}` });
+    }
+
+    const invalidMaxPapers = validateMaxPapers(maxPapers);
+    if (invalidMaxPapers) {
+      return res.status(400).json({ error: invalidMaxPapers });
+    }
+
+    const job = await jobQueue.enqueue(
+      claims.map(c => c.trim()),
+      {
+        maxPapers: parseInt(maxPapers) || 5,
+        decompose: decompose !== false && decompose !== 'false',
+        filters,
+        mode
+      },
+      { source: isCsv ? 'csv' : 'api', userId: req.auth ? req.auth.user.id : null }
+    );
+
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+  } catch (error) {
+    console.error('[Jobs] Enqueue error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Job status and per-claim results (?results=false for progress only)
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id, { includeResults: req.query.results !== 'false' });
+    if (!job || !canAccess(req, job.userId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a job; claims already verified keep their results
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const existing = await jobQueue.getJob(req.params.id, { includeResults: false });
+    if (!existing || !canAccess(req, existing.userId)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await jobQueue.cancel(req.params.id);
+
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Document fact-check: verify every check-worthy claim in a text, Markdown or HTML document
+// Send JSON { content, format?, maxClaims?, maxPapers?, filters?, mode? }, or upload the file as
+// the raw body with Content-Type text/plain, text/markdown or text/html. The claims are queued
+// as a background job (see /api/jobs); poll the Location for the report as they finish.
+const DOCUMENT_CONTENT_TYPES = { 'text/plain': 'text', 'text/markdown': 'markdown', 'text/html': 'html' };
+
+app.post('/api/check-document', express.text({ type: Object.keys(DOCUMENT_CONTENT_TYPES), limit: '200kb' }), limitVerification, async (req, res) => {
+  if (!verifier) {
+    return res.status(503).json({ 
+      error: 'Claim verification not available - LLM provider not configured' 
+    });
+  }
+
+  try {
+    const isUpload = typeof req.body === 'string';
+    const options = isUpload ? req.query : req.body;
+    const content = isUpload ? req.body : req.body.content;
+    const format = isUpload ? DOCUMENT_CONTENT_TYPES[req.get('Content-Type').split(';')[0].trim()] : options.format;
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Document content is required' });
+    }
+
+    if (format && !DOCUMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Use one of: ${DOCUMENT_FORMATS.join(', ')}` });
+    }
+
+    const { maxClaims = DEFAULT_MAX_CLAIMS, maxPapers = 5, filters = {}, mode = 'hybrid' } = options;
+    if (!RETRIEVAL_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode. Use one of: ${RETRIEVAL_MODES.join(', ')}` });
+    }
+
+    const invalidMaxPapers = validateMaxPapers(maxPapers);
+    if (invalidMaxPapers) {
+      return res.status(400).json({ error: invalidMaxPapers });
+    }
+
+    const document = documentClaims(content, { format, maxClaims: parseInt(maxClaims) || DEFAULT_MAX_CLAIMS });
+    console.log(`[Document] Queueing ${document.claims.length} claims from ${content.length} characters (${document.format})`);
+
+    const { id } = await jobQueue.enqueue(
+      document.claims.map(claim => claim.text),
+      { maxPapers: parseInt(maxPapers) || 5, decompose: true, filters, mode },
+      { source: 'document', userId: req.auth ? req.auth.user.id : null, document }
+    );
+
+    res.status(202).location(`/api/check-document/${id}`).json(jobReport(await jobQueue.getJob(id)));
+  } catch (error) {
+    console.error('[Document] Error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Document check report so far; claims not yet verified are "Pending"
+app.get('/api/check-document/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job || job.source !== 'document' || !canAccess(req, job.userId)) {
+      return res.status(404).json({ error: 'Document check not found' });
+    }
+
+    res.json(jobReport(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Saved searches: a claim plus /api/get-sources filters, re-evaluated as papers are added
+// Each belongs to the user whose API key created it; feed readers use its feedUrl instead of a key
+app.use('/api/saved-searches', requireRole('reader'));
+
+/**
+ * The saved search `id` if the caller may access it, else null
+ * (searches saved before they had owners are left to admins)
+ */
+async function findSavedSearch(req, id) {
+  const search = await savedSearches.get(id);
+  if (!search) return null;
+  const allowed = search.userId ? canAccess(req, search.userId) : hasRole(req.auth.user.role, 'admin');
+  return allowed ? search : null;
+}
+
+app.post('/api/saved-searches', async (req, res) => {
+  try {
+    const search = await savedSearches.create(req.body || {}, req.auth.user.id);
+    res.status(201).location(`/api/saved-searches/${search.id}`).json(search);
+  } catch (error) {
+    if (error instanceof SavedSearchError) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/saved-searches', async (req, res) => {
+  try {
+    res.json({ searches: await savedSearches.list(req.auth.user.id) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/saved-searches/:id', async (req, res) => {
+  try {
+    const search = await findSavedSearch(req, req.params.id);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json(search);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/saved-searches/:id', async (req, res) => {
+  try {
+    if (!(await findSavedSearch(req, req.params.id)) || !(await savedSearches.delete(req.params.id))) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Respond with a saved search's digest: JSON, or an Atom / RSS feed
+ * The feeds link to the search's token URL, so an API key in the request URL is never echoed.
+ */
+async function sendDigest(req, res, search, defaultFormat) {
+  const { since, format = defaultFormat } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  if (!['json', 'atom', 'rss'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format. Use one of: json, atom, rss' });
+  }
+
+  const sinceMs = since === undefined
+    ? Date.now() - DIGEST_DAYS * 24 * 60 * 60 * 1000
+    : parseTimeParam(since);
+  if (Number.isNaN(sinceMs)) {
+    return res.status(400).json({ error: 'Invalid since. Use an ISO date or epoch milliseconds' });
+  }
+
+  const matches = await savedSearches.getNewMatches(search.id, { since: sinceMs, limit });
+  const selfUrl = `${req.protocol}://${req.get('host')}${search.feedUrl}?format=${format}`;
+
+  if (format === 'atom') {
+    return res.type('application/atom+xml').send(renderAtom(search, matches, selfUrl));
+  }
+  if (format === 'rss') {
+    return res.type('application/rss+xml').send(renderRss(search, matches, selfUrl));
+  }
+
+  res.json({
+    search,
+    since: new Date(sinceMs).toISOString(),
+    total: matches.length,
+    papers: matches
+  });
+}
+
+// Digest of papers newly matched by a saved search: JSON, or ?format=atom / ?format=rss
+// `since` is an ISO date or epoch milliseconds (default: the last 7 days)
+app.get('/api/saved-searches/:id/new', async (req, res) => {
+  try {
+    const search = await findSavedSearch(req, req.params.id);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    await sendDigest(req, res, search, 'json');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Feed of a saved search for feed readers: the token grants read access to this digest only
+// Atom by default, ?format=rss; same `since` and `limit` as /new
+app.get('/api/feeds/:token', async (req, res) => {
+  try {
+    const search = await savedSearches.getByFeedToken(req.params.token);
+    if (!search) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    await sendDigest(req, res, search, 'atom');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start server once the schema is current
+// Local databases (or AUTO_MIGRATE=true) are migrated automatically; Turso must be migrated explicitly
+async function start() {
+  const pending = await getPendingMigrations(db);
+
+  if (pending.length > 0) {
+    if (isLocalMode() || process.env.AUTO_MIGRATE === 'true') {
+      await migrateUp(db, { log: message => console.log(`[Migrations] ${message}`) });
+    } else {
+      console.error(`❌ ${pending.length} pending schema migration(s): ${pending.map(m => m.name).join(', ')}`);
+      console.error('   Run: npm run migrate');
+      process.exit(1);
+    }
+  }
+
+  // Drop expired verification results hourly
+  setInterval(() => {
+    verificationCache.purgeExpired().catch(error => {
+      console.error('Verification cache purge failed:', error.message);
+    });
+  }, 60 * 60 * 1000).unref();
+
+  if (verifier) {
+    await jobQueue.start();
+  }
+
+  savedSearches.start();
+  savedSearches.evaluateAll().catch(error => {
+    console.error('Saved search evaluation failed:', error.message);
+  });
+
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`\n🚀 Server running on port ${PORT}`);
+    console.log(`📊 Database: ${describeDatabase()}`);
+    console.log(`🔗 Health: http://localhost:${PORT}/health`);
+    console.log(`🔍 Search: http://localhost:${PORT}/api/search?query=black+holes\n`);
+  });
+}
+
+start().catch(error => {
+  console.error('❌ Failed to start server:', error);
+  process.exit(1);
 });
@@ -0,0 +1,183 @@
+/**
+ * "More like this": papers similar to a given paper
+ * Candidates come from a full-text query built from the paper's most frequent title/abstract
+ * terms plus its keywords, and from papers sharing an author. Each candidate is scored 0-1 per signal:
+ *   content   BM25 against that query, relative to the best-matching candidate
+ *   keywords  overlap (Jaccard) of the stemmed `keywords` columns
+ *   authors   shared authors (3 shared, or all of a shorter author list, scores 1)
+ *   subtopic  1 for the same topic and subtopic, 0.5 for the same topic only
+ * and ranked by the weighted sum (SIMILARITY_WEIGHTS).
+ */
+
+const { formatSource, ftsMatchExpression, PAPER_COLUMNS } = require('./source-retriever');
+const { stemTerm } = require('./stemmer');
+
+const SIMILARITY_WEIGHTS = { content: 0.5, keywords: 0.2, authors: 0.2, subtopic: 0.1 };
+const QUERY_TERMS = 15;        // Content words taken from the paper for the full-text query
+const CANDIDATES = 100;        // Candidates fetched per signal
+const FULL_AUTHOR_OVERLAP = 3; // Shared authors needed for a full author score
+
+function parseKeywords(json) {
+  try {
+    const keywords = JSON.parse(json || '[]');
+    return Array.isArray(keywords) ? keywords.filter(k => typeof k === 'string' && k.trim()) : [];
+  } catch {
+    return [];
+  }
+}
+
+function keywordKey(keyword) {
+  return stemTerm(keyword).join(' ');
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Most frequent content words of a paper, one per stem (title words count double)
+ */
+function contentTerms(retriever, paper, count = QUERY_TERMS) {
+  const frequencies = new Map();
+  const add = (text, weight) => {
+    retriever.extractKeywords(text || '').forEach(word => {
+      const key = keywordKey(word);
+      const entry = frequencies.get(key) || { word, count: 0 };
+      entry.count += weight;
+      frequencies.set(key, entry);
+    });
+  };
+  add(paper.title, 2);
+  add(paper.abstract, 1);
+
+  return [...frequencies.values()]
+    .sort((a, b) => b.count - a.count || (a.word < b.word ? -1 : 1))
+    .slice(0, count)
+    .map(entry => entry.word);
+}
+
+/**
+ * Papers sharing authors with `paperId`, most shared first (empty when the author index isn't built)
+ */
+async function findCoauthoredPapers(db, paperId) {
+  try {
+    const [shared, own] = await Promise.all([
+      db.execute({
+        sql: `
+          SELECT pa2.paper_id, json_group_array(a.name) AS names
+          FROM paper_authors pa1
+          JOIN paper_authors pa2 ON pa2.author_id = pa1.author_id AND pa2.paper_id != pa1.paper_id
+          JOIN authors a ON a.id = pa1.author_id
+          WHERE pa1.paper_id = ?
+          GROUP BY pa2.paper_id
+          ORDER BY COUNT(*) DESC, pa2.paper_id
+          LIMIT ?
+        `,
+        args: [paperId, CANDIDATES]
+      }),
+      db.execute({
+        sql: 'SELECT COUNT(*) AS count FROM paper_authors WHERE paper_id = ?',
+        args: [paperId]
+      })
+    ]);
+
+    return {
+      authorCount: own.rows[0].count,
+      shared: new Map(shared.rows.map(row => [row.paper_id, JSON.parse(row.names)]))
+    };
+  } catch {
+    return { authorCount: 0, shared: new Map() };
+  }
+}
+
+/**
+ * Papers similar to `paperId`, best first
+ * @returns {Promise<{ paper, queryTerms: string[], similar: object[] }|null>} null when the paper doesn't exist
+ */
+async function findSimilarPapers(db, retriever, paperId, { limit = 10 } = {}) {
+  const paperResult = await db.execute({
+    sql: `SELECT ${PAPER_COLUMNS} FROM papers p WHERE p.id = ?`,
+    args: [paperId]
+  });
+  if (paperResult.rows.length === 0) return null;
+
+  const paper = paperResult.rows[0];
+  const paperKeywords = parseKeywords(paper.keywords);
+  const queryTerms = [...new Set([
+    ...contentTerms(retriever, paper),
+    ...paperKeywords.map(keyword => keyword.toLowerCase())
+  ])];
+
+  const [contentRows, coauthored] = await Promise.all([
+    queryTerms.length > 0
+      ? db.execute({
+        sql: `
+          SELECT ${PAPER_COLUMNS}, bm25(papers_fts) AS bm25
+          FROM papers_fts
+          JOIN papers p ON papers_fts.rowid = p.rowid
+          WHERE papers_fts MATCH ? AND p.id != ?
+          ORDER BY rank LIMIT ?
+        `,
+        args: [ftsMatchExpression(queryTerms), paperId, CANDIDATES]
+      }).then(result => result.rows)
+      : [],
+    findCoauthoredPapers(db, paperId)
+  ]);
+
+  // Co-authored papers the content query didn't reach
+  const candidates = new Map(contentRows.map(row => [row.id, row]));
+  const missing = [...coauthored.shared.keys()].filter(id => !candidates.has(id));
+  if (missing.length > 0) {
+    const result = await db.execute({
+      sql: `SELECT ${PAPER_COLUMNS}, NULL AS bm25 FROM papers p WHERE p.id IN (${missing.map(() => '?').join(', ')})`,
+      args: missing
+    });
+    result.rows.forEach(row => candidates.set(row.id, row));
+  }
+
+  // bm25() is negative, more negative = better match
+  const bestBm25 = Math.min(0, ...contentRows.map(row => row.bm25));
+  const paperKeywordKeys = new Set(paperKeywords.map(keywordKey));
+
+  const similar = [...candidates.values()].map(row => {
+    const candidateKeywords = parseKeywords(row.keywords);
+    const candidateKeys = new Set(candidateKeywords.map(keywordKey));
+    const sharedKeywords = candidateKeywords.filter(keyword => paperKeywordKeys.has(keywordKey(keyword)));
+    const sharedKeywordCount = [...candidateKeys].filter(key => paperKeywordKeys.has(key)).length;
+    const keywordUnion = paperKeywordKeys.size + candidateKeys.size - sharedKeywordCount;
+    const sharedAuthors = coauthored.shared.get(row.id) || [];
+
+    const signals = {
+      content: row.bm25 !== null && bestBm25 < 0 ? round(row.bm25 / bestBm25) : 0,
+      keywords: keywordUnion > 0 ? round(sharedKeywordCount / keywordUnion) : 0,
+      authors: coauthored.authorCount > 0
+        ? round(Math.min(1, sharedAuthors.length / Math.min(coauthored.authorCount, FULL_AUTHOR_OVERLAP)))
+        : 0,
+      subtopic: row.topic === paper.topic ? (row.subtopic === paper.subtopic ? 1 : 0.5) : 0
+    };
+
+    const similarity = Object.entries(SIMILARITY_WEIGHTS)
+      .reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0);
+
+    return {
+      ...formatSource(row),
+      similarity: round(similarity),
+      signals,
+      sharedKeywords,
+      sharedAuthors
+    };
+  });
+
+  similar.sort((a, b) => b.similarity - a.similarity || (a.paperId < b.paperId ? -1 : 1));
+
+  return {
+    paper: formatSource(paper),
+    queryTerms,
+    similar: similar.slice(0, limit)
+  };
+}
+
+module.exports = {
+  findSimilarPapers,
+  SIMILARITY_WEIGHTS
+};
@@ -0,0 +1,464 @@
+/**
+ * Source Retriever: claim → ranked papers
+ * Hybrid retrieval that fuses FTS5 (BM25) and embedding similarity with
+ * reciprocal rank fusion, then scores each paper on a 1-10 relevance scale
+ * (with a small boost for well-cited papers); explainRelevance breaks the score down.
+ * With a thesaurus, claims are expanded with acronyms, synonyms and unit variants that
+ * are searched alongside the literal keywords but score at EXPANSION_WEIGHT.
+ */
+
+const { HashingEmbedder, STOP_WORDS } = require('./embeddings');
+const { tokenize, stemTerm, findTerm } = require('./stemmer');
+
+const RETRIEVAL_MODES = ['hybrid', 'fts', 'semantic'];
+
+// Semantic hits below this cosine similarity are treated as noise
+const MIN_SIMILARITY = 0.15;
+
+// Keyword points for a thesaurus expansion relative to a term written in the claim
+const EXPANSION_WEIGHT = 0.5;
+
+// Only each signal's top FUSION_DEPTH ranks count toward the fused score. Any retrieval of at
+// least this many candidates therefore fuses the same ranks, so scores don't depend on `limit`.
+const FUSION_DEPTH = 100;
+
+const PAPER_COLUMNS = `
+  p.id,
+  p.title,
+  p.abstract,
+  p.authors,
+  p.year,
+  p.topic,
+  p.subtopic,
+  p.keywords,
+  p.source,
+  p.citation_count
+`;
+
+/**
+ * Citation boost (0-1 points): log-scaled so 10 citations ≈ 0.35, 1000+ citations = 1
+ */
+function citationBoost(citationCount) {
+  if (!citationCount || citationCount < 0) return 0;
+  return Math.min(1, Math.log10(1 + citationCount) / 3);
+}
+
+/**
+ * Full-text expression matching any of the terms (each quoted, so phrases and acronyms are literal)
+ */
+function ftsMatchExpression(terms) {
+  return terms.map(term => `"${term.replace(/"/g, '""')}"`).join(' OR ');
+}
+
+/**
+ * Whether a word or phrase occurs in tokenized text, comparing stems as papers_fts does
+ */
+function containsTerm(tokens, term) {
+  return findTerm(tokens, stemTerm(term)).length > 0;
+}
+
+/**
+ * Relevance score for a paper with the points each component contributed
+ * `ftsRank` is the paper's position in the fused candidate list (0 = best);
+ * `expansions` (thesaurus terms) earn EXPANSION_WEIGHT of a keyword's points.
+ * Keywords match whole words after stemming ("accreting" matches "accretion").
+ */
+function explainRelevance(paper, keywords, ftsRank, { useCitations = true, expansions = [] } = {}) {
+  const titleTokens = tokenize(paper.title);
+  const abstractTokens = tokenize(paper.abstract);
+  const titleMatches = keywords.filter(kw => containsTerm(titleTokens, kw));
+  const abstractMatches = keywords.filter(kw => containsTerm(abstractTokens, kw));
+  const titleExpansions = expansions.filter(term => containsTerm(titleTokens, term));
+  const abstractExpansions = expansions.filter(term => containsTerm(abstractTokens, term));
+
+  const components = {
+    // Rank contribution (0-5 points, lower rank = higher score)
+    rank: { position: ftsRank, points: Math.max(0, 5 - (ftsRank * 0.1)), max: 5 },
+    // Keyword matches in title (0-3 points)
+    title: {
+      keywords: [...new Set(titleMatches)],
+      expansions: [...new Set(titleExpansions)],
+      points: Math.min(3, (titleMatches.length + titleExpansions.length * EXPANSION_WEIGHT) * 0.5),
+      max: 3
+    },
+    // Keyword matches in abstract (0-2 points)
+    abstract: {
+      keywords: [...new Set(abstractMatches)],
+      expansions: [...new Set(abstractExpansions)],
+      points: Math.min(2, (abstractMatches.length + abstractExpansions.length * EXPANSION_WEIGHT) * 0.3),
+      max: 2
+    },
+    citations: { count: paper.citation_count || 0, points: useCitations ? citationBoost(paper.citation_count) : 0, max: 1 }
+  };
+
+  const rawScore = Object.values(components).reduce((sum, c) => sum + c.points, 0);
+  Object.values(components).forEach(c => {
+    c.points = Math.round(c.points * 1000) / 1000;
+  });
+
+  return {
+    // Normalize to 1-10 scale
+    score: Math.min(10, Math.max(1, Math.round(rawScore * 10) / 10)),
+    rawScore: Math.round(rawScore * 1000) / 1000,
+    components
+  };
+}
+
+/**
+ * Calculate relevance score for a paper
+ */
+function calculateRelevance(paper, keywords, ftsRank, options = {}) {
+  return explainRelevance(paper, keywords, ftsRank, options).score;
+}
+
+/**
+ * Every occurrence of each keyword in a text (whole words after stemming, as scored above)
+ * @returns {Array<{ keyword: string, start: number, end: number }>} sorted by position
+ */
+function findKeywordPositions(text, keywords) {
+  const tokens = tokenize(text);
+  const positions = [];
+
+  [...new Set(keywords)].forEach(keyword => {
+    const termStems = stemTerm(keyword);
+    findTerm(tokens, termStems).forEach(i => {
+      positions.push({ keyword, start: tokens[i].start, end: tokens[i + termStems.length - 1].end });
+    });
+  });
+
+  return positions.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Format a database row as a source for the frontend
+ */
+function formatSource(row) {
+  let authorsStr = '';
+  try {
+    const authorsData = JSON.parse(row.authors || '[]');
+    authorsStr = Array.isArray(authorsData) ? authorsData.join(', ') : String(authorsData);
+  } catch {
+    authorsStr = row.authors || 'Unknown';
+  }
+
+  const source = row.source || 'arxiv';
+
+  // Generate correct URL based on source
+  let url;
+  if (source === 'nasa-ads') {
+    // NASA ADS bibcode - encode & as %26 for URL
+    url = `https://ui.adsabs.harvard.edu/abs/${encodeURIComponent(row.id)}/abstract`;
+  } else {
+    // arXiv ID
+    url = `https://arxiv.org/abs/${row.id}`;
+  }
+
+  return {
+    type: 'paper',
+    title: row.title,
+    abstract: row.abstract,
+    authors: authorsStr,
+    year: row.year,
+    paperId: row.id,
+    url: url,
+    publicationDate: row.year ? `${row.year}` : null,
+    source: source,
+    topic: row.topic,
+    subtopic: row.subtopic,
+    citationCount: row.citation_count || 0
+  };
+}
+
+/**
+ * Result order: papers within FUSION_DEPTH of some signal by relevance, then fused score;
+ * deeper papers after them by their best rank in any signal; paper ID breaks ties.
+ * Every sort key is the same whatever `limit` the sources were retrieved with (at least
+ * FUSION_DEPTH), and papers a larger limit adds sort after all earlier ones, so the order
+ * supports keyset pagination over a growing window.
+ */
+function compareSources(a, b) {
+  const aFused = a.fusedScore > 0;
+  const bFused = b.fusedScore > 0;
+  if (aFused !== bFused) return aFused ? -1 : 1;
+
+  return (aFused ? b.relevance - a.relevance || b.fusedScore - a.fusedScore : a.bestRank - b.bestRank) ||
+    (a.paperId < b.paperId ? -1 : a.paperId > b.paperId ? 1 : 0);
+}
+
+class SourceRetriever {
+  constructor(db, { embedder = new HashingEmbedder(), rrfK = 60, thesaurus = null } = {}) {
+    this.db = db;
+    this.embedder = embedder;
+    this.rrfK = rrfK;
+    this.thesaurus = thesaurus;
+    this.embeddingsAvailable = false;
+  }
+
+  /**
+   * Extract search keywords from a claim
+   */
+  extractKeywords(claim) {
+    const words = claim.toLowerCase().match(/\b[a-z]{3,}\b/g) || [];
+    return words.filter(word => !STOP_WORDS.has(word));
+  }
+
+  /**
+   * Literal keywords plus thesaurus expansions for a claim
+   * Acronyms from the thesaurus stay keywords even when shorter than 3 letters ("GW", "NS");
+   * expansions already written in the claim, or whose words are all keywords, add nothing and are dropped
+   */
+  buildQuery(claim) {
+    const keywords = this.extractKeywords(claim);
+    if (!this.thesaurus) return { keywords, expansions: [] };
+
+    const { acronyms, expansions } = this.thesaurus.expand(claim);
+    const literal = [...new Set([...keywords, ...acronyms])];
+    const covered = new Set(literal);
+    const claimLower = claim.toLowerCase();
+
+    return {
+      keywords: literal,
+      expansions: expansions.filter(term =>
+        !claimLower.includes(term) && !term.split(/[\s-]+/).every(word => covered.has(word)))
+    };
+  }
+
+  /**
+   * SQL conditions for the filters object accepted by /api/get-sources
+   * (plus `afterRowid` / `upToRowid`, used by saved searches to look at newly added papers only)
+   */
+  buildFilterClause(filters = {}) {
+    let sql = '';
+    const args = [];
+
+    if (filters.yearMin) {
+      sql += ' AND p.year >= ?';
+      args.push(parseInt(filters.yearMin));
+    }
+
+    if (filters.yearMax) {
+      sql += ' AND p.year <= ?';
+      args.push(parseInt(filters.yearMax));
+    }
+
+    if (filters.topic) {
+      sql += ' AND p.topic = ?';
+      args.push(filters.topic);
+    }
+
+    if (filters.subtopic) {
+      sql += ' AND p.subtopic = ?';
+      args.push(filters.subtopic);
+    }
+
+    if (filters.source) {
+      sql += ' AND p.source = ?';
+      args.push(filters.source);
+    }
+
+    if (filters.afterRowid) {
+      sql += ' AND p.rowid > ?';
+      args.push(parseInt(filters.afterRowid));
+    }
+
+    if (filters.upToRowid) {
+      sql += ' AND p.rowid <= ?';
+      args.push(parseInt(filters.upToRowid));
+    }
+
+    return { sql, args };
+  }
+
+  /**
+   * Full-text candidates in BM25 order (papers matching any of the terms)
+   */
+  async searchFts(keywords, filters, limit) {
+    const filter = this.buildFilterClause(filters);
+
+    const result = await this.db.execute({
+      sql: `
+        SELECT ${PAPER_COLUMNS}, bm25(papers_fts) AS bm25
+        FROM papers_fts
+        JOIN papers p ON papers_fts.rowid = p.rowid
+        WHERE papers_fts MATCH ?${filter.sql}
+        ORDER BY rank, p.id LIMIT ?
+      `,
+      args: [ftsMatchExpression(keywords), ...filter.args, limit]
+    });
+
+    return result.rows;
+  }
+
+  /**
+   * Number of full-text matches, counted up to `cap` (`capped` means there are at least that many)
+   */
+  async countFts(keywords, filters, cap) {
+    if (keywords.length === 0) return { count: 0, capped: false };
+    const filter = this.buildFilterClause(filters);
+
+    const result = await this.db.execute({
+      sql: `
+        SELECT COUNT(*) as count FROM (
+          SELECT 1
+          FROM papers_fts
+          JOIN papers p ON papers_fts.rowid = p.rowid
+          WHERE papers_fts MATCH ?${filter.sql}
+          LIMIT ?
+        )
+      `,
+      args: [ftsMatchExpression(keywords), ...filter.args, cap]
+    });
+
+    const count = result.rows[0].count;
+    return { count, capped: count >= cap };
+  }
+
+  /**
+   * Nearest neighbours of the claim embedding, filtered after the ANN lookup
+   */
+  async searchSemantic(claim, filters, limit) {
+    const filter = this.buildFilterClause(filters);
+    const vector = HashingEmbedder.toBlob(this.embedder.embed(claim));
+
+    // Over-fetch when filtering since filters are applied after the vector search
+    const k = filter.args.length > 0 ? limit * 5 : limit;
+
+    const result = await this.db.execute({
+      sql: `
+        SELECT ${PAPER_COLUMNS}, vector_distance_cos(e.embedding, ?) AS distance
+        FROM vector_top_k('idx_paper_embeddings_vector', ?, ?) v
+        JOIN paper_embeddings e ON e.rowid = v.id
+        JOIN papers p ON p.rowid = e.paper_rowid
+        WHERE e.model = ?${filter.sql}
+        ORDER BY distance, p.id LIMIT ?
+      `,
+      args: [vector, vector, k, this.embedder.model, ...filter.args, limit]
+    });
+
+    return result.rows
+      .map(row => ({ ...row, similarity: 1 - row.distance }))
+      .filter(row => row.similarity >= MIN_SIMILARITY);
+  }
+
+  /**
+   * Whether the embedding index has been built (positive result is cached)
+   */
+  async hasEmbeddings() {
+    if (this.embeddingsAvailable) return true;
+
+    try {
+      const result = await this.db.execute({
+        sql: 'SELECT 1 FROM paper_embeddings WHERE model = ? LIMIT 1',
+        args: [this.embedder.model]
+      });
+      this.embeddingsAvailable = result.rows.length > 0;
+    } catch {
+      this.embeddingsAvailable = false;
+    }
+
+    return this.embeddingsAvailable;
+  }
+
+  /**
+   * Retrieve and rank sources for a claim (the top `limit` candidates from each signal)
+   * Each source reports which signal(s) found it in `matchedBy`
+   * Pass `citationBoost: false` to rank on text relevance alone, and `explain: true` to attach
+   * each source's score components, BM25 score and matched keyword positions in `explanation`
+   */
+  async retrieve(claim, { filters = {}, mode = 'hybrid', limit = 100, citationBoost = true, explain = false } = {}) {
+    const { keywords, expansions } = this.buildQuery(claim);
+    const terms = [...keywords, ...expansions];
+
+    // Fall back to FTS when the embedding index hasn't been built
+    let effectiveMode = RETRIEVAL_MODES.includes(mode) ? mode : 'hybrid';
+    if (effectiveMode !== 'fts' && !(await this.hasEmbeddings())) {
+      effectiveMode = 'fts';
+    }
+
+    const [ftsRows, semanticRows] = await Promise.all([
+      effectiveMode !== 'semantic' && terms.length > 0
+        ? this.searchFts(terms, filters, limit)
+        : [],
+      effectiveMode !== 'fts'
+        ? this.searchSemantic(claim, filters, limit)
+        : []
+    ]);
+
+    // Reciprocal rank fusion: score = Σ 1 / (k + rank), over ranks within FUSION_DEPTH
+    const candidates = new Map();
+    const addRanked = (rows, signal) => {
+      rows.forEach((row, index) => {
+        if (!candidates.has(row.id)) {
+          candidates.set(row.id, { row, matchedBy: [], fusedScore: 0, bestRank: Infinity, similarity: null, bm25: null, ranks: {} });
+        }
+        const candidate = candidates.get(row.id);
+        candidate.matchedBy.push(signal);
+        if (index < FUSION_DEPTH) candidate.fusedScore += 1 / (this.rrfK + index + 1);
+        candidate.bestRank = Math.min(candidate.bestRank, index + 1);
+        candidate.ranks[signal] = index + 1;
+        if (signal === 'semantic') candidate.similarity = row.similarity;
+        if (signal === 'fts') candidate.bm25 = row.bm25;
+      });
+    };
+    addRanked(ftsRows, 'fts');
+    addRanked(semanticRows, 'semantic');
+
+    const fused = [...candidates.values()].sort((a, b) =>
+      b.fusedScore - a.fusedScore ||
+      a.bestRank - b.bestRank ||
+      (a.row.id < b.row.id ? -1 : a.row.id > b.row.id ? 1 : 0)
+    );
+
+    const sources = fused.map((candidate, index) => {
+      const relevance = explainRelevance(candidate.row, keywords, index, { useCitations: citationBoost, expansions });
+      const source = {
+        ...formatSource(candidate.row),
+        relevance: relevance.score,
+        matchedBy: candidate.matchedBy,
+        semanticSimilarity: candidate.similarity !== null
+          ? Math.round(candidate.similarity * 1000) / 1000
+          : null,
+        fusedScore: candidate.fusedScore,
+        bestRank: candidate.bestRank
+      };
+
+      if (explain) {
+        source.explanation = {
+          ...relevance,
+          // SQLite's bm25() is negative; more negative = better match
+          bm25: candidate.bm25 !== null ? Math.round(candidate.bm25 * 1000) / 1000 : null,
+          ftsRank: candidate.ranks.fts || null,
+          semanticRank: candidate.ranks.semantic || null,
+          matchedKeywords: {
+            title: findKeywordPositions(source.title, terms),
+            abstract: findKeywordPositions(source.abstract, terms)
+          }
+        };
+      }
+
+      return source;
+    });
+
+    sources.sort(compareSources);
+
+    // Fewer rows than asked for from every signal means nothing was cut off by the limit
+    const complete = ftsRows.length < limit && semanticRows.length < limit;
+
+    return { keywords, expansions, mode: effectiveMode, sources, complete };
+  }
+}
+
+module.exports = {
+  SourceRetriever,
+  calculateRelevance,
+  explainRelevance,
+  compareSources,
+  findKeywordPositions,
+  ftsMatchExpression,
+  citationBoost,
+  formatSource,
+  PAPER_COLUMNS,
+  RETRIEVAL_MODES,
+  EXPANSION_WEIGHT,
+  FUSION_DEPTH
+};
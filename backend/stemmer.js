@@ -0,0 +1,148 @@
+/**
+ * In-process tokenizer matching the papers_fts configuration ('porter unicode61 remove_diacritics 2')
+ * Words are lowercased, stripped of diacritics and reduced with the Porter stemmer, so relevance
+ * scoring agrees with full-text search on what counts as a match ("accreting" ~ "accretion").
+ */
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANT_SEQ = CONSONANT + '[^aeiouy]*';
+const VOWEL_SEQ = VOWEL + '[aeiou]*';
+
+const MEASURE_GT_0 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const MEASURE_EQ_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}(${VOWEL_SEQ})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL_SEQ}${CONSONANT_SEQ}${VOWEL_SEQ}${CONSONANT_SEQ}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANT_SEQ})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANT_SEQ}${VOWEL}[^aeiouwxy]$`);
+
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate',
+  alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive',
+  biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+// Words shorter than this (and longer than the FTS5 limit) are left unstemmed, as in FTS5
+const MIN_STEM_LENGTH = 3;
+const MAX_STEM_LENGTH = 64;
+
+const cache = new Map();
+const CACHE_LIMIT = 50000;
+
+/**
+ * Porter stemmer (lowercase input)
+ */
+function porterStem(word) {
+  if (word.length < MIN_STEM_LENGTH || word.length > MAX_STEM_LENGTH || !/^[a-z]+$/.test(word)) {
+    return word;
+  }
+
+  let w = word;
+  const initialY = w[0] === 'y';
+  if (initialY) w = 'Y' + w.slice(1);
+
+  // Step 1a: plurals
+  if (/^(.+?)(ss|i)es$/.test(w)) w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  else if (/^(.+?)([^s])s$/.test(w)) w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+
+  // Step 1b: -eed, -ed, -ing
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (ENDS_CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c: y → i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2: double suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5: trailing -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const stem = match[1];
+    if (MEASURE_GT_1.test(stem) || (MEASURE_EQ_1.test(stem) && !ENDS_CVC.test(stem))) w = stem;
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  if (initialY) w = 'y' + w.slice(1);
+  return w;
+}
+
+/**
+ * Lowercase, strip diacritics and stem one word (memoized: paper vocabularies repeat heavily)
+ */
+function stem(word) {
+  let result = cache.get(word);
+  if (result === undefined) {
+    const folded = word.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+    result = porterStem(folded);
+    if (cache.size >= CACHE_LIMIT) cache.clear();
+    cache.set(word, result);
+  }
+  return result;
+}
+
+/**
+ * Word tokens of a text with their stems and character offsets
+ * @returns {Array<{ stem: string, start: number, end: number }>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of (text || '').matchAll(/[\p{L}\p{N}][\p{L}\p{N}\p{M}]*/gu)) {
+    tokens.push({ stem: stem(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Stems of a search term (several for phrases such as "gamma-ray burst")
+ */
+function stemTerm(term) {
+  return tokenize(term).map(token => token.stem);
+}
+
+/**
+ * Token indexes where the stemmed term (a word or phrase) starts
+ */
+function findTerm(tokens, termStems) {
+  const starts = [];
+  if (termStems.length === 0) return starts;
+
+  for (let i = 0; i + termStems.length <= tokens.length; i++) {
+    if (termStems.every((s, j) => tokens[i + j].stem === s)) starts.push(i);
+  }
+  return starts;
+}
+
+module.exports = {
+  stem,
+  porterStem,
+  tokenize,
+  stemTerm,
+  findTerm
+};
@@ -0,0 +1,177 @@
+/**
+ * Domain thesaurus for query expansion
+ * database/thesaurus.json holds groups of interchangeable terms:
+ *   { "type": "acronym", "acronyms": ["GW", "GWs"], "terms": ["gravitational wave", "gravitational waves"] }
+ * `acronyms` match case-sensitively (so "NS" doesn't fire on "ns"), `terms` case-insensitively.
+ * When a claim mentions any member of a group, the other members become expansion terms.
+ * The file is reloaded when it changes on disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PATH = path.join(__dirname, '../database/thesaurus.json');
+const GROUP_TYPES = ['acronym', 'synonym', 'unit'];
+
+class ThesaurusError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ThesaurusError';
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Matches a thesaurus entry as a whole word; a number may directly precede it ("2.1M☉", "8kpc")
+ */
+function entryPattern(entry, caseSensitive) {
+  return new RegExp(`(?<!\\p{L})${escapeRegExp(entry)}(?![\\p{L}\\p{N}])`, caseSensitive ? 'u' : 'iu');
+}
+
+/**
+ * Whether full-text search can match an entry (symbols such as ☉ are dropped by the tokenizer)
+ */
+function isSearchable(entry) {
+  return /^[\p{L}\p{N}]+(?:[\s-][\p{L}\p{N}]+)*$/u.test(entry);
+}
+
+/**
+ * Check a thesaurus document, throwing ThesaurusError on the first problem
+ */
+function validateThesaurus(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.groups)) {
+    throw new ThesaurusError('Thesaurus must be an object with a "groups" array');
+  }
+
+  data.groups.forEach((group, i) => {
+    const where = `groups[${i}]`;
+    if (!group || typeof group !== 'object') {
+      throw new ThesaurusError(`${where} must be an object`);
+    }
+    if (group.type !== undefined && !GROUP_TYPES.includes(group.type)) {
+      throw new ThesaurusError(`${where}.type must be one of: ${GROUP_TYPES.join(', ')}`);
+    }
+    ['acronyms', 'terms'].forEach(field => {
+      if (group[field] === undefined) return;
+      if (!Array.isArray(group[field]) || group[field].some(entry => typeof entry !== 'string' || !entry.trim())) {
+        throw new ThesaurusError(`${where}.${field} must be an array of non-empty strings`);
+      }
+    });
+
+    const size = (group.acronyms || []).length + (group.terms || []).length;
+    if (size < 2) {
+      throw new ThesaurusError(`${where} needs at least two entries to expand between`);
+    }
+  });
+}
+
+class Thesaurus {
+  constructor(filePath = DEFAULT_PATH) {
+    this.filePath = filePath;
+    this.data = { groups: [] };
+    this.groups = [];
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Read the file (a missing file means an empty thesaurus)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.setData({ groups: [] });
+      this.loadedMtime = null;
+      return this.data;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new ThesaurusError(`${this.filePath}: invalid JSON (${error.message})`);
+    }
+    validateThesaurus(data);
+
+    this.setData(data);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    return this.data;
+  }
+
+  /**
+   * Reload when the file has been edited since it was last read (keeps the last good copy on errors)
+   */
+  refresh() {
+    const mtime = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).mtimeMs : null;
+    if (mtime === this.loadedMtime) return;
+
+    try {
+      this.load();
+    } catch (error) {
+      console.warn(`⚠️  Thesaurus not reloaded: ${error.message}`);
+      this.loadedMtime = mtime; // Don't retry until the file changes again
+    }
+  }
+
+  /**
+   * Validate, write and apply a new thesaurus
+   */
+  save(data) {
+    validateThesaurus(data);
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2) + '\n');
+    this.setData(data);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    return this.data;
+  }
+
+  setData(data) {
+    this.data = data;
+    this.groups = data.groups.map(group => ({
+      entries: [
+        ...(group.acronyms || []).map(entry => ({ entry, acronym: true, pattern: entryPattern(entry, true) })),
+        ...(group.terms || []).map(entry => ({ entry, acronym: false, pattern: entryPattern(entry, false) }))
+      ]
+    }));
+  }
+
+  /**
+   * Expansion terms for a claim
+   * @returns {{ acronyms: string[], expansions: string[], matches: string[] }}
+   *   acronyms: searchable acronyms written in the claim (kept as literal keywords even when short);
+   *   expansions: the other members of every matched group, lowercased;
+   *   matches: the entries found in the claim
+   */
+  expand(claim) {
+    this.refresh();
+
+    const acronyms = new Set();
+    const expansions = new Set();
+    const matches = [];
+
+    this.groups.forEach(group => {
+      const found = group.entries.filter(({ pattern }) => pattern.test(claim));
+      if (found.length === 0) return;
+
+      found.forEach(({ entry, acronym }) => {
+        matches.push(entry);
+        if (acronym && isSearchable(entry)) acronyms.add(entry.toLowerCase());
+      });
+
+      group.entries
+        .filter(e => !found.includes(e) && isSearchable(e.entry))
+        .forEach(e => expansions.add(e.entry.toLowerCase()));
+    });
+
+    acronyms.forEach(acronym => expansions.delete(acronym));
+
+    return { acronyms: [...acronyms], expansions: [...expansions], matches };
+  }
+}
+
+module.exports = {
+  Thesaurus,
+  ThesaurusError,
+  validateThesaurus,
+  DEFAULT_PATH
+};
@@ -0,0 +1,141 @@
+/**
+ * Deterministic verdict scoring
+ * Each supporting or contradicting analysis counts with a weight built from four factors:
+ *   weight = stance confidence × relevance × recency × source
+ * and the score is the weighted share of support, smoothed by a prior worth one full-weight
+ * paper on each side:
+ *   score = 100 × (support + PRIOR) / (support + contradict + 2 × PRIOR)
+ * A lone paper reaches Supported (61) only with a weight above about 0.53, e.g. a confident,
+ * highly relevant, recent journal paper; weaker single papers stay Inconclusive.
+ * The same analyses always give the same score; the LLM only writes the prose around it.
+ */
+
+const SCORING_VERSION = 'weighted-v2';
+
+// Pseudo-evidence added to both sides (pulls thin evidence towards 50)
+const PRIOR_WEIGHT = 1;
+
+// Recency: a paper's weight decays towards RECENCY_FLOOR with this half-life
+const RECENCY_HALF_LIFE_YEARS = 15;
+const RECENCY_FLOOR = 0.5;
+
+const SOURCE_WEIGHTS = {
+  'peer-reviewed': 1.0,
+  preprint: 0.8
+};
+
+// Verdict bands on the 0-100 score (lower bound inclusive)
+const VERDICT_BANDS = [
+  { min: 85, verdict: 'Strongly Supported' },
+  { min: 61, verdict: 'Supported' },
+  { min: 40, verdict: 'Inconclusive' },
+  { min: 16, verdict: 'Contradicted' },
+  { min: 0, verdict: 'Strongly Contradicted' }
+];
+
+/**
+ * NASA ADS records are journal papers unless their bibcode is an arXiv e-print;
+ * everything ingested from arXiv is a preprint
+ */
+function publicationType(analysis) {
+  const id = String(analysis.paperId || '');
+  return analysis.paperSource === 'nasa-ads' && !/^\d{4}arXiv/.test(id) ? 'peer-reviewed' : 'preprint';
+}
+
+/**
+ * Retrieval relevance (1-10) → 0.5-1; papers without a score get the midpoint
+ */
+function relevanceFactor(relevanceScore) {
+  if (!relevanceScore) return 0.75;
+  const clamped = Math.min(10, Math.max(1, relevanceScore));
+  return 0.5 + 0.5 * (clamped - 1) / 9;
+}
+
+/**
+ * Publication year → RECENCY_FLOOR-1, halving the distance to the floor every RECENCY_HALF_LIFE_YEARS
+ */
+function recencyFactor(year, currentYear = new Date().getFullYear()) {
+  if (!year) return RECENCY_FLOOR;
+  const age = Math.max(0, currentYear - year);
+  return RECENCY_FLOOR + (1 - RECENCY_FLOOR) * Math.pow(0.5, age / RECENCY_HALF_LIFE_YEARS);
+}
+
+/**
+ * Weight of one analysis, with the factors that produced it
+ */
+function analysisWeight(analysis, { currentYear } = {}) {
+  const factors = {
+    confidence: Math.min(100, Math.max(0, analysis.confidence || 0)) / 100,
+    relevance: relevanceFactor(analysis.relevanceScore),
+    recency: recencyFactor(analysis.paperYear, currentYear),
+    source: SOURCE_WEIGHTS[publicationType(analysis)]
+  };
+
+  const weight = factors.confidence * factors.relevance * factors.recency * factors.source;
+  return { weight, factors };
+}
+
+function round(value, digits = 3) {
+  const scale = Math.pow(10, digits);
+  return Math.round(value * scale) / scale;
+}
+
+/**
+ * Score a set of per-paper analyses
+ * @returns {{ verificationScore: number, verdict: string, confidence: string, scoring: Object }}
+ */
+function scoreAnalyses(analyses, options = {}) {
+  const totals = { supports: 0, contradicts: 0, neutral: 0 };
+
+  const contributions = analyses
+    .filter(a => a.stance in totals)
+    .map(a => {
+      const { weight, factors } = analysisWeight(a, options);
+      totals[a.stance] += weight;
+      return {
+        paperId: a.paperId,
+        stance: a.stance,
+        publicationType: publicationType(a),
+        weight: round(weight),
+        factors: Object.fromEntries(Object.entries(factors).map(([k, v]) => [k, round(v)]))
+      };
+    })
+    .sort((a, b) => b.weight - a.weight);
+
+  const evidence = totals.supports + totals.contradicts;
+  const verificationScore = Math.round(100 * (totals.supports + PRIOR_WEIGHT) / (evidence + 2 * PRIOR_WEIGHT));
+  const verdict = VERDICT_BANDS.find(band => verificationScore >= band.min).verdict;
+
+  // Confidence grows with the amount of evidence and how much it agrees
+  const agreement = evidence > 0 ? Math.abs(totals.supports - totals.contradicts) / evidence : 0;
+  const confidence = evidence >= 2.5 && agreement >= 0.5 ? 'High'
+    : evidence >= 1 ? 'Medium'
+    : 'Low';
+
+  return {
+    verificationScore,
+    verdict,
+    confidence,
+    scoring: {
+      version: SCORING_VERSION,
+      weights: {
+        supports: round(totals.supports),
+        contradicts: round(totals.contradicts),
+        neutral: round(totals.neutral),
+        prior: PRIOR_WEIGHT
+      },
+      agreement: round(agreement),
+      contributions
+    }
+  };
+}
+
+module.exports = {
+  scoreAnalyses,
+  analysisWeight,
+  publicationType,
+  relevanceFactor,
+  recencyFactor,
+  SCORING_VERSION,
+  VERDICT_BANDS
+};
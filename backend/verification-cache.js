@@ -0,0 +1,209 @@
+/**
+ * Two-level cache for per-paper claim analyses
+ * A size-bounded in-memory LRU in front of the verification_cache table.
+ * Entries are keyed by normalized claim, paper and its text, model and prompt version, so
+ * switching models, editing the prompt or editing a paper's title or abstract invalidates old analyses.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DEFAULT_MEMORY_SIZE = 1000;
+
+// Bump when normalizeClaim or the key's parts change, so entries keyed the old way are never read back
+const KEY_VERSION = 3;
+
+/**
+ * Normalize a claim so trivial variants share a cache entry:
+ * "Black holes  emit radiation." → "black holes emit radiation"
+ * Only case, whitespace and trailing punctuation are folded; operators, signs and decimal
+ * points change a claim's meaning ("> 1.4" vs "< 14"), so they stay part of the key.
+ */
+function normalizeClaim(claim) {
+  return String(claim)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[\s.,;:!?]+$/u, '');
+}
+
+/**
+ * Least-recently-used map (Map keeps insertion order; re-inserting on read moves an entry to the end)
+ */
+class LRUCache {
+  constructor(maxSize = DEFAULT_MEMORY_SIZE) {
+    this.maxSize = maxSize;
+    this.map = new Map();
+  }
+
+  get(key) {
+    if (!this.map.has(key)) return undefined;
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, value);
+    while (this.map.size > this.maxSize) {
+      this.map.delete(this.map.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.map.delete(key);
+  }
+
+  clear() {
+    this.map.clear();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+}
+
+class VerificationCache {
+  /**
+   * @param {Object|null} db - libSQL client; null keeps the cache in memory only
+   */
+  constructor(db = null, { ttlMs = DEFAULT_TTL_MS, memorySize = DEFAULT_MEMORY_SIZE } = {}) {
+    this.db = db;
+    this.ttlMs = ttlMs;
+    this.memory = new LRUCache(memorySize);
+    this.stats = { memoryHits: 0, dbHits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * Cache key for one analysis (`paperText` is the title and abstract the analysis was made from)
+   */
+  key({ claim, paperId, paperText = '', model, promptVersion }) {
+    return crypto
+      .createHash('sha256')
+      .update([KEY_VERSION, promptVersion, model, paperId, paperText, normalizeClaim(claim)].join('\n'))
+      .digest('hex');
+  }
+
+  /**
+   * Look up an analysis; returns null on a miss or an expired entry
+   */
+  async get(entry) {
+    const key = this.key(entry);
+    const now = Date.now();
+
+    const cached = this.memory.get(key);
+    if (cached) {
+      if (cached.expiresAt > now) {
+        this.stats.memoryHits++;
+        return cached.analysis;
+      }
+      this.memory.delete(key);
+    }
+
+    if (this.db) {
+      try {
+        const result = await this.db.execute({
+          sql: 'SELECT analysis, expires_at FROM verification_cache WHERE cache_key = ? AND expires_at > ?',
+          args: [key, now]
+        });
+
+        if (result.rows.length > 0) {
+          const analysis = JSON.parse(result.rows[0].analysis);
+          this.memory.set(key, { analysis, expiresAt: result.rows[0].expires_at });
+          this.stats.dbHits++;
+
+          // Hit counts are informational, don't hold up the request
+          this.db.execute({
+            sql: 'UPDATE verification_cache SET hit_count = hit_count + 1 WHERE cache_key = ?',
+            args: [key]
+          }).catch(() => {});
+
+          return analysis;
+        }
+      } catch (error) {
+        console.error('Verification cache read failed:', error.message);
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store an analysis in memory and (when configured) in the database
+   */
+  async set(entry, analysis) {
+    const key = this.key(entry);
+    const now = Date.now();
+    const expiresAt = now + this.ttlMs;
+
+    this.memory.set(key, { analysis, expiresAt });
+    this.stats.writes++;
+
+    if (!this.db) return;
+
+    try {
+      await this.db.execute({
+        sql: `INSERT OR REPLACE INTO verification_cache
+              (cache_key, claim, paper_id, model, prompt_version, analysis, created_at, expires_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          key,
+          normalizeClaim(entry.claim),
+          entry.paperId,
+          entry.model,
+          entry.promptVersion,
+          JSON.stringify(analysis),
+          now,
+          expiresAt
+        ]
+      });
+    } catch (error) {
+      console.error('Verification cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Delete expired rows from the database
+   * @returns {number} rows removed
+   */
+  async purgeExpired() {
+    if (!this.db) return 0;
+    const result = await this.db.execute({
+      sql: 'DELETE FROM verification_cache WHERE expires_at <= ?',
+      args: [Date.now()]
+    });
+    return result.rowsAffected;
+  }
+
+  /**
+   * Hit/miss counters plus cache sizes
+   */
+  async getStats() {
+    let stored = null;
+    if (this.db) {
+      const result = await this.db.execute({
+        sql: 'SELECT COUNT(*) as count FROM verification_cache WHERE expires_at > ?',
+        args: [Date.now()]
+      });
+      stored = result.rows[0].count;
+    }
+
+    return {
+      ...this.stats,
+      memoryEntries: this.memory.size,
+      memoryLimit: this.memory.maxSize,
+      storedEntries: stored,
+      ttlHours: Math.round(this.ttlMs / 3600000)
+    };
+  }
+}
+
+module.exports = {
+  VerificationCache,
+  LRUCache,
+  normalizeClaim
+};
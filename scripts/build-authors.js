@@ -0,0 +1,65 @@
+/**
+ * Populate authors / paper_authors from the JSON papers.authors column
+ * Usage: node scripts/build-authors.js [--rebuild]
+ */
+
+require('dotenv').config();
+
+const { createDatabase, describeDatabase } = require('../backend/db');
+const { indexPaperAuthors, refreshAuthorCounts } = require('../backend/authors');
+
+const BATCH_SIZE = 1000;
+
+async function buildAuthors(rebuild) {
+  const db = createDatabase();
+
+  console.log(`=== Building Author Index (${describeDatabase()}) ===\n`);
+
+  if (rebuild) {
+    await db.execute('DELETE FROM paper_authors');
+    await db.execute('DELETE FROM authors');
+    console.log('✓ Cleared existing author index');
+  }
+
+  const countResult = await db.execute('SELECT COUNT(*) as count FROM papers');
+  const total = countResult.rows[0].count;
+
+  const cache = new Map();
+  let processed = 0;
+  let links = 0;
+  let lastRowid = 0;
+
+  // Page by rowid rather than OFFSET so each batch stays an index seek
+  while (true) {
+    const result = await db.execute({
+      sql: 'SELECT rowid, id, authors FROM papers WHERE rowid > ? ORDER BY rowid LIMIT ?',
+      args: [lastRowid, BATCH_SIZE]
+    });
+
+    if (result.rows.length === 0) break;
+
+    const tx = await db.transaction('write');
+    try {
+      for (const row of result.rows) {
+        links += await indexPaperAuthors(tx, row.id, row.authors, cache);
+      }
+      await tx.commit();
+    } finally {
+      tx.close();
+    }
+
+    processed += result.rows.length;
+    lastRowid = result.rows[result.rows.length - 1].rowid;
+    process.stdout.write(`Progress: ${processed.toLocaleString()}/${total.toLocaleString()} papers\r`);
+  }
+
+  await refreshAuthorCounts(db);
+
+  const authors = await db.execute('SELECT COUNT(*) as count FROM authors');
+  console.log(`\n\n✓ ${authors.rows[0].count.toLocaleString()} authors, ${links.toLocaleString()} paper links`);
+}
+
+buildAuthors(process.argv.includes('--rebuild')).catch(error => {
+  console.error('\n❌ Author index build failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+/**
+ * Build the semantic embedding index over paper titles and abstracts
+ * Runs offline on CPU; only papers missing an embedding for the current model are processed
+ * Usage: node scripts/build-embeddings.js [--rebuild]
+ */
+
+require('dotenv').config();
+
+const { createDatabase, describeDatabase } = require('../backend/db');
+const { HashingEmbedder } = require('../backend/embeddings');
+
+const BATCH_SIZE = 500;
+
+async function buildEmbeddings(rebuild) {
+  const db = createDatabase();
+  const embedder = new HashingEmbedder();
+
+  console.log(`=== Building Embeddings (${describeDatabase()}) ===\n`);
+  console.log(`Model: ${embedder.model} (${embedder.dim} dims)`);
+
+  if (rebuild) {
+    await db.execute('DELETE FROM paper_embeddings');
+    console.log('✓ Cleared existing embeddings');
+  }
+
+  const countResult = await db.execute({
+    sql: `SELECT COUNT(*) as count FROM papers p
+          LEFT JOIN paper_embeddings e ON e.paper_rowid = p.rowid AND e.model = ?
+          WHERE e.paper_rowid IS NULL`,
+    args: [embedder.model]
+  });
+  const total = countResult.rows[0].count;
+  console.log(`Papers to embed: ${total.toLocaleString()}\n`);
+
+  let processed = 0;
+  let lastRowid = 0;
+  const startTime = Date.now();
+
+  // Page by rowid rather than OFFSET so each batch stays an index seek
+  while (true) {
+    const result = await db.execute({
+      sql: `SELECT p.rowid as rowid, p.title, p.abstract FROM papers p
+            LEFT JOIN paper_embeddings e ON e.paper_rowid = p.rowid AND e.model = ?
+            WHERE e.paper_rowid IS NULL AND p.rowid > ?
+            ORDER BY p.rowid
+            LIMIT ?`,
+      args: [embedder.model, lastRowid, BATCH_SIZE]
+    });
+
+    if (result.rows.length === 0) break;
+
+    await db.batch(
+      result.rows.map(row => ({
+        sql: 'INSERT OR REPLACE INTO paper_embeddings (paper_rowid, model, embedding) VALUES (?, ?, ?)',
+        args: [row.rowid, embedder.model, HashingEmbedder.toBlob(embedder.embedPaper(row))]
+      })),
+      'write'
+    );
+
+    processed += result.rows.length;
+    lastRowid = result.rows[result.rows.length - 1].rowid;
+
+    const rate = processed / ((Date.now() - startTime) / 1000);
+    process.stdout.write(`Progress: ${processed.toLocaleString()}/${total.toLocaleString()} | ${rate.toFixed(0)} papers/sec\r`);
+  }
+
+  console.log(`\n\n✓ Embedded ${processed.toLocaleString()} papers`);
+}
+
+buildEmbeddings(process.argv.includes('--rebuild')).catch(error => {
+  console.error('\n❌ Embedding build failed:', error);
+  process.exit(1);
+});
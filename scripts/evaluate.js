@@ -0,0 +1,183 @@
+/**
+ * Evaluate retrieval and verification quality on a labeled claim benchmark
+ * Retrieval goes through a running server's /api/get-sources; verdicts come from ClaimVerifier
+ * with the offline mock LLM or a recorded one, so runs are reproducible.
+ *
+ * Usage: node scripts/evaluate.js [benchmark.jsonl] [options]
+ *   --api <url>           Server to evaluate (default http://localhost:3000)
+ *   --k <list>            Cutoffs for recall/nDCG (default 5,10)
+ *   --llm <mock|recorded> LLM for verdicts (default mock)
+ *   --recording <file>    Recorded responses for --llm recorded
+ *   --record              Fill missing recorded responses from LLM_PROVIDER and save them
+ *   --no-verify           Retrieval metrics only
+ *   --output <file>       Write results as JSON (stable order, no timestamps: diff it between commits)
+ *   --compare <file>      Print metric deltas against an earlier results file
+ * Set SPACEDIGEST_API_KEY to evaluate under an API key's rate limits instead of the anonymous ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+require('dotenv').config();
+
+const ClaimVerifier = require('../backend/claim-verifier');
+const { MockProvider, RecordedProvider, createProvider, loadLLMConfig } = require('../backend/llm-providers');
+const { loadBenchmark, scoreRetrieval, verdictMatch, summarize, compareRuns } = require('../backend/evaluation');
+
+const DEFAULT_BENCHMARK = path.join(__dirname, '../database/fixtures/benchmark.jsonl');
+const MAX_PAPERS = 5;
+
+// Recency weights are computed against a fixed year so verdict scores don't drift with the calendar
+const SCORING_YEAR = 2025;
+
+function parseArgs(argv) {
+  const options = {
+    benchmark: DEFAULT_BENCHMARK,
+    api: 'http://localhost:3000',
+    ks: [5, 10],
+    llm: 'mock',
+    recording: path.join(__dirname, '../database/fixtures/benchmark-llm-recording.json'),
+    record: false,
+    verify: true,
+    output: null,
+    compare: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--api') options.api = argv[++i].replace(/\/$/, '');
+    else if (arg === '--k') options.ks = argv[++i].split(',').map(Number).filter(k => k > 0);
+    else if (arg === '--llm') options.llm = argv[++i];
+    else if (arg === '--recording') options.recording = argv[++i];
+    else if (arg === '--record') options.record = true;
+    else if (arg === '--no-verify') options.verify = false;
+    else if (arg === '--output') options.output = argv[++i];
+    else if (arg === '--compare') options.compare = argv[++i];
+    else if (!arg.startsWith('--')) options.benchmark = arg;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  return options;
+}
+
+function createEvalProvider(options) {
+  if (options.llm === 'mock') return new MockProvider();
+  if (options.llm === 'recorded') {
+    return new RecordedProvider({
+      recordingPath: options.recording,
+      provider: options.record ? createProvider(loadLLMConfig()) : null
+    });
+  }
+  throw new Error(`Unknown --llm "${options.llm}" (use mock or recorded)`);
+}
+
+async function getSources(api, testCase) {
+  const response = await fetch(`${api}/api/get-sources`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.SPACEDIGEST_API_KEY && { 'Authorization': `Bearer ${process.env.SPACEDIGEST_API_KEY}` })
+    },
+    body: JSON.stringify({
+      claim: testCase.claim,
+      filters: testCase.filters || {},
+      mode: testCase.mode || 'hybrid',
+      limit: 50
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`/api/get-sources returned HTTP ${response.status}`);
+  }
+  return (await response.json()).sources || [];
+}
+
+function currentCommit() {
+  try {
+    return execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+function formatMetric(value) {
+  return value === null ? '   -  ' : value.toFixed(4);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const cases = loadBenchmark(options.benchmark);
+  const provider = options.verify ? createEvalProvider(options) : null;
+  const verifier = provider ? new ClaimVerifier({ provider, scoring: { currentYear: SCORING_YEAR } }) : null;
+
+  console.log(`=== Evaluation: ${path.basename(options.benchmark)} (${cases.length} claims) ===`);
+  console.log(`API: ${options.api}   LLM: ${provider ? `${provider.name}:${provider.model}` : 'none'}\n`);
+
+  const results = [];
+  for (const testCase of cases) {
+    const sources = await getSources(options.api, testCase);
+    const rankedIds = sources.map(s => s.paperId);
+    const result = {
+      id: testCase.id,
+      retrieval: scoreRetrieval(rankedIds, testCase.relevant, options.ks),
+      topIds: rankedIds.slice(0, Math.max(...options.ks)),
+      verification: null
+    };
+
+    if (verifier && testCase.verdict) {
+      const verification = await verifier.verifyClaim(testCase.claim, sources, { maxPapers: MAX_PAPERS });
+      result.verification = {
+        expected: testCase.verdict,
+        actual: verification.verdict,
+        score: verification.verificationScore,
+        ...verdictMatch(verification.verdict, testCase.verdict)
+      };
+    }
+
+    const verdictNote = result.verification
+      ? `  ${result.verification.exact ? '✓' : '✗'} ${result.verification.actual}`
+      : '';
+    console.log(`  ${testCase.id.padEnd(28)} mrr ${formatMetric(result.retrieval.mrr)}  ndcg@${options.ks[0]} ${formatMetric(result.retrieval[`ndcg@${options.ks[0]}`])}${verdictNote}`);
+    results.push(result);
+  }
+
+  if (provider instanceof RecordedProvider && options.record) {
+    provider.save();
+    console.log(`\n✓ Saved recording to ${options.recording}`);
+  }
+
+  const run = {
+    benchmark: path.basename(options.benchmark),
+    commit: currentCommit(),
+    llm: provider ? `${provider.name}:${provider.model}` : null,
+    ks: options.ks,
+    summary: summarize(results, options.ks),
+    cases: results.sort((a, b) => a.id.localeCompare(b.id))
+  };
+
+  console.log('\n=== Summary ===');
+  Object.entries(run.summary).forEach(([metric, value]) => {
+    console.log(`  ${metric.padEnd(18)} ${/cases$/i.test(metric) ? value : formatMetric(value)}`);
+  });
+
+  if (options.compare) {
+    const baseline = JSON.parse(fs.readFileSync(options.compare, 'utf8'));
+    const { delta, changedCases } = compareRuns(baseline, run);
+    console.log(`\n=== Compared to ${baseline.commit || options.compare} ===`);
+    Object.entries(delta).forEach(([metric, change]) => {
+      const sign = change > 0 ? '+' : '';
+      console.log(`  ${metric.padEnd(18)} ${sign}${change.toFixed(4)}`);
+    });
+    console.log(`  Changed cases: ${changedCases.length > 0 ? changedCases.join(', ') : 'none'}`);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, JSON.stringify(run, null, 2) + '\n');
+    console.log(`\n✓ Results written to ${options.output}`);
+  }
+}
+
+main().catch(error => {
+  console.error('\n❌ Evaluation failed:', error.message);
+  process.exit(1);
+});
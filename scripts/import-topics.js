@@ -0,0 +1,134 @@
+/**
+ * Import papers from database/topics/<topic>/<subtopic>.json into the database
+ * Replaces migrate-to-turso*.js: the schema now comes from backend/migrations
+ * Usage: node scripts/import-topics.js [topics-dir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { createDatabase, describeDatabase } = require('../backend/db');
+const { migrateUp } = require('../backend/migrator');
+const { addCitations } = require('../backend/citations');
+const { SourceRetriever } = require('../backend/source-retriever');
+const { Thesaurus } = require('../backend/thesaurus');
+const { SavedSearches } = require('../backend/saved-searches');
+
+const BATCH_SIZE = 100; // 100 papers per transaction
+const DEFAULT_TOPICS_DIR = path.join(__dirname, '../database/topics');
+
+// arXiv format: YYMM.NNNNN or archive/YYMMNNN, anything else is an ADS bibcode
+function detectSource(id) {
+  return /^(\d{4}\.\d{4,5}|[a-z-]+\/\d{7})$/i.test(id) ? 'arxiv' : 'nasa-ads';
+}
+
+async function importTopics(topicsDir) {
+  const db = createDatabase();
+
+  console.log(`=== Topic Import (${describeDatabase()}) ===\n`);
+
+  await migrateUp(db, { log: message => console.log(`  ${message}`) });
+  console.log('✓ Schema up to date');
+
+  let totalPapers = 0;
+  let totalCitations = 0;
+  let totalErrors = 0;
+  const startTime = Date.now();
+
+  const topics = fs.readdirSync(topicsDir).filter(f =>
+    fs.statSync(path.join(topicsDir, f)).isDirectory()
+  );
+
+  console.log(`\nImporting ${topics.length} topics...\n`);
+
+  for (const topic of topics) {
+    const topicPath = path.join(topicsDir, topic);
+    const subtopicFiles = fs.readdirSync(topicPath).filter(f =>
+      f.endsWith('.json') && f !== '_topic.json'
+    );
+
+    for (const subtopicFile of subtopicFiles) {
+      const data = JSON.parse(fs.readFileSync(path.join(topicPath, subtopicFile), 'utf8'));
+      const subtopic = subtopicFile.replace('.json', '');
+      const papers = (data.sources || data.papers || []).filter(p => p.id || p.arxiv || p.bibcode);
+
+      console.log(`📁 ${topic}/${subtopic}: ${papers.length} papers`);
+
+      for (let i = 0; i < papers.length; i += BATCH_SIZE) {
+        const batch = papers.slice(i, i + BATCH_SIZE);
+
+        try {
+          await db.batch(
+            batch.map(paper => {
+              const id = paper.id || paper.arxiv || paper.bibcode;
+              return {
+                sql: `INSERT OR IGNORE INTO papers
+                      (id, title, abstract, authors, year, topic, subtopic, keywords, source, doi, journal, citation_count)
+                      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                args: [
+                  id,
+                  paper.title || '',
+                  paper.abstract || '',
+                  JSON.stringify(paper.authors || []),
+                  paper.year || null,
+                  topic,
+                  subtopic,
+                  JSON.stringify(paper.keywords || []),
+                  paper.source || detectSource(id),
+                  paper.doi || null,
+                  paper.journal || null,
+                  paper.citationCount || 0
+                ]
+              };
+            }),
+            'write'
+          );
+
+          // NASA ADS ingests carry each paper's reference list
+          for (const paper of batch) {
+            if (paper.references && paper.references.length > 0) {
+              totalCitations += await addCitations(db, paper.id || paper.arxiv || paper.bibcode, paper.references);
+            }
+          }
+
+          totalPapers += batch.length;
+        } catch (error) {
+          totalErrors++;
+          if (totalErrors < 10) {
+            console.error(`\n❌ Error at batch ${i}:`, error.message);
+          }
+        }
+      }
+    }
+  }
+
+  console.log('\n=== Rebuilding Full-Text Search Index ===\n');
+  await db.execute("INSERT INTO papers_fts(papers_fts) VALUES('rebuild')");
+  console.log('✓ FTS index rebuilt');
+
+  // Record newly imported papers matching saved searches
+  const thesaurus = new Thesaurus(process.env.THESAURUS_PATH || undefined);
+  thesaurus.load();
+  const savedSearches = new SavedSearches(db, new SourceRetriever(db, { thesaurus }), {
+    minRelevance: parseFloat(process.env.SAVED_SEARCH_MIN_RELEVANCE) || 6
+  });
+  const alerts = await savedSearches.evaluateAll();
+  console.log(`✓ Saved searches checked: ${alerts.matches} new match(es) across ${alerts.searches} search(es)`);
+
+  const totalTime = (Date.now() - startTime) / 1000 / 60;
+  const result = await db.execute('SELECT COUNT(*) as count FROM papers');
+
+  console.log('\n=== Import Summary ===\n');
+  console.log(`Papers processed: ${totalPapers.toLocaleString()}`);
+  console.log(`Citation edges: ${totalCitations.toLocaleString()}`);
+  console.log(`Errors: ${totalErrors}`);
+  console.log(`Time: ${totalTime.toFixed(1)} minutes`);
+  console.log(`Verified in DB: ${result.rows[0].count.toLocaleString()} papers`);
+  console.log('\n✅ Import complete!');
+}
+
+importTopics(path.resolve(process.argv[2] || DEFAULT_TOPICS_DIR)).catch(error => {
+  console.error('\n❌ Import failed:', error);
+  process.exit(1);
+});
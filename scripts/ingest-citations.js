@@ -0,0 +1,176 @@
+/**
+ * Load citation edges into the citations table
+ * Usage:
+ *   node scripts/ingest-citations.js file <export.tsv|export.jsonl>
+ *   node scripts/ingest-citations.js ads <api-key> [max-requests]
+ *
+ * File exports: TSV lines "citing<TAB>cited", or JSONL with either
+ * {"citing": ..., "cited": ...} or ADS documents {"bibcode": ..., "reference": [...]}.
+ * ADS mode looks up every paper in the database (arXiv papers via their arXiv identifier)
+ * and stores its reference list and citation_count.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+require('dotenv').config();
+
+const { createDatabase, describeDatabase } = require('../backend/db');
+const { addCitations } = require('../backend/citations');
+
+const API_BASE = 'https://api.adsabs.harvard.edu/v1/search/query';
+const BATCH_SIZE = 50;
+
+async function ingestFile(db, inputPath) {
+  if (!fs.existsSync(inputPath)) {
+    console.error(`ERROR: File not found: ${inputPath}`);
+    process.exit(1);
+  }
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(inputPath),
+    crlfDelay: Infinity
+  });
+
+  // Group edges by citing paper so each one is a single batch
+  const referencesByPaper = new Map();
+  let lines = 0;
+
+  for await (const line of rl) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    lines++;
+
+    let citing;
+    let cited = [];
+    if (trimmed.startsWith('{')) {
+      try {
+        const record = JSON.parse(trimmed);
+        citing = record.citing || record.bibcode;
+        cited = record.reference || (record.cited ? [record.cited] : []);
+      } catch (e) {
+        continue; // Skip malformed lines
+      }
+    } else {
+      [citing, ...cited] = trimmed.split('\t');
+    }
+
+    if (!citing) continue;
+    if (!referencesByPaper.has(citing)) referencesByPaper.set(citing, []);
+    referencesByPaper.get(citing).push(...cited);
+  }
+
+  let edges = 0;
+  for (const [citing, cited] of referencesByPaper) {
+    edges += await addCitations(db, citing, cited, 'export');
+  }
+
+  console.log(`✓ Read ${lines.toLocaleString()} lines`);
+  console.log(`✓ Loaded ${edges.toLocaleString()} edges from ${referencesByPaper.size.toLocaleString()} citing papers`);
+}
+
+async function fetchADS(query, apiKey) {
+  const params = new URLSearchParams({
+    q: query,
+    fl: 'bibcode,identifier,reference,citation_count',
+    rows: BATCH_SIZE
+  });
+
+  const response = await fetch(`${API_BASE}?${params}`, {
+    headers: { 'Authorization': `Bearer ${apiKey}` }
+  });
+
+  if (response.status === 429) throw new Error('RATE_LIMIT');
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const data = await response.json();
+  return data.response?.docs || [];
+}
+
+async function ingestADS(db, apiKey, maxRequests) {
+  let requestCount = 0;
+  let edges = 0;
+  let updated = 0;
+
+  for (const source of ['nasa-ads', 'arxiv']) {
+    let lastRowid = 0;
+
+    while (requestCount < maxRequests) {
+      const result = await db.execute({
+        sql: 'SELECT rowid, id FROM papers WHERE source = ? AND rowid > ? ORDER BY rowid LIMIT ?',
+        args: [source, lastRowid, BATCH_SIZE]
+      });
+      if (result.rows.length === 0) break;
+      lastRowid = result.rows[result.rows.length - 1].rowid;
+
+      const ids = result.rows.map(row => row.id);
+      const query = source === 'nasa-ads'
+        ? `bibcode:(${ids.map(id => `"${id}"`).join(' OR ')})`
+        : `identifier:(${ids.map(id => `"arXiv:${id}"`).join(' OR ')})`;
+
+      let docs;
+      try {
+        docs = await fetchADS(query, apiKey);
+        requestCount++;
+      } catch (err) {
+        if (err.message === 'RATE_LIMIT') {
+          console.log('  Rate limited, waiting 60s...');
+          await new Promise(resolve => setTimeout(resolve, 60000));
+          lastRowid = result.rows[0].rowid - 1; // Retry this batch
+          continue;
+        }
+        console.error(`  Error: ${err.message}`);
+        continue;
+      }
+
+      for (const doc of docs) {
+        // Map the ADS document back to our paper ID
+        const paperId = source === 'nasa-ads'
+          ? doc.bibcode
+          : ids.find(id => (doc.identifier || []).includes(`arXiv:${id}`));
+        if (!paperId) continue;
+
+        edges += await addCitations(db, paperId, doc.reference || [], 'nasa-ads');
+
+        if (typeof doc.citation_count === 'number') {
+          await db.execute({
+            sql: 'UPDATE papers SET citation_count = ? WHERE id = ?',
+            args: [doc.citation_count, paperId]
+          });
+          updated++;
+        }
+      }
+
+      process.stdout.write(`  ${source}: requests ${requestCount}, edges ${edges.toLocaleString()}, counts updated ${updated.toLocaleString()}\r`);
+
+      // Rate limiting
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    console.log();
+  }
+
+  console.log(`\n✓ Loaded ${edges.toLocaleString()} edges, updated ${updated.toLocaleString()} citation counts (${requestCount} API requests)`);
+}
+
+async function main() {
+  const [mode, arg, maxRequests] = process.argv.slice(2);
+
+  if (!['file', 'ads'].includes(mode) || !arg) {
+    console.error('Usage: node scripts/ingest-citations.js file <export.tsv|export.jsonl>');
+    console.error('       node scripts/ingest-citations.js ads <api-key> [max-requests]');
+    process.exit(1);
+  }
+
+  const db = createDatabase();
+  console.log(`=== Citation Ingestion (${describeDatabase()}) ===\n`);
+
+  if (mode === 'file') {
+    await ingestFile(db, arg);
+  } else {
+    await ingestADS(db, arg, parseInt(maxRequests) || 5000);
+  }
+}
+
+main().catch(error => {
+  console.error('\n❌ Citation ingestion failed:', error);
+  process.exit(1);
+});
@@ -49,7 +49,7 @@ function fetchADS(query, apiKey, start = 0) {
   return new Promise((resolve, reject) => {
     const params = new URLSearchParams({
       q: query,
-      fl: 'title,author,bibcode,doi,pub,pubdate,citation_count,abstract,identifier',
+      fl: 'title,author,bibcode,doi,pub,pubdate,citation_count,abstract,identifier,reference',
       rows: 100,
       start: start
     });
@@ -116,11 +116,13 @@ async function ingestNASAADS(apiKey, maxRequests = 5000) {
             type: 'paper',
             title: paper.title?.[0] || 'Untitled',
             authors: paper.author?.join(', ') || 'Unknown',
+            bibcode: paper.bibcode,
             arxiv: paper.identifier?.find(id => id.includes('arXiv'))?.replace('arXiv:', '') || null,
             doi: paper.doi?.[0] || null,
             journal: paper.pub || 'Unknown',
             publicationDate: paper.pubdate || null,
             citationCount: paper.citation_count || 0,
+            references: paper.reference || [],
             abstract: paper.abstract || '',
             url: `https://ui.adsabs.harvard.edu/abs/${paper.bibcode}`
           });
@@ -0,0 +1,69 @@
+/**
+ * Manage users and API keys (e.g. to create the first admin, who can then use /api/admin/users)
+ * Usage:
+ *   node scripts/manage-users.js add-user "<name>" [--role reader|curator|admin] [--email <email>]
+ *   node scripts/manage-users.js add-key <user-id> [--name <label>]
+ *   node scripts/manage-users.js revoke-key <key-id>
+ *   node scripts/manage-users.js list
+ */
+
+require('dotenv').config();
+
+const { createDatabase, describeDatabase } = require('../backend/db');
+const { Auth } = require('../backend/auth');
+
+const USAGE = 'Usage: node scripts/manage-users.js <add-user "<name>" [--role <role>] [--email <email>] | add-key <user-id> [--name <label>] | revoke-key <key-id> | list>';
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+function printKey(key) {
+  console.log(`\n  API key: ${key.key}`);
+  console.log('  Store it now - only its hash is kept.');
+}
+
+async function main() {
+  const [command, target, ...args] = process.argv.slice(2);
+  const auth = new Auth(createDatabase());
+
+  console.log(`=== Users & API Keys (${describeDatabase()}) ===\n`);
+
+  if (command === 'add-user' && target) {
+    const user = await auth.createUser({
+      name: target,
+      role: readOption(args, '--role'),
+      email: readOption(args, '--email')
+    });
+    const key = await auth.createKey(user.id, { name: 'initial' });
+    console.log(`✓ Created ${user.role} ${user.name} (${user.id})`);
+    printKey(key);
+  } else if (command === 'add-key' && target) {
+    const key = await auth.createKey(target, { name: readOption(args, '--name') || null });
+    if (!key) throw new Error(`User ${target} not found`);
+    console.log(`✓ Created key ${key.id} (${key.prefix}…)`);
+    printKey(key);
+  } else if (command === 'revoke-key' && target) {
+    if (!(await auth.revokeKey(target))) throw new Error(`Key ${target} not found or already revoked`);
+    console.log(`✓ Revoked key ${target}`);
+  } else if (command === 'list') {
+    const users = await auth.listUsers();
+    users.forEach(user => {
+      console.log(`  ${user.disabledAt ? '·' : '✓'} ${user.name.padEnd(24)} ${user.role.padEnd(8)} ${user.id}`);
+      user.keys.forEach(key => {
+        const status = key.revokedAt ? 'revoked' : `last used ${key.lastUsedAt || 'never'}`;
+        console.log(`      ${key.prefix}…  ${key.id}  ${status}`);
+      });
+    });
+    console.log(`\n${users.length} user(s)`);
+  } else {
+    console.error(USAGE);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('\n❌ Failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+/**
+ * Schema migration runner
+ * Usage: node scripts/migrate.js <up|down|status> [--to <version>] [--steps <n>]
+ */
+
+require('dotenv').config();
+
+const { createDatabase, describeDatabase } = require('../backend/db');
+const { migrateUp, migrateDown, getStatus } = require('../backend/migrator');
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? parseInt(args[index + 1], 10) : undefined;
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const db = createDatabase();
+  const log = message => console.log(`  ${message}`);
+
+  console.log(`=== Schema Migrations (${describeDatabase()}) ===\n`);
+
+  if (command === 'up') {
+    const applied = await migrateUp(db, { target: readOption(args, '--to'), log });
+    console.log(applied.length > 0
+      ? `\n✓ Applied ${applied.length} migration(s)`
+      : '✓ Schema is up to date');
+  } else if (command === 'down') {
+    const reverted = await migrateDown(db, { steps: readOption(args, '--steps') || 1, log });
+    console.log(reverted.length > 0
+      ? `\n✓ Reverted ${reverted.length} migration(s)`
+      : '✓ Nothing to revert');
+  } else if (command === 'status') {
+    const status = await getStatus(db);
+    status.forEach(m => {
+      console.log(`  ${m.applied ? '✓' : '·'} ${m.name.padEnd(36)} ${m.description}`);
+    });
+    const pending = status.filter(m => !m.applied).length;
+    console.log(`\n${pending} pending migration(s)`);
+  } else {
+    console.error('Usage: node scripts/migrate.js <up|down|status> [--to <version>] [--steps <n>]');
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('\n❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+/**
+ * Rebuild the full-text index without downtime
+ * Builds a new FTS table alongside papers_fts and swaps it in when complete, so searches keep
+ * working throughout. Use after changing the tokenizer, or to repair a drifted index.
+ * Usage: node scripts/reindex-fts.js [--tokenizer "<fts5 tokenize config>"]
+ */
+
+require('dotenv').config();
+
+const { createDatabase, describeDatabase, isLocalMode } = require('../backend/db');
+const { reindexFts, getFtsTokenizer, FTS_TOKENIZER } = require('../backend/fts-index');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const tokenizerIndex = args.indexOf('--tokenizer');
+  const tokenizer = tokenizerIndex >= 0 ? args[tokenizerIndex + 1] : FTS_TOKENIZER;
+  const db = createDatabase();
+
+  console.log(`=== Re-indexing papers_fts (${describeDatabase()}) ===\n`);
+  console.log(`Current tokenizer: ${(await getFtsTokenizer(db)) || '(no index)'}`);
+
+  // A local server reading the same file would hit "database is locked" during the build
+  // in rollback-journal mode; WAL lets readers continue while this process writes
+  if (isLocalMode()) {
+    await db.execute('PRAGMA journal_mode = WAL');
+  }
+
+  const startTime = Date.now();
+  const { indexed } = await reindexFts(db, {
+    tokenizer,
+    log: message => console.log(`  ${message}`)
+  });
+
+  console.log(`\n✓ Indexed ${indexed.toLocaleString()} papers with tokenize='${tokenizer}' in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+}
+
+main().catch(error => {
+  console.error('\n❌ Re-index failed:', error.message);
+  process.exit(1);
+});
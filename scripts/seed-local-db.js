@@ -0,0 +1,108 @@
+/**
+ * Seed the local libSQL database with the fixture corpus
+ * Usage: node scripts/seed-local-db.js [fixture.json] [--reset]
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const { createDatabase, isLocalMode, getLocalDatabasePath } = require('../backend/db');
+const { migrateUp } = require('../backend/migrator');
+const { HashingEmbedder } = require('../backend/embeddings');
+const { indexPaperAuthors } = require('../backend/authors');
+
+const DEFAULT_FIXTURE = path.join(__dirname, '../database/fixtures/papers.json');
+const CITATIONS_FIXTURE = path.join(__dirname, '../database/fixtures/citations.json');
+
+async function seed(fixturePath, reset) {
+  console.log('=== Seeding Local Database ===\n');
+
+  if (!isLocalMode()) {
+    console.error('❌ Refusing to seed: TURSO_DATABASE_URL is set and DB_MODE is not "local"');
+    process.exit(1);
+  }
+
+  const dbPath = getLocalDatabasePath();
+  if (reset && fs.existsSync(dbPath)) {
+    fs.unlinkSync(dbPath);
+    console.log(`✓ Removed existing database: ${dbPath}`);
+  }
+
+  const papers = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  console.log(`Fixture: ${fixturePath} (${papers.length} papers)`);
+
+  const db = createDatabase();
+  await migrateUp(db);
+
+  await db.batch(
+    papers.map(paper => ({
+      sql: `INSERT OR IGNORE INTO papers
+            (id, title, abstract, authors, year, topic, subtopic, keywords, source, doi, journal, citation_count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        paper.id,
+        paper.title,
+        paper.abstract || '',
+        JSON.stringify(paper.authors || []),
+        paper.year || null,
+        paper.topic,
+        paper.subtopic || 'other',
+        JSON.stringify(paper.keywords || []),
+        paper.source || 'arxiv',
+        paper.doi || null,
+        paper.journal || null,
+        paper.citationCount || 0
+      ]
+    })),
+    'write'
+  );
+
+  // Rebuild the external-content FTS index from the papers table
+  await db.execute("INSERT INTO papers_fts(papers_fts) VALUES('rebuild')");
+
+  // Embed every paper so hybrid retrieval works out of the box
+  const embedder = new HashingEmbedder();
+  const rows = await db.execute('SELECT rowid, title, abstract FROM papers');
+  await db.batch(
+    rows.rows.map(row => ({
+      sql: 'INSERT OR REPLACE INTO paper_embeddings (paper_rowid, model, embedding) VALUES (?, ?, ?)',
+      args: [row.rowid, embedder.model, HashingEmbedder.toBlob(embedder.embedPaper(row))]
+    })),
+    'write'
+  );
+
+  const authorCache = new Map();
+  for (const paper of papers) {
+    await indexPaperAuthors(db, paper.id, paper.authors, authorCache);
+  }
+
+  // Citation edges between fixture papers (only for the default fixture)
+  let citationCount = 0;
+  if (fixturePath === DEFAULT_FIXTURE && fs.existsSync(CITATIONS_FIXTURE)) {
+    const edges = JSON.parse(fs.readFileSync(CITATIONS_FIXTURE, 'utf8'));
+    await db.batch(
+      edges.map(edge => ({
+        sql: 'INSERT OR IGNORE INTO citations (citing_id, cited_id, source) VALUES (?, ?, ?)',
+        args: [edge.citing, edge.cited, 'fixture']
+      })),
+      'write'
+    );
+    citationCount = edges.length;
+  }
+
+  const count = await db.execute('SELECT COUNT(*) as count FROM papers');
+  console.log(`✓ Database ready: ${dbPath}`);
+  console.log(`✓ Papers: ${count.rows[0].count}`);
+  console.log(`✓ Citation edges: ${citationCount}`);
+  console.log('\nStart the API with: npm run start:local');
+}
+
+const args = process.argv.slice(2);
+const reset = args.includes('--reset');
+const fixturePath = path.resolve(args.find(arg => !arg.startsWith('--')) || DEFAULT_FIXTURE);
+
+seed(fixturePath, reset).catch(error => {
+  console.error('\n❌ Seeding failed:', error);
+  process.exit(1);
+});
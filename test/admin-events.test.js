@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase, insertPapers } = require('./helpers');
+const { AdminEvents, validatePaperEdit } = require('../backend/admin-events');
+const { SavedSearches } = require('../backend/saved-searches');
+const { SourceRetriever } = require('../backend/source-retriever');
+
+const actor = { id: 'test-curator', name: 'Test Curator' };
+
+const PAPERS = [
+  { id: 'psr-1', title: 'Radio pulsars', abstract: 'Pulsars emit radio beams.', topic: 'pulsars', authors: ['Jocelyn Bell'] },
+  { id: 'psr-2', title: 'Millisecond pulsars', abstract: 'Pulsars spun up by accretion.', topic: 'pulsars', authors: ['Jocelyn Bell'] }
+];
+
+async function count(db, table) {
+  const result = await db.execute(`SELECT COUNT(*) AS count FROM ${table}`);
+  return Number(result.rows[0].count);
+}
+
+/**
+ * IDs of the papers a full-text query finds
+ */
+async function ftsMatches(db, query) {
+  const result = await db.execute({
+    sql: 'SELECT p.id FROM papers_fts JOIN papers p ON p.rowid = papers_fts.rowid WHERE papers_fts MATCH ? ORDER BY p.id',
+    args: [query]
+  });
+  return result.rows.map(row => row.id);
+}
+
+async function checkFtsIntegrity(db) {
+  await db.execute("INSERT INTO papers_fts(papers_fts, rank) VALUES('integrity-check', 1)");
+}
+
+test('edits are limited to the editable fields', () => {
+  assert.deepEqual(validatePaperEdit({ title: 'Radio pulsars', authors: [' Jocelyn Bell '], year: 1968 }), {
+    title: 'Radio pulsars',
+    authors: '["Jocelyn Bell"]',
+    year: 1968
+  });
+  assert.throws(() => validatePaperEdit({ id: 'other' }), /read-only field\(s\): id/);
+  assert.throws(() => validatePaperEdit({}), /Nothing to update/);
+  assert.throws(() => validatePaperEdit({ topic: ' ' }), /topic must be a non-empty string/);
+  assert.throws(() => validatePaperEdit({ year: 1200 }), /year must be an integer/);
+});
+
+test('edits keep the full-text index and embeddings in step, and undo restores them', async () => {
+  const { db } = await emptyDatabase();
+  await insertPapers(db, PAPERS);
+  const events = new AdminEvents(db);
+  const before = await events.snapshot('psr-1');
+
+  const edit = await events.apply('update', 'psr-1', { title: 'Magnetar flares', abstract: 'Magnetars flare in gamma rays.' }, actor);
+  assert.equal(edit.action, 'update');
+  assert.deepEqual(await ftsMatches(db, 'magnetar'), ['psr-1']);
+  assert.deepEqual(await ftsMatches(db, 'radio'), []);
+  assert.equal(await count(db, 'paper_embeddings'), PAPERS.length);
+  await checkFtsIntegrity(db);
+
+  const undo = await events.undo(edit.id, actor);
+  assert.equal(undo.reverts, edit.id);
+  assert.equal(await events.snapshot('psr-1'), before);
+  assert.deepEqual(await ftsMatches(db, 'radio'), ['psr-1']);
+  assert.deepEqual(await ftsMatches(db, 'magnetar'), []);
+  await checkFtsIntegrity(db);
+
+  await assert.rejects(events.undo(edit.id, actor), { status: 409 });
+});
+
+test('changing only the topic is a reclassification', async () => {
+  const { db } = await emptyDatabase();
+  await insertPapers(db, PAPERS);
+  const events = new AdminEvents(db);
+
+  const event = await events.apply('update', 'psr-2', { topic: 'neutron-stars', subtopic: 'spin' }, actor);
+  assert.equal(event.action, 'reclassify');
+  assert.deepEqual(event.changes, {
+    topic: { from: 'pulsars', to: 'neutron-stars' },
+    subtopic: { from: 'other', to: 'spin' }
+  });
+  assert.equal(await events.apply('update', 'psr-2', { topic: 'neutron-stars' }, actor), null);
+});
+
+test('deleting a paper removes it from every index, and undo re-indexes it', async () => {
+  const { db } = await emptyDatabase();
+  await insertPapers(db, PAPERS);
+  const events = new AdminEvents(db);
+
+  const removal = await events.apply('delete', 'psr-2', null, actor);
+  assert.deepEqual(await ftsMatches(db, 'pulsars'), ['psr-1']);
+  assert.equal(await count(db, 'paper_embeddings'), 1);
+  assert.equal(await count(db, 'paper_authors'), 1);
+  await checkFtsIntegrity(db);
+
+  await events.undo(removal.id, actor);
+  assert.deepEqual(await ftsMatches(db, 'pulsars'), ['psr-1', 'psr-2']);
+  assert.equal(await count(db, 'paper_embeddings'), 2);
+  assert.equal(await count(db, 'paper_authors'), 2);
+  await checkFtsIntegrity(db);
+});
+
+test('undoing a delete restores the rowid, so saved searches do not report the paper again', async () => {
+  const { db } = await emptyDatabase();
+  await insertPapers(db, PAPERS);
+  const events = new AdminEvents(db);
+  const searches = new SavedSearches(db, new SourceRetriever(db), { minRelevance: 1 });
+  await searches.create({ claim: 'Pulsars' }, null);
+
+  const rowidOf = async id => (await db.execute({ sql: 'SELECT rowid FROM papers WHERE id = ?', args: [id] })).rows[0].rowid;
+  // Not the newest paper: SQLite would hand the highest rowid out again anyway
+  const rowid = await rowidOf('psr-1');
+
+  const removal = await events.apply('delete', 'psr-1', null, actor);
+  await events.undo(removal.id, actor);
+  assert.equal(await rowidOf('psr-1'), rowid);
+  assert.deepEqual(await searches.evaluateAll(), { searches: 0, matches: 0 });
+});
+
+test('undo compares the snapshotted columns, so it survives a migration adding one', async () => {
+  const { db } = await emptyDatabase();
+  await insertPapers(db, PAPERS);
+  const edit = await new AdminEvents(db).apply('update', 'psr-1', { title: 'Pulsars in radio' }, actor);
+
+  await db.execute('ALTER TABLE papers ADD COLUMN notes TEXT');
+  const restarted = new AdminEvents(db);
+  await restarted.undo(edit.id, actor);
+  assert.equal(JSON.parse(await restarted.snapshot('psr-1')).title, 'Radio pulsars');
+});
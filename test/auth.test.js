@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase } = require('./helpers');
+const { Auth } = require('../backend/auth');
+
+test('unknown keys are rejected without being cached', async () => {
+  const { db } = await emptyDatabase();
+  const auth = new Auth(db);
+
+  for (let i = 0; i < 50; i++) {
+    assert.equal(await auth.authenticate(`sd_random${i}`), null);
+  }
+  assert.equal(auth.cache.size, 0);
+});
+
+test('the key cache is bounded and keeps the most recently used keys', async () => {
+  const { db } = await emptyDatabase();
+  const auth = new Auth(db, { cacheSize: 2 });
+  const user = await auth.createUser({ name: 'Cache' });
+  const [first, second, third] = await Promise.all([1, 2, 3].map(() => auth.createKey(user.id)));
+
+  await auth.authenticate(first.key);
+  await auth.authenticate(second.key);
+  await auth.authenticate(first.key);
+  await auth.authenticate(third.key);
+
+  assert.equal(auth.cache.size, 2);
+  assert.equal((await auth.authenticate(first.key)).key.id, first.id);
+  assert.equal(auth.cache.size, 2);
+});
+
+test('revoked keys stop working at once', async () => {
+  const { db } = await emptyDatabase();
+  const auth = new Auth(db);
+  const user = await auth.createUser({ name: 'Revoked' });
+  const { key, id } = await auth.createKey(user.id);
+
+  assert.equal((await auth.authenticate(key)).user.id, user.id);
+  assert.equal(await auth.revokeKey(id), true);
+  assert.equal(await auth.authenticate(key), null);
+});
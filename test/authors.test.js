@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase, insertPapers, startServer } = require('./helpers');
+const { normalizeAuthor, parseAuthorList } = require('../backend/authors');
+
+test('bibliographic variants of a name share a key', () => {
+  const keys = ['Hawking, S. W.', 'S. Hawking', 'Stephen W. Hawking', 'Stéphen Hawking'].map(name => normalizeAuthor(name).key);
+  assert.deepEqual(new Set(keys), new Set(['hawking|s']));
+
+  assert.equal(normalizeAuthor('Johannes van der Waals').lastName, 'van der waals');
+  assert.equal(normalizeAuthor('Martin Luther King, Jr.').key, 'king|m');
+  assert.equal(normalizeAuthor('LIGO Scientific Collaboration').key, 'ligo scientific collaboration');
+  assert.equal(normalizeAuthor('Unknown'), null);
+});
+
+test('ADS author strings are split into whole names', () => {
+  assert.deepEqual(parseAuthorList('Hawking, S. W., Penrose, R.'), ['Hawking, S. W.', 'Penrose, R.']);
+  assert.deepEqual(parseAuthorList('["S. Hawking", "R. Penrose"]'), ['S. Hawking', 'R. Penrose']);
+  assert.deepEqual(parseAuthorList(null), []);
+});
+
+test('author lookup and profiles merge name variants across papers', async () => {
+  const { dbPath, db } = await emptyDatabase();
+  await insertPapers(db, [
+    { id: 'bh-1', title: 'Black hole explosions', year: 1974, topic: 'black_holes', subtopic: 'hawking_radiation', authors: ['Hawking, S. W.'] },
+    { id: 'bh-2', title: 'Singularities in collapse', year: 1970, topic: 'black_holes', subtopic: 'singularities', authors: ['S. Hawking', 'R. Penrose'] },
+    { id: 'cos-1', title: 'The cosmic microwave background', year: 1983, topic: 'cosmology', subtopic: 'cmb', authors: ['Stephen W. Hawking', 'R. Penrose', 'J. Hartle'] }
+  ]);
+  const server = await startServer(dbPath);
+  const get = async route => {
+    const response = await fetch(`${server.url}${route}`);
+    assert.equal(response.status, 200, route);
+    return response.json();
+  };
+
+  try {
+    const byInitial = await get('/api/authors?q=Hawking, S.');
+    assert.equal(byInitial.count, 1);
+    assert.equal(byInitial.authors[0].paperCount, 3);
+    assert.equal(byInitial.authors[0].name, 'Stephen W. Hawking');
+    assert.deepEqual((await get('/api/authors?q=hawk')).authors.map(author => author.id), [byInitial.authors[0].id]);
+    assert.equal((await fetch(`${server.url}/api/authors?q=`)).status, 400);
+
+    const profile = await get(`/api/authors/${byInitial.authors[0].id}`);
+    assert.deepEqual(profile.papers.map(paper => paper.paperId), ['cos-1', 'bh-1', 'bh-2']);
+    assert.ok(profile.papers.every(paper => paper.authorPosition === 1));
+    assert.deepEqual(profile.topics.map(topic => [topic.topic, topic.count]), [['black_holes', 2], ['cosmology', 1]]);
+    assert.deepEqual(profile.coAuthors.map(author => [author.name, author.sharedPapers]), [['R. Penrose', 2], ['J. Hartle', 1]]);
+
+    assert.equal((await fetch(`${server.url}/api/authors/9999`)).status, 404);
+  } finally {
+    server.stop();
+  }
+});
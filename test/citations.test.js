@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase, insertPapers, startServer } = require('./helpers');
+const { resolvePaperId, addCitations } = require('../backend/citations');
+const { SourceRetriever } = require('../backend/source-retriever');
+
+const PAPERS = [
+  { id: '1010.5788', title: 'A two-solar-mass neutron star measured using Shapiro delay', year: 2010, topic: 'neutron_stars' },
+  { id: '0902.2891', title: 'The equation of state of dense matter', year: 2009, topic: 'neutron_stars' },
+  { id: '1304.6875', title: 'A massive pulsar in a compact relativistic binary', year: 2013, topic: 'neutron_stars' }
+];
+
+test('arXiv bibcodes resolve to arXiv IDs and other IDs pass through', () => {
+  assert.equal(resolvePaperId('2010arXiv1010.5788D'), '1010.5788');
+  assert.equal(resolvePaperId('2007arXiv0704.0001A'), '0704.0001');
+  assert.equal(resolvePaperId(' 2010Natur.467.1081D '), '2010Natur.467.1081D');
+});
+
+test('references and citations list both directions, including papers outside the corpus', async () => {
+  const { db, dbPath } = await emptyDatabase();
+  await insertPapers(db, PAPERS);
+  assert.equal(await addCitations(db, '1010.5788', ['2009arXiv0902.2891S', '0902.2891', '1010.5788', '1975ApJ...195L..51H']), 2);
+  await addCitations(db, '1304.6875', ['1010.5788']);
+  await db.execute({ sql: 'UPDATE papers SET citation_count = 1500 WHERE id = ?', args: ['1010.5788'] });
+
+  const server = await startServer(dbPath);
+  const get = async route => (await fetch(`${server.url}${route}`)).json();
+
+  try {
+    const references = await get('/api/paper/1010.5788/references');
+    assert.equal(references.citationCount, 1500);
+    assert.equal(references.total, 2);
+    assert.equal(references.inCorpus, 1);
+    assert.deepEqual(references.references.map(paper => [paper.paperId, paper.inCorpus]), [
+      ['0902.2891', true],
+      ['1975ApJ...195L..51H', false]
+    ]);
+    assert.equal(references.references[0].title, PAPERS[1].title);
+
+    const citations = await get('/api/paper/1010.5788/citations');
+    assert.deepEqual(citations.citations.map(paper => paper.paperId), ['1304.6875']);
+    assert.equal(citations.hasMore, false);
+
+    const firstPage = await get('/api/paper/1010.5788/references?limit=1');
+    assert.equal(firstPage.references.length, 1);
+    assert.equal(firstPage.hasMore, true);
+
+    assert.equal((await fetch(`${server.url}/api/paper/9999.9999/references`)).status, 404);
+  } finally {
+    server.stop();
+  }
+});
+
+test('the citation boost lifts a well-cited paper over an equally relevant one', async () => {
+  const { db } = await emptyDatabase();
+  const twin = { title: 'Magnetar flares', abstract: 'Observations of bursts from soft gamma repeaters.', topic: 'neutron_stars' };
+  await insertPapers(db, [{ ...twin, id: 'a-uncited' }, { ...twin, id: 'b-cited' }]);
+  await db.execute("UPDATE papers SET citation_count = 1000 WHERE id = 'b-cited'");
+
+  const retriever = new SourceRetriever(db);
+  const order = async citationBoost => (await retriever.retrieve('Magnetar outbursts', { citationBoost, explain: true })).sources;
+
+  const boosted = await order(true);
+  assert.deepEqual(boosted.map(source => source.paperId), ['b-cited', 'a-uncited']);
+  assert.equal(boosted[0].explanation.components.citations.points, 1);
+
+  const plain = await order(false);
+  assert.deepEqual(plain.map(source => source.paperId), ['a-uncited', 'b-cited']);
+  assert.ok(plain.every(source => source.explanation.components.citations.points === 0));
+  assert.equal(plain[1].citationCount, 1000);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ClaimVerifier = require('../backend/claim-verifier');
+const { MockProvider } = require('../backend/llm-providers');
+const { splitCompoundClaim, aggregateVerdicts } = require('../backend/claim-decomposer');
+
+test('compound claims split into clauses that keep their subject', () => {
+  assert.deepEqual(splitCompoundClaim('Neutron stars top out at 2.3 solar masses and are all pulsars'), [
+    'Neutron stars top out at 2.3 solar masses',
+    'Neutron stars are all pulsars'
+  ]);
+  assert.deepEqual(splitCompoundClaim('Black holes and neutron stars emit gravitational waves'), [
+    'Black holes and neutron stars emit gravitational waves'
+  ]);
+});
+
+test('decomposition has its own token limit and falls back to the rule-based split', async () => {
+  const claim = 'Dark matter is cold and it is made of WIMPs';
+  const provider = new MockProvider({ respond: () => '{"claims":["Dark matter is cold","Dark mat' });
+  const verifier = new ClaimVerifier({ provider, maxTokens: 50, decomposeMaxTokens: 900 });
+
+  assert.deepEqual(await verifier.decomposeClaim(claim), ['Dark matter is cold', 'Dark matter is made of WIMPs']);
+  assert.equal(provider.calls[0].maxTokens, 900);
+});
+
+test('single claims skip the LLM', async () => {
+  const provider = new MockProvider();
+  const verifier = new ClaimVerifier({ provider });
+
+  assert.deepEqual(await verifier.decomposeClaim('The Hubble constant is about 70 km/s/Mpc'), ['The Hubble constant is about 70 km/s/Mpc']);
+  assert.equal(provider.calls.length, 0);
+});
+
+test('the compound verdict follows the weakest sub-claim', () => {
+  const aggregate = aggregateVerdicts([
+    { claim: 'A', verdict: 'Strongly Supported', verificationScore: 90, confidence: 'High' },
+    { claim: 'B', verdict: 'Contradicted', verificationScore: 25, confidence: 'Medium' }
+  ]);
+  assert.equal(aggregate.verdict, 'Contradicted');
+  assert.equal(aggregate.verificationScore, 25);
+  assert.equal(aggregate.confidence, 'Medium');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase, startServer } = require('./helpers');
+const { documentClaims, jobReport } = require('../backend/document-checker');
+
+const ARTICLE = `# Pulsars
+
+The Crab pulsar is 6500 light years away. The Milky Way contains about 100 billion stars.
+
+What a sight!`;
+
+test('claims are picked from the plain text with offsets into it', () => {
+  const { format, text, claims } = documentClaims(ARTICLE);
+  assert.equal(format, 'markdown');
+  assert.deepEqual(claims.map(claim => claim.text), [
+    'The Crab pulsar is 6500 light years away.',
+    'The Milky Way contains about 100 billion stars.'
+  ]);
+  claims.forEach(claim => assert.equal(text.slice(claim.start, claim.end), claim.text));
+});
+
+test('a job report marks claims without a result', () => {
+  const document = documentClaims(ARTICLE);
+  const report = jobReport({
+    id: 'job-1',
+    status: 'running',
+    document,
+    progress: { done: 1 },
+    items: [
+      { status: 'failed', error: 'HTTP 401', result: null },
+      { status: 'running', result: null }
+    ]
+  });
+
+  assert.deepEqual(report.claims.map(claim => claim.verdict), ['Error', 'Pending']);
+  assert.equal(report.claims[0].error, 'HTTP 401');
+  assert.deepEqual(report.summary, { claimsChecked: 1, verdicts: { Error: 1 } });
+});
+
+test('a document check is queued and its report fills in as claims are verified', async () => {
+  const { dbPath } = await emptyDatabase();
+  const server = await startServer(dbPath);
+
+  const post = body => fetch(`${server.url}/api/check-document`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    const response = await post({ content: ARTICLE, maxPapers: 1 });
+    assert.equal(response.status, 202);
+    const location = response.headers.get('Location');
+    const queued = await response.json();
+    assert.equal(location, `/api/check-document/${queued.id}`);
+    assert.deepEqual(queued.claims.map(claim => claim.text), documentClaims(ARTICLE).claims.map(claim => claim.text));
+
+    let report = queued;
+    for (let attempt = 0; attempt < 100 && !['completed', 'failed'].includes(report.status); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      report = await (await fetch(`${server.url}${location}`)).json();
+    }
+    assert.equal(report.status, 'completed');
+    assert.equal(report.summary.claimsChecked, 2);
+    report.claims.forEach(claim => {
+      assert.notEqual(claim.verdict, 'Pending');
+      assert.equal(report.text.slice(claim.start, claim.end), claim.text);
+    });
+
+    // Nothing check-worthy: the job is finished as soon as it is created
+    const empty = await (await post({ content: 'What a sight!' })).json();
+    assert.equal(empty.status, 'completed');
+    assert.deepEqual(empty.claims, []);
+
+    // Other jobs aren't document checks
+    const job = await (await fetch(`${server.url}/api/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ claim: 'Pulsars spin', maxPapers: 1 })
+    })).json();
+    assert.equal((await fetch(`${server.url}/api/check-document/${job.id}`)).status, 404);
+  } finally {
+    server.stop();
+  }
+});
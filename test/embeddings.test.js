@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HashingEmbedder, STOP_WORDS } = require('../backend/embeddings');
+const { SourceRetriever } = require('../backend/source-retriever');
+
+function cosine(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+test('embeddings are unit vectors that place paraphrases near each other', () => {
+  const embedder = new HashingEmbedder();
+  const claim = embedder.embed('stars made of neutrons');
+  const norm = Math.sqrt(cosine(claim, claim));
+
+  assert.ok(Math.abs(norm - 1) < 1e-6);
+  assert.ok(cosine(claim, embedder.embed('neutron star masses')) > cosine(claim, embedder.embed('galaxy cluster lensing')));
+});
+
+test('both retrieval signals drop the same stop words', () => {
+  const embedder = new HashingEmbedder();
+  const keywords = new SourceRetriever(null).extractKeywords('This study shows that pulsars have been found with planets');
+
+  assert.deepEqual(keywords, ['pulsars', 'planets']);
+  keywords.forEach(word => assert.equal(STOP_WORDS.has(word), false));
+  assert.deepEqual(
+    embedder.embed('This study shows that pulsars have been found with planets'),
+    embedder.embed('pulsars planets')
+  );
+});
@@ -0,0 +1,41 @@
+/**
+ * Benchmark regression check: database/fixtures/benchmark.jsonl through /api/get-sources,
+ * verdicts from the mock LLM. Floors sit just under the current scores. Most benchmark claims
+ * have a single, moderately confident supporting paper in the fixture corpus, which the
+ * scoring prior keeps Inconclusive, so verdict accuracy is low by design.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { ROOT, seedDatabase, startServer } = require('./helpers');
+
+const FLOORS = {
+  'recall@10': 0.9,
+  'ndcg@10': 0.95,
+  mrr: 0.95,
+  verdictAccuracy: 0.3
+};
+
+test('mock-provider evaluation stays above the metric floors', async () => {
+  const server = await startServer(seedDatabase());
+  const output = path.join(os.tmpdir(), `spacedigest-eval-${process.pid}.json`);
+
+  try {
+    await promisify(execFile)(process.execPath, [
+      path.join(ROOT, 'scripts/evaluate.js'), '--api', server.url, '--output', output
+    ], { cwd: ROOT, env: { ...process.env, LLM_PROVIDER: 'mock' } });
+
+    const { summary } = JSON.parse(fs.readFileSync(output, 'utf8'));
+    Object.entries(FLOORS).forEach(([metric, floor]) => {
+      assert.ok(summary[metric] >= floor, `${metric} ${summary[metric]} fell below ${floor}`);
+    });
+  } finally {
+    server.stop();
+    fs.rmSync(output, { force: true });
+  }
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitSentences, locateQuote, validateEvidence } = require('../backend/evidence');
+
+const ABSTRACT = 'We measure the mass of PSR J0740+6620 with Shapiro delay. ' +
+  'The pulsar has a mass of 2.08 solar masses (Fonseca et al. 2021).  ' +
+  'This rules out soft equations of state.';
+
+test('sentences keep offsets into the abstract and skip abbreviations', () => {
+  const sentences = splitSentences(ABSTRACT);
+
+  assert.equal(sentences.length, 3);
+  sentences.forEach(sentence => assert.equal(ABSTRACT.slice(sentence.start, sentence.end), sentence.text));
+  assert.ok(sentences[1].text.endsWith('2021).'));
+});
+
+test('quotes are located despite case and whitespace differences', () => {
+  const quote = locateQuote(ABSTRACT, '"the PULSAR has a mass of   2.08 solar masses"');
+
+  assert.equal(quote.text, 'The pulsar has a mass of 2.08 solar masses');
+  assert.equal(ABSTRACT.slice(quote.start, quote.end), quote.text);
+});
+
+test('a verified quote cites the sentences it falls in', () => {
+  const analysis = validateEvidence({ stance: 'supports', evidence: 'rules out soft equations of state', evidenceSentences: [] }, ABSTRACT);
+
+  assert.equal(analysis.evidenceVerified, true);
+  assert.deepEqual(analysis.evidenceSentences.map(s => s.index), [2]);
+  assert.equal(analysis.hallucinatedQuote, null);
+});
+
+test('invented quotes are reported and replaced by the cited sentences', () => {
+  const analysis = validateEvidence({ evidence: 'the pulsar weighs three solar masses', evidenceSentences: [1, 7, 'x'] }, ABSTRACT);
+
+  assert.equal(analysis.quote, null);
+  assert.equal(analysis.hallucinatedQuote, 'the pulsar weighs three solar masses');
+  assert.deepEqual(analysis.evidenceSentences.map(s => s.index), [1]);
+  assert.equal(analysis.evidence, splitSentences(ABSTRACT)[1].text);
+});
+
+test('analyses without valid citations are unverified', () => {
+  const analysis = validateEvidence({ evidence: 'short', evidenceSentences: [9] }, ABSTRACT);
+
+  assert.equal(analysis.evidenceVerified, false);
+  assert.equal(analysis.evidence, '');
+});
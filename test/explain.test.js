@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase, insertPapers, startServer } = require('./helpers');
+const { SourceRetriever, findKeywordPositions } = require('../backend/source-retriever');
+
+const PAPERS = [
+  {
+    id: 'bh-1',
+    title: 'Accreting black holes in X-ray binaries',
+    abstract: 'Black hole accretion powers the X-ray emission. The accretion disk is hot.',
+    topic: 'black_holes'
+  },
+  { id: 'gal-1', title: 'Spiral galaxy rotation curves', abstract: 'Rotation curves stay flat at large radii.', topic: 'galaxies' },
+  { id: 'gal-2', title: 'Dwarf galaxy abundances', abstract: 'Dwarf galaxies are metal poor.', topic: 'galaxies' },
+  { id: 'cos-1', title: 'Baryon acoustic oscillations', abstract: 'The sound horizon is a standard ruler.', topic: 'cosmology' }
+];
+
+test('keyword positions are whole stemmed words and phrases with offsets into the text', () => {
+  const text = 'Accreting black holes; a black-hole accretion disk. Blackholes excluded.';
+  const positions = findKeywordPositions(text, ['accretion', 'black hole', 'accretion']);
+
+  assert.deepEqual(positions.map(({ keyword, start, end }) => [keyword, text.slice(start, end)]), [
+    ['accretion', 'Accreting'],
+    ['black hole', 'black holes'],
+    ['black hole', 'black-hole'],
+    ['accretion', 'accretion']
+  ]);
+  assert.deepEqual(findKeywordPositions(text, ['disks']).map(({ start }) => start), [text.indexOf('disk')]);
+});
+
+test('explained sources carry their score components, BM25 and matched keywords', async () => {
+  const { db, dbPath } = await emptyDatabase();
+  await insertPapers(db, PAPERS);
+
+  const { sources } = await new SourceRetriever(db).retrieve('Black hole accretion', { explain: true });
+  const source = sources.find(candidate => candidate.paperId === 'bh-1');
+  const { explanation } = source;
+
+  const points = Object.values(explanation.components).reduce((sum, component) => sum + component.points, 0);
+  assert.ok(Math.abs(points - explanation.rawScore) < 0.01);
+  assert.equal(explanation.score, source.relevance);
+  assert.ok(explanation.bm25 < 0);
+  assert.equal(explanation.ftsRank, 1);
+  assert.deepEqual(explanation.components.title.keywords.sort(), ['accretion', 'black', 'hole']);
+
+  const matched = explanation.matchedKeywords;
+  assert.deepEqual(matched.title.map(({ start, end }) => source.title.slice(start, end)), ['Accreting', 'black', 'holes']);
+  assert.deepEqual(matched.abstract.map(({ start, end }) => source.abstract.slice(start, end)), ['Black', 'hole', 'accretion', 'accretion']);
+
+  const server = await startServer(dbPath);
+  const getSources = async (body, query = '') => (await fetch(`${server.url}/api/get-sources${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ claim: 'Black hole accretion', ...body })
+  })).json();
+
+  try {
+    assert.ok((await getSources({})).sources.every(candidate => candidate.explanation === undefined));
+    const [top] = (await getSources({ explain: true })).sources;
+    assert.equal(top.paperId, 'bh-1');
+    assert.ok(top.explanation.bm25 < 0);
+    assert.deepEqual(top.explanation.matchedKeywords.title.filter(({ keyword }) => keyword === 'accretion'), [matched.title[0]]);
+    assert.ok((await getSources({}, '?explain=true')).sources[0].explanation);
+  } finally {
+    server.stop();
+  }
+});
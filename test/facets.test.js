@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase, insertPapers, startServer } = require('./helpers');
+
+const CLAIM = 'Neutron stars spin at 716 Hz';
+
+// Three full-text matches, one paper only the semantic signal finds (relevance below 5), one unrelated
+const PAPERS = [
+  { id: 'ns-1', title: 'Rapidly spinning neutron stars', abstract: 'Millisecond neutron stars spin hundreds of times per second.', topic: 'neutron-stars', subtopic: 'spin', year: 2018, authors: ['Jocelyn Bell', 'Ada Lovelace'] },
+  { id: 'ns-2', title: 'Neutron star masses', abstract: 'The heaviest neutron stars weigh two solar masses.', topic: 'neutron-stars', subtopic: 'masses', year: 2019, source: 'nasa-ads', authors: ['Jocelyn Bell'] },
+  { id: 'psr-1', title: 'Radio pulsars', abstract: 'Pulsars are rotating neutron stars that emit radio beams.', topic: 'pulsars', subtopic: 'radio', year: 2019, authors: ['Jocelyn Bell'] },
+  { id: 'xrb-1', title: 'A 716 Hz burst oscillation', abstract: 'Thermonuclear bursts oscillate at 716 Hz.', topic: 'x-ray-binaries', subtopic: 'bursts', year: 2020, authors: ['Enrico Fermi'] },
+  { id: 'gal-1', title: 'Galaxy rotation curves', abstract: 'Dark matter halos flatten rotation curves.', topic: 'galaxies', subtopic: 'dynamics', year: 2017, authors: ['Vera Rubin'] }
+];
+
+function countsOf(sources, key) {
+  const counts = {};
+  sources.forEach(source => {
+    counts[source[key]] = (counts[source[key]] || 0) + 1;
+  });
+  return counts;
+}
+
+test('facet counts match the result list', async () => {
+  const { db, dbPath } = await emptyDatabase();
+  await insertPapers(db, PAPERS);
+  const server = await startServer(dbPath);
+
+  const search = async filters => (await fetch(`${server.url}/api/get-sources`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ claim: CLAIM, limit: 100, facets: true, filters })
+  })).json();
+
+  const facetCounts = (facet, key = 'value') => Object.fromEntries(facet.map(option => [option[key], option.count]));
+
+  try {
+    const all = await search({});
+    assert.ok(all.sources.some(source => source.paperId === 'xrb-1' && source.matchedBy.join() === 'semantic'));
+    assert.equal(all.facets.matches, all.totalSources);
+    assert.equal(all.facets.sampled, false);
+    assert.deepEqual(facetCounts(all.facets.topics), countsOf(all.sources, 'topic'));
+    assert.deepEqual(facetCounts(all.facets.sources), countsOf(all.sources, 'source'));
+    assert.deepEqual(facetCounts(all.facets.years, 'year'), countsOf(all.sources, 'year'));
+    assert.deepEqual(all.facets.authors.map(author => [author.name, author.count]), [
+      ['Jocelyn Bell', 3], ['Ada Lovelace', 1], ['Enrico Fermi', 1]
+    ]);
+
+    // minRelevance drops the semantic-only paper from the results and from every facet
+    const relevant = await search({ minRelevance: 5 });
+    assert.ok(!relevant.sources.some(source => source.paperId === 'xrb-1'));
+    assert.equal(relevant.facets.matches, relevant.totalSources);
+    assert.deepEqual(facetCounts(relevant.facets.topics), countsOf(relevant.sources, 'topic'));
+    assert.ok(!relevant.facets.authors.some(author => author.name === 'Enrico Fermi'));
+
+    // A facet ignores its own filter: each topic's count is what selecting it lists
+    const pulsars = await search({ topic: 'pulsars' });
+    assert.deepEqual(facetCounts(pulsars.facets.topics), facetCounts(all.facets.topics));
+    assert.deepEqual(facetCounts(pulsars.facets.sources), countsOf(pulsars.sources, 'source'));
+    assert.equal(pulsars.facets.matches, pulsars.sources.length);
+  } finally {
+    server.stop();
+  }
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createClient } = require('@libsql/client');
+const { tokenize } = require('../backend/stemmer');
+const { getFtsTokenizer, FTS_TOKENIZER, DEFAULT_TOKENIZER } = require('../backend/fts-index');
+const porterMigration = require('../backend/migrations/009-porter-fts-tokenizer');
+
+const TEXT = 'Accreting neutron stars: accretion rates, relativistic jets, generalized Eddington ' +
+  'limits and Schwarzschild radii observed in M87 by Gaia (naïve café-style estimates) oscillating oscillations.';
+
+async function createPapers(db, count) {
+  await db.execute('CREATE TABLE papers (id TEXT, title TEXT, abstract TEXT)');
+  await db.execute(`CREATE VIRTUAL TABLE papers_fts USING fts5(title, abstract, content='papers', content_rowid='rowid')`);
+  await db.execute({
+    sql: `WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?)
+          INSERT INTO papers SELECT 'p' || i, 'Accreting pulsars', 'Accretion onto neutron stars' FROM n`,
+    args: [count]
+  });
+}
+
+test('the in-process stemmer produces the terms papers_fts indexes', async () => {
+  const db = createClient({ url: ':memory:' });
+  await db.execute(`CREATE VIRTUAL TABLE docs USING fts5(body, tokenize='${FTS_TOKENIZER}')`);
+  await db.execute('CREATE VIRTUAL TABLE docs_terms USING fts5vocab(docs, row)');
+  await db.execute({ sql: 'INSERT INTO docs(body) VALUES (?)', args: [TEXT] });
+
+  const indexed = (await db.execute('SELECT term FROM docs_terms ORDER BY term')).rows.map(row => row.term);
+  const stemmed = [...new Set(tokenize(TEXT).map(token => token.stem))].sort();
+  assert.deepEqual(stemmed, indexed);
+  db.close();
+});
+
+test('migration 009 rebuilds small indexes with the porter tokenizer', async () => {
+  const db = createClient({ url: ':memory:' });
+  await createPapers(db, 10);
+  await db.execute(`INSERT INTO papers_fts(papers_fts) VALUES('rebuild')`);
+
+  await porterMigration.up(db);
+  assert.equal(await getFtsTokenizer(db), FTS_TOKENIZER);
+  const { rows } = await db.execute(`SELECT COUNT(*) as count FROM papers_fts WHERE papers_fts MATCH 'accretes'`);
+  assert.equal(rows[0].count, 10);
+
+  await porterMigration.down(db);
+  assert.equal(await getFtsTokenizer(db), DEFAULT_TOKENIZER);
+  db.close();
+});
+
+test('migration 009 leaves large indexes to the batched reindex script', async () => {
+  const db = createClient({ url: ':memory:' });
+  await createPapers(db, 50001);
+
+  await assert.rejects(porterMigration.up(db), /npm run reindex:fts/);
+  assert.equal(await getFtsTokenizer(db), DEFAULT_TOKENIZER);
+  db.close();
+});
@@ -0,0 +1,134 @@
+/**
+ * Shared fixtures for the test suite: a seeded local database and a running API server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawn } = require('child_process');
+
+const { migrateUp } = require('../backend/migrator');
+const { HashingEmbedder } = require('../backend/embeddings');
+const { indexPaperAuthors } = require('../backend/authors');
+
+const ROOT = path.join(__dirname, '..');
+
+// Seeded databases are removed when the test file's process exits
+const tempDirs = [];
+process.on('exit', () => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+/**
+ * Path for a new database file in a temp directory (nothing is created until it is opened)
+ */
+function tempDatabasePath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spacedigest-test-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'test.db');
+}
+
+/**
+ * Seed a fresh database with the fixture corpus in a temp directory
+ * @returns {string} database file path
+ */
+function seedDatabase() {
+  const dbPath = tempDatabasePath();
+  execFileSync(process.execPath, [path.join(ROOT, 'scripts/seed-local-db.js'), '--reset'], {
+    env: { ...process.env, DB_MODE: 'local', LOCAL_DB_PATH: dbPath },
+    stdio: 'ignore'
+  });
+  return dbPath;
+}
+
+/**
+ * Empty, fully migrated database in a temp directory, for tests that insert only the rows they need
+ * @returns {Promise<{ db: object, dbPath: string }>}
+ */
+async function emptyDatabase() {
+  const dbPath = tempDatabasePath();
+  const db = useDatabase(dbPath);
+  await migrateUp(db);
+  return { db, dbPath };
+}
+
+/**
+ * Add papers the way an import does: rows, full-text index, embeddings and author index
+ * Each paper needs id, title and topic; authors is an array of names.
+ */
+async function insertPapers(db, papers) {
+  await db.batch(papers.map(paper => ({
+    sql: `INSERT INTO papers (id, title, abstract, authors, year, topic, subtopic, source)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [
+      paper.id,
+      paper.title,
+      paper.abstract || '',
+      JSON.stringify(paper.authors || []),
+      paper.year || null,
+      paper.topic,
+      paper.subtopic || 'other',
+      paper.source || 'arxiv'
+    ]
+  })), 'write');
+
+  await db.execute("INSERT INTO papers_fts(papers_fts) VALUES('rebuild')");
+
+  const embedder = new HashingEmbedder();
+  const rows = await db.execute('SELECT rowid, title, abstract FROM papers');
+  await db.batch(rows.rows.map(row => ({
+    sql: 'INSERT OR REPLACE INTO paper_embeddings (paper_rowid, model, embedding) VALUES (?, ?, ?)',
+    args: [row.rowid, embedder.model, HashingEmbedder.toBlob(embedder.embedPaper(row))]
+  })), 'write');
+
+  for (const paper of papers) {
+    await indexPaperAuthors(db, paper.id, JSON.stringify(paper.authors || []));
+  }
+}
+
+/**
+ * Environment for in-process modules that open the database through backend/db
+ */
+function useDatabase(dbPath) {
+  process.env.DB_MODE = 'local';
+  process.env.LOCAL_DB_PATH = dbPath;
+  return require('../backend/db').createDatabase();
+}
+
+/**
+ * Start backend/server-turso.js against `dbPath` with the mock LLM
+ * @returns {Promise<{ url: string, stop: () => void }>}
+ */
+async function startServer(dbPath, env = {}) {
+  const port = 31000 + Math.floor(Math.random() * 2000);
+  const server = spawn(process.execPath, [path.join(ROOT, 'backend/server-turso.js')], {
+    cwd: ROOT,
+    env: { ...process.env, DB_MODE: 'local', LOCAL_DB_PATH: dbPath, PORT: String(port), LLM_PROVIDER: 'mock', ...env },
+    stdio: 'ignore'
+  });
+  const url = `http://localhost:${port}`;
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      if ((await fetch(`${url}/health`)).ok) {
+        return { url, stop: () => server.kill() };
+      }
+    } catch {
+      // Not listening yet
+    }
+    if (server.exitCode !== null) break;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  server.kill();
+  throw new Error('Test server did not start');
+}
+
+module.exports = {
+  ROOT,
+  tempDatabasePath,
+  seedDatabase,
+  emptyDatabase,
+  insertPapers,
+  useDatabase,
+  startServer
+};
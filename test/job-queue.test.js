@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase } = require('./helpers');
+const { JobQueue, parseClaimsCsv } = require('../backend/job-queue');
+const { LLMProviderError } = require('../backend/llm-providers');
+
+/**
+ * Poll until the job is finished (enqueue starts the workers; retries have no backoff here)
+ */
+async function finished(queue, id) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = await queue.getJob(id);
+    if (['completed', 'failed'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+function providerFailure(status) {
+  const error = new LLMProviderError(`HTTP ${status}`, status);
+  error.partialResult = { verdict: 'Inconclusive', analyses: [{ paperId: 'ok' }], failedPapers: [{ paperId: 'x', status }] };
+  return error;
+}
+
+test('provider server errors are retried and can still succeed', async () => {
+  const { db } = await emptyDatabase();
+  let calls = 0;
+  const queue = new JobQueue(db, async () => {
+    calls++;
+    if (calls === 1) throw providerFailure(503);
+    return { verdict: 'Supported' };
+  }, { maxAttempts: 3, baseDelayMs: 0 });
+
+  const { id } = await queue.enqueue(['A claim'], {});
+  const job = await finished(queue, id);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.items[0].attempts, 2);
+  assert.deepEqual(job.items[0].result, { verdict: 'Supported' });
+});
+
+test('a claim that keeps failing keeps its partial result', async () => {
+  const { db } = await emptyDatabase();
+  const queue = new JobQueue(db, async () => {
+    throw providerFailure(429);
+  }, { maxAttempts: 2, baseDelayMs: 0 });
+
+  const { id } = await queue.enqueue(['A claim'], {});
+  const [item] = (await finished(queue, id)).items;
+  assert.equal(item.status, 'failed');
+  assert.equal(item.attempts, 2);
+  assert.deepEqual(item.result.analyses, [{ paperId: 'ok' }]);
+});
+
+test('client errors fail without retrying', async () => {
+  const { db } = await emptyDatabase();
+  const queue = new JobQueue(db, async () => {
+    throw providerFailure(401);
+  }, { maxAttempts: 4, baseDelayMs: 0 });
+
+  const { id } = await queue.enqueue(['A claim'], {});
+  const job = await finished(queue, id);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.items[0].attempts, 1);
+});
+
+test('workers stay within the concurrency limit', async () => {
+  const { db } = await emptyDatabase();
+  let running = 0;
+  let peak = 0;
+  const queue = new JobQueue(db, async claim => {
+    peak = Math.max(peak, ++running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    running--;
+    return { claim };
+  }, { concurrency: 2 });
+
+  const { id } = await queue.enqueue(['A', 'B', 'C', 'D', 'E'], {});
+  const job = await finished(queue, id);
+  assert.equal(job.status, 'completed');
+  assert.equal(peak, 2);
+  assert.deepEqual(job.items.map(item => item.result.claim), ['A', 'B', 'C', 'D', 'E']);
+});
+
+test('cancelling keeps finished claims and drops the rest', async () => {
+  const { db } = await emptyDatabase();
+  let release;
+  const blocked = new Promise(resolve => {
+    release = resolve;
+  });
+  const queue = new JobQueue(db, async claim => {
+    if (claim === 'B') await blocked;
+    return { claim };
+  }, { concurrency: 1 });
+
+  const { id } = await queue.enqueue(['A', 'B', 'C'], {});
+  while ((await queue.getJob(id)).items[1].status !== 'running') {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  const cancelled = await queue.cancel(id);
+  release();
+  assert.equal(cancelled.status, 'cancelled');
+  assert.deepEqual(cancelled.items.map(item => item.status), ['completed', 'cancelled', 'cancelled']);
+
+  // The claim that was running finishes, but its result is discarded
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const job = await queue.getJob(id);
+  assert.equal(job.items[1].status, 'cancelled');
+  assert.equal(job.items[1].result, null);
+});
+
+test('CSV uploads read the claim column, quoted fields included', () => {
+  assert.deepEqual(parseClaimsCsv('id,claim\n1,"Pulsars spin, fast"\n2,"A ""quoted"" claim"\n3,\n'), [
+    'Pulsars spin, fast',
+    'A "quoted" claim'
+  ]);
+  assert.deepEqual(parseClaimsCsv('Pulsars spin\r\n"Magnetars\nflare"'), ['Pulsars spin', 'Magnetars\nflare']);
+});
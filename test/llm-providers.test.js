@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  MockProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  LLMProviderError,
+  loadLLMConfig,
+  createProvider,
+  DEFAULT_MODELS
+} = require('../backend/llm-providers');
+const ClaimVerifier = require('../backend/claim-verifier');
+
+/**
+ * Local stand-in for a provider API: records each request and answers with `reply(path)`
+ */
+async function fakeApi(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      const { status = 200, json } = reply(req.url);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  return { url: `http://localhost:${server.address().port}`, requests, close: () => server.close() };
+}
+
+test('settings come from the LLM_* variables with per-provider defaults', () => {
+  const defaults = loadLLMConfig({ GROQ_API_KEY: 'gsk-test' });
+  assert.equal(defaults.provider, 'groq');
+  assert.equal(defaults.model, DEFAULT_MODELS.groq);
+  assert.equal(defaults.apiKey, 'gsk-test');
+  assert.equal(defaults.temperature, 0.1);
+  assert.equal(defaults.maxTokens, 200);
+
+  const ollama = loadLLMConfig({ LLM_PROVIDER: 'Ollama', LLM_TEMPERATURE: '0', LLM_MAX_TOKENS: '64', GROQ_API_KEY: 'gsk-test' });
+  assert.equal(ollama.provider, 'ollama');
+  assert.equal(ollama.model, 'llama3.1');
+  assert.equal(ollama.apiKey, undefined);
+  assert.equal(ollama.temperature, 0);
+  assert.equal(ollama.maxTokens, 64);
+
+  assert.equal(loadLLMConfig({ LLM_PROVIDER: 'openai', LLM_MODEL: 'gpt-4o', OPENAI_API_KEY: 'sk-test' }).model, 'gpt-4o');
+});
+
+test('createProvider builds each provider and rejects unusable configs', () => {
+  assert.ok(createProvider({ provider: 'mock' }) instanceof MockProvider);
+  assert.equal(createProvider({ provider: 'ollama' }).baseUrl, 'http://localhost:11434');
+
+  const llamacpp = createProvider({ provider: 'llamacpp' });
+  assert.equal(llamacpp.name, 'llamacpp');
+  assert.equal(llamacpp.baseUrl, 'http://localhost:8080/v1');
+
+  const vllm = createProvider({ provider: 'openai', baseUrl: 'http://gpu-box:8000/v1/', model: 'qwen' });
+  assert.equal(vllm.baseUrl, 'http://gpu-box:8000/v1');
+  assert.equal(vllm.model, 'qwen');
+
+  assert.throws(() => createProvider({ provider: 'groq' }), /GROQ_API_KEY not set/);
+  assert.throws(() => createProvider({ provider: 'openai' }), /OPENAI_API_KEY/);
+  assert.throws(() => createProvider({ provider: 'claude' }), /Unknown LLM_PROVIDER "claude"/);
+});
+
+test('OpenAI-compatible and Ollama providers speak their APIs and surface HTTP statuses', async () => {
+  const api = await fakeApi(path => {
+    if (path === '/v1/chat/completions') return { json: { choices: [{ message: { content: '{"ok":true}' } }] } };
+    if (path === '/api/chat') return { json: { message: { content: 'hello' } } };
+    return { status: 429, json: { error: 'rate limited' } };
+  });
+  const messages = [{ role: 'user', content: 'Hi' }];
+
+  try {
+    const openai = new OpenAICompatibleProvider({ baseUrl: `${api.url}/v1`, apiKey: 'sk-test', model: 'gpt-4o-mini' });
+    assert.equal(await openai.complete({ messages, temperature: 0.1, maxTokens: 20, json: true }), '{"ok":true}');
+    assert.equal(api.requests[0].headers.authorization, 'Bearer sk-test');
+    assert.deepEqual(api.requests[0].body.response_format, { type: 'json_object' });
+    assert.equal(api.requests[0].body.max_tokens, 20);
+
+    const ollama = new OllamaProvider({ baseUrl: api.url, model: 'llama3.1' });
+    assert.equal(await ollama.complete({ messages, temperature: 0, maxTokens: 20, json: true }), 'hello');
+    assert.equal(api.requests[1].body.format, 'json');
+    assert.deepEqual(api.requests[1].body.options, { temperature: 0, num_predict: 20 });
+
+    const limited = new OpenAICompatibleProvider({ baseUrl: `${api.url}/busy` });
+    await assert.rejects(limited.complete({ messages }), error => {
+      assert.ok(error instanceof LLMProviderError);
+      assert.equal(error.status, 429);
+      return true;
+    });
+  } finally {
+    api.close();
+  }
+});
+
+test('the mock provider answers verification prompts deterministically from word overlap', async () => {
+  const paper = {
+    id: 'psr-1',
+    title: 'Millisecond pulsars',
+    abstract: 'Pulsars are observed in radio surveys. Millisecond pulsars rotate hundreds of times per second.'
+  };
+  const analyze = (claim, target = paper) => new ClaimVerifier({ provider: new MockProvider() }).analyzePaper(target, claim);
+
+  const first = await analyze('Millisecond pulsars rotate hundreds of times per second');
+  assert.deepEqual(await analyze('Millisecond pulsars rotate hundreds of times per second'), first);
+  assert.equal(first.stance, 'supports');
+  assert.equal(first.evidence, 'Millisecond pulsars rotate hundreds of times per second.');
+
+  assert.equal((await analyze('Millisecond pulsars never rotate hundreds of times per second')).stance, 'contradicts');
+  assert.equal((await analyze('Quasars outshine their host galaxies')).stance, 'insufficient');
+
+  const scripted = new MockProvider({ respond: () => 'scripted' });
+  assert.equal(await scripted.complete({ messages: [{ role: 'user', content: 'anything' }] }), 'scripted');
+  assert.equal(scripted.calls.length, 1);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, seedDatabase, useDatabase, startServer } = require('./helpers');
+const { Auth } = require('../backend/auth');
+const { isLocalMode } = require('../backend/db');
+
+const FIXTURE = JSON.parse(fs.readFileSync(path.join(ROOT, 'database/fixtures/papers.json'), 'utf8'));
+
+test('local mode is used unless a Turso URL is configured', t => {
+  const saved = { DB_MODE: process.env.DB_MODE, TURSO_DATABASE_URL: process.env.TURSO_DATABASE_URL };
+  t.after(() => {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  delete process.env.DB_MODE;
+  delete process.env.TURSO_DATABASE_URL;
+  assert.equal(isLocalMode(), true);
+
+  process.env.TURSO_DATABASE_URL = 'libsql://example.turso.io';
+  assert.equal(isLocalMode(), false);
+
+  process.env.DB_MODE = 'local';
+  assert.equal(isLocalMode(), true);
+});
+
+test('the seeded fixture corpus serves search, sources, verification and admin edits offline', async () => {
+  const dbPath = seedDatabase();
+  const auth = new Auth(useDatabase(dbPath));
+  const { key } = await auth.createKey((await auth.createUser({ name: 'Curator', role: 'curator' })).id);
+  const server = await startServer(dbPath);
+  const call = async (route, options = {}) => {
+    const response = await fetch(`${server.url}${route}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}`, ...options.headers }
+    });
+    assert.equal(response.status, 200, `${options.method || 'GET'} ${route}`);
+    return response.json();
+  };
+
+  try {
+    const health = await call('/health/detailed');
+    assert.equal(health.database, 'local');
+    assert.equal(health.papers, FIXTURE.length);
+
+    const search = await call('/api/search?query=neutron');
+    assert.ok(search.count > 0);
+    assert.ok(search.papers.every(paper => /neutron/i.test(`${paper.title} ${paper.abstract}`)));
+
+    const sources = await call('/api/get-sources', {
+      method: 'POST',
+      body: JSON.stringify({ claim: 'Neutron stars can reach two solar masses', limit: 5 })
+    });
+    assert.ok(sources.sources.some(source => source.paperId === FIXTURE[0].id));
+
+    const verification = await call('/api/verify-claim', {
+      method: 'POST',
+      body: JSON.stringify({ claim: 'Neutron stars can reach two solar masses', maxPapers: 2 })
+    });
+    assert.equal(verification.papersAnalyzed, 2);
+    assert.ok(verification.verdict);
+
+    await call(`/api/admin/paper/${FIXTURE[0].id}`, { method: 'PATCH', body: JSON.stringify({ title: 'Zeppelin-shaped neutron star' }) });
+    assert.deepEqual((await call('/api/search?query=zeppelin')).papers.map(paper => paper.id), [FIXTURE[0].id]);
+  } finally {
+    server.stop();
+  }
+});
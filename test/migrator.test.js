@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDatabasePath, useDatabase } = require('./helpers');
+const { loadMigrations, hasColumn, migrateUp, migrateDown, getStatus } = require('../backend/migrator');
+
+async function tables(db) {
+  const result = await db.execute("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'libsql_%' ORDER BY name");
+  return result.rows.map(row => row.name);
+}
+
+test('migrations are numbered 1..n without gaps and all can be reverted', () => {
+  const migrations = loadMigrations();
+  assert.deepEqual(migrations.map(m => m.version), migrations.map((m, i) => i + 1));
+  migrations.forEach(m => assert.equal(typeof m.down, 'function', `${m.name} has no down()`));
+});
+
+test('a new database is migrated once, and every migration reverts and re-applies', async () => {
+  const db = useDatabase(tempDatabasePath());
+  const all = loadMigrations();
+
+  assert.equal((await migrateUp(db)).length, all.length);
+  assert.deepEqual(await migrateUp(db), []);
+  assert.ok((await getStatus(db)).every(m => m.applied));
+  const schema = await tables(db);
+
+  const reverted = await migrateDown(db, { steps: all.length });
+  assert.deepEqual(reverted.map(m => m.version), all.map(m => m.version).reverse());
+  assert.deepEqual(await tables(db), ['schema_migrations']);
+  assert.ok((await getStatus(db)).every(m => !m.applied));
+
+  await migrateUp(db);
+  assert.deepEqual(await tables(db), schema);
+});
+
+test('a database created by the old migrate-to-turso scripts keeps its papers', async () => {
+  const db = useDatabase(tempDatabasePath());
+  await db.execute(`
+    CREATE TABLE papers (
+      id TEXT PRIMARY KEY, title TEXT NOT NULL, abstract TEXT, authors TEXT, year INTEGER,
+      topic TEXT NOT NULL, subtopic TEXT NOT NULL, keywords TEXT, created_at INTEGER DEFAULT (unixepoch())
+    )
+  `);
+  await db.execute(`INSERT INTO papers (id, title, abstract, authors, year, topic, subtopic)
+                    VALUES ('1010.5788', 'A two solar mass neutron star', 'Shapiro delay.', '["P. Demorest"]', 2010, 'neutron-stars', 'masses')`);
+
+  await migrateUp(db);
+  assert.ok(await hasColumn(db, 'papers', 'source'));
+  assert.ok(await hasColumn(db, 'papers', 'citation_count'));
+  const { rows: [paper] } = await db.execute("SELECT title, year FROM papers WHERE id = '1010.5788'");
+  assert.deepEqual({ ...paper }, { title: 'A two solar mass neutron star', year: 2010 });
+});
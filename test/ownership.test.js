@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase, startServer } = require('./helpers');
+const { Auth } = require('../backend/auth');
+
+test('saved searches, jobs and document checks are only reachable by their owner', async () => {
+  const { db, dbPath } = await emptyDatabase();
+  const auth = new Auth(db);
+  const keyFor = async (name, role) => (await auth.createKey((await auth.createUser({ name, role })).id)).key;
+  const [alice, bob, admin] = [await keyFor('Alice'), await keyFor('Bob'), await keyFor('Root', 'admin')];
+
+  const server = await startServer(dbPath);
+  const call = (path, key, options = {}) => fetch(`${server.url}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...(key && { Authorization: `Bearer ${key}` }) }
+  });
+  const post = async (path, key, body) => (await call(path, key, { method: 'POST', body: JSON.stringify(body) })).json();
+
+  try {
+    const search = await post('/api/saved-searches', alice, { name: 'Pulsars', claim: 'Pulsars are rotating neutron stars' });
+    const job = await post('/api/jobs', alice, { claim: 'Pulsars spin', maxPapers: 1 });
+    const check = await post('/api/check-document', alice, { content: 'The Crab pulsar is 6500 light years away.', maxPapers: 1 });
+
+    const reads = [
+      `/api/saved-searches/${search.id}`,
+      `/api/saved-searches/${search.id}/new`,
+      `/api/saved-searches/${search.id}/new?format=rss`,
+      `/api/jobs/${job.id}`,
+      `/api/check-document/${check.id}`
+    ];
+    for (const path of reads) {
+      assert.equal((await call(path, bob)).status, 404, `GET ${path} as another user`);
+      assert.equal((await call(path, null)).status, path.startsWith('/api/saved-searches') ? 401 : 404, `GET ${path} without a key`);
+      assert.equal((await call(path, alice)).status, 200, `GET ${path} as the owner`);
+      assert.equal((await call(path, admin)).status, 200, `GET ${path} as an admin`);
+    }
+
+    assert.equal((await (await call('/api/saved-searches', bob)).json()).searches.length, 0);
+    assert.equal((await (await call('/api/saved-searches', alice)).json()).searches.length, 1);
+
+    // Deletes by anyone else are 404s and leave the resource alone
+    for (const path of [`/api/saved-searches/${search.id}`, `/api/jobs/${job.id}`]) {
+      assert.equal((await call(path, bob, { method: 'DELETE' })).status, 404, `DELETE ${path} as another user`);
+      assert.equal((await call(path, null, { method: 'DELETE' })).status, path.startsWith('/api/saved-searches') ? 401 : 404);
+      assert.equal((await call(path, alice)).status, 200);
+    }
+
+    // The feed token reads this digest without a key, and the feed never echoes a key
+    const feed = await call(search.feedUrl);
+    assert.equal(feed.status, 200);
+    assert.match(await feed.text(), new RegExp(`<link rel="self" href="[^"]*${search.feedUrl}\\?format=atom"/>`));
+    assert.equal((await call(`${search.feedUrl}x`)).status, 404);
+    assert.equal((await call(`/api/saved-searches/${search.id}/new?api_key=${alice}`)).status, 401);
+
+    assert.equal((await call(`/api/saved-searches/${search.id}`, alice, { method: 'DELETE' })).status, 200);
+    assert.equal((await call(search.feedUrl)).status, 404);
+
+    // Work submitted without a key has no owner
+    const anonymous = await post('/api/jobs', null, { claim: 'Pulsars spin', maxPapers: 1 });
+    assert.equal((await call(`/api/jobs/${anonymous.id}`, bob)).status, 200);
+  } finally {
+    server.stop();
+  }
+});
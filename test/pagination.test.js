@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SourceRetriever } = require('../backend/source-retriever');
+const {
+  CursorError,
+  queryFingerprint,
+  encodeCursor,
+  decodeCursor,
+  sourcesAfter,
+  windowFor,
+  MAX_RESULT_DEPTH
+} = require('../backend/pagination');
+
+const PAPER_COUNT = 450;
+
+/**
+ * Retriever over synthetic full-text and semantic rankings that disagree, with titles that
+ * match the claim to varying degrees so relevance and fusion order differ too
+ */
+function syntheticRetriever() {
+  const papers = Array.from({ length: PAPER_COUNT }, (_, i) => ({
+    id: `p${String(i).padStart(4, '0')}`,
+    title: ['neutron star mass', 'neutron star', 'pulsar timing', 'stellar mass'][i % 4],
+    abstract: i % 3 === 0 ? 'A neutron star mass measurement.' : 'Timing observations.',
+    authors: '[]',
+    year: 2000 + (i % 20),
+    citation_count: (i * 37) % 500
+  }));
+  const fts = papers.filter((_, i) => i % 5 !== 0);
+  const semantic = [...papers].sort((a, b) => ((a.year * 7919) % 101) - ((b.year * 7919) % 101) || (a.id < b.id ? 1 : -1))
+    .slice(0, 380)
+    .map(row => ({ ...row, similarity: 0.5 }));
+
+  const retriever = new SourceRetriever(null);
+  retriever.hasEmbeddings = async () => true;
+  retriever.searchFts = async (terms, filters, limit) => fts.slice(0, limit);
+  retriever.searchSemantic = async (claim, filters, limit) => semantic.slice(0, limit);
+  return retriever;
+}
+
+/**
+ * Page through results the way /api/get-sources does
+ */
+async function pageThrough(retriever, claim, pageSize) {
+  const fingerprint = queryFingerprint({ claim });
+  const pages = [];
+  let cursor = null;
+
+  do {
+    const position = cursor ? decodeCursor(cursor, fingerprint) : { seen: 0, after: null };
+    let window = windowFor(position.seen, pageSize);
+    let result;
+    let remaining;
+    while (true) {
+      result = await retriever.retrieve(claim, { limit: window });
+      remaining = sourcesAfter(result.sources, position);
+      if (remaining.length > pageSize || result.complete || window >= MAX_RESULT_DEPTH) break;
+      window = Math.min(MAX_RESULT_DEPTH, window * 2);
+    }
+
+    const page = remaining.slice(0, pageSize);
+    pages.push(page);
+    cursor = remaining.length > pageSize
+      ? encodeCursor(fingerprint, position.seen + page.length, page[page.length - 1])
+      : null;
+  } while (cursor);
+
+  return pages;
+}
+
+test('pages across growing windows neither repeat nor skip results', async () => {
+  const retriever = syntheticRetriever();
+  const claim = 'neutron star mass';
+  const { sources: all } = await retriever.retrieve(claim, { limit: 1000 });
+
+  const pages = await pageThrough(retriever, claim, 30);
+  const paged = pages.flat().map(source => source.paperId);
+
+  assert.ok(pages.length > 10);
+  assert.equal(new Set(paged).size, paged.length);
+  assert.deepEqual(paged, all.map(source => source.paperId));
+});
+
+test('sort keys do not depend on the retrieval window', async () => {
+  const retriever = syntheticRetriever();
+  const small = await retriever.retrieve('neutron star mass', { limit: 100 });
+  const large = await retriever.retrieve('neutron star mass', { limit: 400 });
+  const byId = new Map(large.sources.map(source => [source.paperId, source]));
+
+  small.sources.forEach(source => {
+    const later = byId.get(source.paperId);
+    assert.equal(later.relevance, source.relevance, source.paperId);
+    assert.equal(later.fusedScore, source.fusedScore, source.paperId);
+    assert.equal(later.bestRank, source.bestRank, source.paperId);
+  });
+});
+
+test('cursors are bound to their query', () => {
+  const cursor = encodeCursor(queryFingerprint({ claim: 'a' }), 10, { relevance: 5, fusedScore: 0.01, bestRank: 3, paperId: 'x' });
+  assert.deepEqual(decodeCursor(cursor, queryFingerprint({ claim: 'a' })).after, { relevance: 5, fusedScore: 0.01, bestRank: 3, paperId: 'x' });
+  assert.throws(() => decodeCursor(cursor, queryFingerprint({ claim: 'b' })), CursorError);
+  assert.throws(() => decodeCursor('not-a-cursor', queryFingerprint({ claim: 'a' })), CursorError);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, likeContains, QueryParseError } = require('../backend/query-parser');
+
+test('phrases and operators compile to a quoted MATCH expression', () => {
+  assert.equal(parseQuery('"event horizon" AND kerr').match, '"event horizon" AND "kerr"');
+  assert.equal(parseQuery('accret* NOT disk').match, '"accret"* NOT "disk"');
+});
+
+test('field-scoped terms keep their column', () => {
+  assert.equal(parseQuery('title:pulsar abstract:"dark matter"').match, 'title : "pulsar" AND abstract : "dark matter"');
+});
+
+test('author and year filters are lifted out of the MATCH expression', () => {
+  const { match, filters } = parseQuery('author:hawking year:2015..2020 black holes');
+  assert.equal(match, '"black" AND "holes"');
+  assert.deepEqual(filters, { authors: ['hawking'], yearMin: 2015, yearMax: 2020 });
+});
+
+test('FTS5 syntax in terms is quoted, not interpreted', () => {
+  assert.equal(parseQuery('NEAR(a b)').match.includes('NEAR('), false);
+});
+
+test('syntax errors point at the offending token', () => {
+  assert.throws(() => parseQuery('a OR (b'), error => error instanceof QueryParseError && error.position === 5);
+  assert.throws(() => parseQuery('year:abc x'), QueryParseError);
+});
+
+test('author filters match LIKE wildcards literally', async () => {
+  const { createClient } = require('@libsql/client');
+  const db = createClient({ url: ':memory:' });
+  await db.execute('CREATE TABLE papers (authors TEXT)');
+  await db.execute(`INSERT INTO papers VALUES ('["Hawking, S."]'), ('["O_Neil, A."]'), ('["100% Author"]')`);
+
+  const matching = async author => (await db.execute({
+    sql: "SELECT authors FROM papers WHERE authors LIKE ? ESCAPE '\\'",
+    args: [likeContains(author)]
+  })).rows.map(row => row.authors);
+
+  assert.deepEqual(await matching('_'), ['["O_Neil, A."]']);
+  assert.deepEqual(await matching('%'), ['["100% Author"]']);
+  assert.deepEqual(await matching('hawk'), ['["Hawking, S."]']);
+  db.close();
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase, startServer } = require('./helpers');
+const { RateLimiter } = require('../backend/rate-limiter');
+const { Auth } = require('../backend/auth');
+
+test('requests are charged their cost', () => {
+  const limiter = new RateLimiter();
+  assert.equal(limiter.take('verification:key:a', 20, 15).remaining, 5);
+  assert.equal(limiter.take('verification:key:a', 20, 10).allowed, false);
+  assert.equal(limiter.take('verification:key:a', 20, 5).allowed, true);
+});
+
+test('a request larger than the bucket needs a full bucket and leaves it in debt', () => {
+  const limiter = new RateLimiter();
+  limiter.take('verification:key:b', 20, 1);
+  assert.equal(limiter.take('verification:key:b', 20, 500).allowed, false);
+
+  limiter.buckets.delete('verification:key:b');
+  assert.equal(limiter.take('verification:key:b', 20, 500).allowed, true);
+  const next = limiter.take('verification:key:b', 20, 1);
+  assert.equal(next.allowed, false);
+  assert.ok(next.retryAfter > 60 * 20, `retryAfter ${next.retryAfter}s should cover the debt`);
+});
+
+test('verification requests reserve every LLM call they may make', async () => {
+  const { db, dbPath } = await emptyDatabase();
+  const auth = new Auth(db);
+  const user = await auth.createUser({ name: 'Budget' });
+  const server = await startServer(dbPath);
+
+  // A fresh key per request, so each response's RateLimit-Remaining is 100 minus that request's cost.
+  // Keys are created up front: queued jobs write to the database while later requests run.
+  const keys = [];
+  for (let i = 0; i < 5; i++) {
+    keys.push((await auth.createKey(user.id, { verificationPerMinute: 100 })).key);
+  }
+  const remainingAfter = async (path, body) => {
+    const key = keys.shift();
+    const response = await fetch(`${server.url}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+      body: JSON.stringify(body)
+    });
+    await response.text();
+    return Number(response.headers.get('RateLimit-Remaining'));
+  };
+
+  try {
+    // 5 analyses + a summary
+    assert.equal(await remainingAfter('/api/verify-claim', { claim: 'Pulsars are neutron stars' }), 94);
+    // Decomposition, then up to 5 sub-claims of 5 analyses + a summary
+    assert.equal(await remainingAfter('/api/verify-claim', { claim: 'Pulsars spin fast and emit radio waves' }), 69);
+    assert.equal(await remainingAfter('/api/verify-claim', { claim: 'Pulsars spin fast and emit radio waves', decompose: false }), 94);
+    // Two extracted claims of 2 analyses + a summary
+    assert.equal(await remainingAfter('/api/check-document', {
+      content: 'The Crab pulsar is 6500 light years away. The Milky Way contains about 100 billion stars.',
+      maxPapers: 2
+    }), 94);
+    assert.equal(await remainingAfter('/api/jobs', { claims: ['Pulsars spin', 'Magnetars flare'], maxPapers: 1 }), 96);
+  } finally {
+    server.stop();
+  }
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase } = require('./helpers');
+const { SavedSearches } = require('../backend/saved-searches');
+const { SourceRetriever } = require('../backend/source-retriever');
+
+/**
+ * Add `count` pulsar papers and index them, as an import does
+ */
+async function importPapers(db, count) {
+  await db.execute({
+    sql: `WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?)
+          INSERT INTO papers (id, title, abstract, authors, year, topic, subtopic)
+          SELECT 'pulsar-' || (SELECT COUNT(*) FROM papers) || '-' || i, 'Millisecond pulsar timing ' || i,
+                 'Pulsar timing array observations.', '[]', 2024, 'pulsars', 'timing' FROM n`,
+    args: [count]
+  });
+  await db.execute(`INSERT INTO papers_fts(papers_fts) VALUES('rebuild')`);
+}
+
+test('a bulk import is evaluated in full, batch by batch', async () => {
+  const { db } = await emptyDatabase();
+  await importPapers(db, 5);
+  const searches = new SavedSearches(db, new SourceRetriever(db), { batchSize: 100 });
+  const search = await searches.create({ claim: 'pulsar timing', mode: 'fts', filters: { minRelevance: 1 } }, 'user-1');
+
+  await importPapers(db, 250);
+  assert.deepEqual(await searches.evaluateAll(), { searches: 1, matches: 250 });
+
+  const matches = await searches.getNewMatches(search.id, { limit: 1000 });
+  assert.equal(matches.length, 250);
+  assert.ok(matches.every(match => !/^pulsar-0-/.test(match.paperId)), 'papers older than the search are not alerts');
+  assert.deepEqual(await searches.evaluateAll(), { searches: 0, matches: 0 });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase, insertPapers, startServer } = require('./helpers');
+const { SIMILARITY_WEIGHTS } = require('../backend/similar-papers');
+
+const PAPERS = [
+  {
+    id: 'psr-1',
+    title: 'Millisecond pulsar timing arrays',
+    abstract: 'Timing millisecond pulsars over decades constrains the gravitational wave background.',
+    authors: ['A. Hobbs', 'R. Manchester'],
+    topic: 'neutron_stars',
+    subtopic: 'pulsars',
+    keywords: ['pulsars', 'timing']
+  },
+  {
+    id: 'psr-2',
+    title: 'Timing noise in millisecond pulsars',
+    abstract: 'Red timing noise limits millisecond pulsar timing precision.',
+    authors: ['M. Kramer'],
+    topic: 'neutron_stars',
+    subtopic: 'pulsars',
+    keywords: ['pulsar', 'noise', 'precision']
+  },
+  {
+    id: 'disk-1',
+    title: 'Dust settling in protoplanetary disks',
+    abstract: 'Grains sink toward the midplane.',
+    authors: ['Hobbs, A.'],
+    topic: 'exoplanets',
+    subtopic: 'planet_formation'
+  },
+  { id: 'cmb-1', title: 'Anisotropies of the microwave sky', abstract: 'Acoustic peaks fix the baryon density.', topic: 'cosmology' },
+  { id: 'gal-1', title: 'Spiral galaxy rotation curves', abstract: 'Rotation curves stay flat at large radii.', topic: 'galaxies' }
+];
+
+test('similar papers are found by content and shared authors and scored per signal', async () => {
+  const { db, dbPath } = await emptyDatabase();
+  await insertPapers(db, PAPERS);
+  await db.batch(PAPERS.filter(paper => paper.keywords).map(paper => ({
+    sql: 'UPDATE papers SET keywords = ? WHERE id = ?',
+    args: [JSON.stringify(paper.keywords), paper.id]
+  })), 'write');
+
+  const server = await startServer(dbPath);
+
+  try {
+    const response = await (await fetch(`${server.url}/api/paper/psr-1/similar`)).json();
+    assert.equal(response.paperId, 'psr-1');
+    assert.ok(response.queryTerms.includes('millisecond'));
+    assert.deepEqual(response.similar.map(paper => paper.paperId), ['psr-2', 'disk-1']);
+
+    const [content, coauthored] = response.similar;
+    assert.deepEqual(content.signals, { content: 1, keywords: 0.25, authors: 0, subtopic: 1 });
+    assert.deepEqual(content.sharedKeywords, ['pulsar']);
+
+    // Found through "Hobbs, A." = "A. Hobbs" alone; one of two authors shared
+    assert.deepEqual(coauthored.signals, { content: 0, keywords: 0, authors: 0.5, subtopic: 0 });
+    assert.deepEqual(coauthored.sharedAuthors, ['A. Hobbs']);
+
+    response.similar.forEach(paper => {
+      const weighted = Object.entries(SIMILARITY_WEIGHTS).reduce((sum, [signal, weight]) => sum + weight * paper.signals[signal], 0);
+      assert.equal(paper.similarity, Math.round(weighted * 1000) / 1000);
+    });
+
+    assert.equal((await (await fetch(`${server.url}/api/paper/psr-1/similar?limit=1`)).json()).similar.length, 1);
+    assert.equal((await fetch(`${server.url}/api/paper/nope/similar`)).status, 404);
+  } finally {
+    server.stop();
+  }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Thesaurus, ThesaurusError, validateThesaurus } = require('../backend/thesaurus');
+const { SourceRetriever, explainRelevance, EXPANSION_WEIGHT } = require('../backend/source-retriever');
+
+const GROUPS = [
+  { type: 'acronym', acronyms: ['NS', 'NSs'], terms: ['neutron star', 'neutron stars'] },
+  { type: 'unit', acronyms: ['M☉', 'Msun'], terms: ['solar mass', 'solar masses'] }
+];
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spacedigest-thesaurus-'));
+const file = path.join(dir, 'thesaurus.json');
+fs.writeFileSync(file, JSON.stringify({ groups: GROUPS }));
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+function thesaurus() {
+  return new Thesaurus(file);
+}
+
+test('acronyms match case-sensitively and expand to their group', () => {
+  const expanded = thesaurus().expand('The heaviest NS is about 2.1M☉');
+
+  assert.deepEqual(expanded.acronyms, ['ns']);
+  assert.deepEqual(expanded.expansions, ['nss', 'neutron star', 'neutron stars', 'msun', 'solar mass', 'solar masses']);
+  assert.deepEqual(thesaurus().expand('reaction rates in ns timescales').expansions, []);
+});
+
+test('expansions already covered by the claim are dropped', () => {
+  const retriever = new SourceRetriever(null, { thesaurus: thesaurus() });
+  const { keywords, expansions } = retriever.buildQuery('Neutron stars of two solar masses');
+
+  assert.deepEqual(keywords, ['neutron', 'stars', 'two', 'solar', 'masses']);
+  assert.deepEqual(expansions, ['ns', 'nss', 'msun']);
+});
+
+test('expansion terms earn a fraction of a keyword match', () => {
+  const paper = { title: 'Neutron star radii', abstract: '' };
+  const literal = explainRelevance(paper, ['neutron star'], 0, { useCitations: false });
+  const expanded = explainRelevance(paper, [], 0, { useCitations: false, expansions: ['neutron star'] });
+
+  assert.deepEqual(expanded.components.title.expansions, ['neutron star']);
+  assert.equal(expanded.components.title.points, literal.components.title.points * EXPANSION_WEIGHT);
+});
+
+test('invalid thesaurus documents are rejected', () => {
+  assert.throws(() => validateThesaurus({ groups: [{ terms: ['lonely'] }] }), ThesaurusError);
+  assert.throws(() => validateThesaurus({ groups: [{ type: 'antonym', terms: ['a', 'b'] }] }), ThesaurusError);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreAnalyses } = require('../backend/verdict-scoring');
+
+const options = { currentYear: 2026 };
+
+function journalPaper(stance, confidence, overrides = {}) {
+  return { paperId: '2020ApJ...900....1A', paperSource: 'nasa-ads', stance, confidence, relevanceScore: 10, paperYear: 2026, ...overrides };
+}
+
+test('one moderate paper is not enough to support a claim', () => {
+  const result = scoreAnalyses([
+    journalPaper('supports', 69, { paperYear: 1995, relevanceScore: 9 }),
+    journalPaper('neutral', 61)
+  ], options);
+
+  assert.equal(result.verdict, 'Inconclusive');
+  assert.ok(result.verificationScore <= 60);
+});
+
+test('one strong paper supports, several strong papers strongly support', () => {
+  assert.equal(scoreAnalyses([journalPaper('supports', 90)], options).verdict, 'Supported');
+
+  const strong = Array.from({ length: 5 }, () => journalPaper('supports', 95));
+  assert.equal(scoreAnalyses(strong, options).verdict, 'Strongly Supported');
+});
+
+test('contradicting evidence mirrors supporting evidence', () => {
+  assert.equal(scoreAnalyses([journalPaper('contradicts', 90)], options).verdict, 'Contradicted');
+
+  const strong = Array.from({ length: 5 }, () => journalPaper('contradicts', 95));
+  assert.equal(scoreAnalyses(strong, options).verdict, 'Strongly Contradicted');
+});
+
+test('no stance-taking papers score 50', () => {
+  const result = scoreAnalyses([journalPaper('neutral', 80), journalPaper('insufficient', 40)], options);
+  assert.equal(result.verificationScore, 50);
+  assert.equal(result.confidence, 'Low');
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VerificationCache, normalizeClaim } = require('../backend/verification-cache');
+const ClaimVerifier = require('../backend/claim-verifier');
+const { MockProvider } = require('../backend/llm-providers');
+
+test('case, whitespace and trailing punctuation are folded', () => {
+  assert.equal(normalizeClaim('  Black holes\temit  radiation. '), 'black holes emit radiation');
+  assert.equal(normalizeClaim('Black holes emit radiation!'), normalizeClaim('black holes emit radiation'));
+});
+
+test('operators, signs and decimal points are kept', () => {
+  assert.notEqual(normalizeClaim('Mass > 2 solar masses'), normalizeClaim('Mass < 2 solar masses'));
+  assert.notEqual(normalizeClaim('The temperature is -70 K'), normalizeClaim('The temperature is 70 K'));
+  assert.notEqual(normalizeClaim('A mass of 1.4 solar masses'), normalizeClaim('A mass of 14 solar masses'));
+  assert.equal(normalizeClaim('The Chandrasekhar limit is 1.4.'), 'the chandrasekhar limit is 1.4');
+});
+
+test('claims that differ in meaning do not share cache entries', async () => {
+  const cache = new VerificationCache();
+  const entry = { paperId: '1010.5788', model: 'mock', promptVersion: 'v1' };
+  await cache.set({ ...entry, claim: 'The temperature is -70 K' }, { stance: 'supports' });
+
+  assert.deepEqual(await cache.get({ ...entry, claim: 'the temperature is -70 K.' }), { stance: 'supports' });
+  assert.equal(await cache.get({ ...entry, claim: 'The temperature is 70 K' }), null);
+});
+
+test('editing a paper invalidates its analyses', async () => {
+  const provider = new MockProvider();
+  const verifier = new ClaimVerifier({ provider });
+  const paper = { id: '1010.5788', title: 'Pulsar masses', abstract: 'Pulsars are neutron stars of about 1.4 solar masses.' };
+  const claim = 'Pulsars are neutron stars';
+
+  await verifier.analyzePaper(paper, claim);
+  assert.equal((await verifier.analyzePaper(paper, claim)).cached, true);
+
+  const edited = await verifier.analyzePaper({ ...paper, abstract: 'Pulsars are white dwarfs.' }, claim);
+  assert.equal(edited.cached, undefined);
+  assert.equal(provider.calls.length, 2);
+});
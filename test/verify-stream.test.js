@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyDatabase, insertPapers, startServer } = require('./helpers');
+
+/**
+ * Split a Server-Sent Events body into { event, data } records
+ */
+function parseEvents(body) {
+  return body.split('\n\n').filter(Boolean).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => {
+      const separator = line.indexOf(': ');
+      return [line.slice(0, separator), line.slice(separator + 2)];
+    }));
+    return { event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+test('streamed verification sends start, one analysis per paper, progress and the result', async () => {
+  const { db, dbPath } = await emptyDatabase();
+  await insertPapers(db, [
+    { id: 'psr-1', title: 'Pulsar timing of millisecond pulsars', abstract: 'Millisecond pulsars spin hundreds of times per second.', topic: 'neutron_stars' },
+    { id: 'psr-2', title: 'Spin-down of young pulsars', abstract: 'Young pulsars slow down as they radiate.', topic: 'neutron_stars' }
+  ]);
+  const server = await startServer(dbPath);
+  const stream = body => fetch(`${server.url}/api/verify-claim/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    const response = await stream({ claim: 'Pulsars spin hundreds of times per second', maxPapers: 2, decompose: false });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /^text\/event-stream/);
+
+    const events = parseEvents(await response.text());
+    const names = events.map(record => record.event);
+    assert.equal(names[0], 'start');
+    assert.deepEqual(events[0].data.subClaims, ['Pulsars spin hundreds of times per second']);
+    assert.equal(names[names.length - 1], 'result');
+    assert.ok(names.includes('progress'));
+    assert.ok(!names.includes('error'));
+
+    const analyses = events.filter(record => record.event === 'analysis');
+    assert.equal(analyses.length, 2);
+    assert.deepEqual(analyses.map(record => record.data.index).sort(), [0, 1]);
+    assert.ok(analyses.every(record => record.data.total === 2 && record.data.analysis.paperId));
+    assert.ok(names.indexOf('result') > names.lastIndexOf('analysis'));
+
+    const result = events[events.length - 1].data;
+    assert.equal(result.papersAnalyzed, 2);
+    assert.deepEqual(
+      result.analyses.map(analysis => analysis.paperId).sort(),
+      analyses.map(record => record.data.analysis.paperId).sort()
+    );
+
+    // Invalid requests are rejected before the stream opens
+    const invalid = await stream({ papers: [] });
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error, 'Claim is required');
+  } finally {
+    server.stop();
+  }
+});